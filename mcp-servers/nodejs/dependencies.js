@@ -0,0 +1,602 @@
+/**
+ * Offline dependency analysis: package.json, the npm lockfile and
+ * node_modules, plus a scan of the project's imports.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { builtinModules } from 'module';
+import semver from 'semver';
+
+import { DEPENDENCY_TYPES } from './manifest.js';
+
+export const DEPENDENCY_SECTIONS = ['versions', 'duplicates', 'usage', 'licenses'];
+
+const SOURCE_EXTENSIONS = ['.js', '.cjs', '.mjs', '.jsx', '.ts', '.cts', '.mts', '.tsx', '.vue', '.svelte'];
+const SKIPPED_DIRECTORIES = ['node_modules', 'dist', 'build', 'coverage', 'out', 'vendor'];
+const MAX_SOURCE_FILES = 5000;
+const MAX_SOURCE_BYTES = 1024 * 1024;
+const MAX_WHY_PATHS = 10;
+
+// import ... from 'x', import 'x', export ... from 'x', require('x') and import('x')
+const IMPORT_PATTERNS = [
+  /\bimport\s+(?:[\w*{}\s,$]+\s+from\s+)?['"]([^'"\n]+)['"]/g,
+  /\bexport\s+(?:type\s+)?(?:\*|\{[^}]*\})\s*(?:as\s+[\w$]+\s+)?from\s+['"]([^'"\n]+)['"]/g,
+  /\b(?:require|require\.resolve|import)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g,
+];
+
+// Block comments and line comments (but not the // in URLs)
+const COMMENT_PATTERN = /\/\*[\s\S]*?\*\/|(?<![:'"`\\])\/\/.*$/gm;
+
+// Root files that commonly name packages (plugins, presets, test runners)
+const CONFIG_FILE_PATTERN = /^\.?[\w.-]*(rc|config)([\w.-]*)?$/i;
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+}
+
+function packageNameAt(location) {
+  const index = location.lastIndexOf('node_modules/');
+  return index === -1 ? null : location.slice(index + 'node_modules/'.length);
+}
+
+function normalizeLicense(manifest) {
+  const license = manifest?.license ?? manifest?.licenses;
+  if (!license) {
+    return 'UNKNOWN';
+  }
+  if (Array.isArray(license)) {
+    return license.map(item => item.type ?? item).join(' OR ');
+  }
+  return typeof license === 'object' ? license.type ?? 'UNKNOWN' : license;
+}
+
+/**
+ * Reads package-lock.json or npm-shrinkwrap.json. Only lockfile versions 2
+ * and 3 have the flat `packages` map the analysis works on.
+ */
+async function readLockfile(projectDir) {
+  for (const name of ['npm-shrinkwrap.json', 'package-lock.json']) {
+    const file = path.join(projectDir, name);
+    const lock = await readJson(file);
+    if (!lock) {
+      continue;
+    }
+    if (!lock.packages) {
+      return { file, version: lock.lockfileVersion ?? 1, packages: null };
+    }
+    return { file, version: lock.lockfileVersion, packages: lock.packages };
+  }
+  return null;
+}
+
+/**
+ * Builds a lockfile-style `packages` map from node_modules, for projects
+ * without a usable lockfile. Symlinked packages are listed but not entered.
+ */
+async function readNodeModules(projectDir) {
+  const packages = {};
+
+  const walk = async (location) => {
+    const modulesDir = path.join(projectDir, location, 'node_modules');
+    let entries;
+    try {
+      entries = await fs.readdir(modulesDir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    const packageDirs = [];
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+      if (entry.name.startsWith('@') && entry.isDirectory()) {
+        const scoped = await fs.readdir(path.join(modulesDir, entry.name), { withFileTypes: true }).catch(() => []);
+        packageDirs.push(...scoped.map(child => ({ name: `${entry.name}/${child.name}`, link: child.isSymbolicLink() })));
+      } else if (entry.isDirectory() || entry.isSymbolicLink()) {
+        packageDirs.push({ name: entry.name, link: entry.isSymbolicLink() });
+      }
+    }
+
+    await Promise.all(packageDirs.map(async ({ name, link }) => {
+      const childLocation = location ? `${location}/node_modules/${name}` : `node_modules/${name}`;
+      const manifest = await readJson(path.join(projectDir, childLocation, 'package.json')).catch(() => null);
+      if (!manifest) {
+        return;
+      }
+      packages[childLocation] = {
+        name: manifest.name !== name ? manifest.name : undefined,
+        version: manifest.version,
+        license: normalizeLicense(manifest),
+        dependencies: manifest.dependencies,
+        optionalDependencies: manifest.optionalDependencies,
+        peerDependencies: manifest.peerDependencies,
+        bin: manifest.bin,
+      };
+      if (!link) {
+        await walk(childLocation);
+      }
+    }));
+  };
+
+  await walk('');
+  return packages;
+}
+
+/**
+ * Finds the location a `require(name)` from `location` would load, using
+ * Node's lookup through the enclosing node_modules directories.
+ */
+function resolveLocation(packages, location, name) {
+  let base = location;
+  while (true) {
+    const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+    const entry = packages[candidate];
+    if (entry) {
+      return entry.link && entry.resolved !== undefined ? entry.resolved : candidate;
+    }
+    if (!base) {
+      return null;
+    }
+    const index = base.lastIndexOf('/node_modules/');
+    base = index === -1 ? '' : base.slice(0, index);
+  }
+}
+
+export function entryName(packages, location) {
+  return packages[location]?.name ?? packageNameAt(location) ?? location;
+}
+
+/**
+ * Checks an installed version against a declared range. Ranges that are not
+ * semver (git URLs, tags, file: and workspace: specs) are not checked;
+ * npm: aliases are checked against their own range.
+ */
+function satisfiesRange(version, range) {
+  const alias = range.match(/^npm:(?:@[^/]+\/)?[^@]+@(.+)$/);
+  const effective = alias ? alias[1] : range;
+  if (!semver.validRange(effective)) {
+    return null;
+  }
+  return semver.satisfies(version, effective, { includePrerelease: true });
+}
+
+async function compareVersions(projectDir, manifest, packages) {
+  const results = [];
+  for (const type of DEPENDENCY_TYPES) {
+    for (const [name, range] of Object.entries(manifest[type] ?? {})) {
+      const installedManifest = await readJson(path.join(projectDir, 'node_modules', name, 'package.json')).catch(() => null);
+      const installed = installedManifest?.version ?? null;
+      const locked = packages?.[`node_modules/${name}`]?.version ?? null;
+
+      let status = 'ok';
+      if (!installed) {
+        status = type === 'optionalDependencies' || type === 'peerDependencies' ? 'not installed (optional)' : 'not installed';
+      } else if (satisfiesRange(installed, range) === false) {
+        status = 'out of range';
+      } else if (locked && locked !== installed) {
+        status = 'differs from lockfile';
+      }
+      results.push({ name, type, range, locked, installed, status });
+    }
+  }
+  return results;
+}
+
+function findDuplicates(packages) {
+  const byName = new Map();
+  for (const [location, entry] of Object.entries(packages)) {
+    if (!location.includes('node_modules/') || entry.link || !entry.version) {
+      continue;
+    }
+    const name = entryName(packages, location);
+    if (!byName.has(name)) {
+      byName.set(name, new Map());
+    }
+    const versions = byName.get(name);
+    if (!versions.has(entry.version)) {
+      versions.set(entry.version, []);
+    }
+    versions.get(entry.version).push(location);
+  }
+
+  return Array.from(byName.entries())
+    .filter(([, versions]) => versions.size > 1)
+    .map(([name, versions]) => ({
+      name,
+      versions: Array.from(versions.entries())
+        .sort(([a], [b]) => (semver.valid(a) && semver.valid(b) ? semver.compare(b, a) : a.localeCompare(b)))
+        .map(([version, locations]) => ({ version, locations })),
+    }))
+    .sort((a, b) => b.versions.length - a.versions.length || a.name.localeCompare(b.name));
+}
+
+/**
+ * Counts packages per license. Lockfile entries do not always record the
+ * license, so the installed package.json is read for those.
+ */
+async function summarizeLicenses(projectDir, packages) {
+  const summary = {};
+  const unknown = [];
+  for (const [location, entry] of Object.entries(packages)) {
+    if (!location.includes('node_modules/') || entry.link) {
+      continue;
+    }
+    let license = normalizeLicense(entry);
+    if (license === 'UNKNOWN') {
+      license = normalizeLicense(await readJson(path.join(projectDir, location, 'package.json')).catch(() => null));
+    }
+    summary[license] = (summary[license] ?? 0) + 1;
+    if (license === 'UNKNOWN') {
+      unknown.push(`${entryName(packages, location)}@${entry.version}`);
+    }
+  }
+  const sorted = Object.fromEntries(Object.entries(summary).sort(([, a], [, b]) => b - a));
+  return { summary: sorted, unknown };
+}
+
+/**
+ * Lists the source files of the project, skipping build output, hidden
+ * directories and nested packages (directories with their own package.json).
+ */
+async function listSourceFiles(projectDir) {
+  const files = [];
+  let truncated = false;
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    if (dir !== projectDir && entries.some(entry => entry.name === 'package.json')) {
+      return;
+    }
+    for (const entry of entries) {
+      if (files.length >= MAX_SOURCE_FILES) {
+        truncated = true;
+        return;
+      }
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+          await walk(fullPath);
+        }
+      } else if (entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name)) && !entry.name.endsWith('.d.ts')) {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  await walk(projectDir);
+  return { files, truncated };
+}
+
+function packageOfSpecifier(specifier) {
+  if (/^[./#~]/.test(specifier) || specifier.startsWith('node:') || /^[a-z]+:/i.test(specifier)) {
+    return null;
+  }
+  const parts = specifier.split('/');
+  const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  if (builtinModules.includes(name) || builtinModules.includes(specifier)) {
+    return null;
+  }
+  return /^(@[\w.-]+\/)?[\w.-]+$/.test(name) ? name : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function binNames(name, bin) {
+  if (!bin) {
+    return [];
+  }
+  return typeof bin === 'string' ? [name.split('/').pop()] : Object.keys(bin);
+}
+
+/**
+ * Compares the declared dependencies with the packages the source imports.
+ * Dependencies that are only run from scripts, named in config files or
+ * type definitions for a used package count as used.
+ */
+async function analyzeUsage(projectDir, manifest, packages) {
+  const { files, truncated } = await listSourceFiles(projectDir);
+  const imports = new Map();
+  let usesBuiltins = false;
+  let hasTypeScript = false;
+
+  for (const file of files) {
+    const stat = await fs.stat(file);
+    if (stat.size > MAX_SOURCE_BYTES) {
+      continue;
+    }
+    hasTypeScript = hasTypeScript || /\.[cm]?tsx?$/.test(file);
+    const source = (await fs.readFile(file, 'utf-8')).replace(COMMENT_PATTERN, '');
+    for (const pattern of IMPORT_PATTERNS) {
+      for (const [, specifier] of source.matchAll(pattern)) {
+        const name = packageOfSpecifier(specifier);
+        if (!name) {
+          usesBuiltins = usesBuiltins || specifier.startsWith('node:') || builtinModules.includes(specifier.split('/')[0]);
+          continue;
+        }
+        if (!imports.has(name)) {
+          imports.set(name, new Set());
+        }
+        imports.get(name).add(path.relative(projectDir, file));
+      }
+    }
+  }
+
+  // Scripts and config files may use packages without importing them
+  const scripts = Object.values(manifest.scripts ?? {}).join('\n');
+  const { dependencies, devDependencies, optionalDependencies, peerDependencies, ...otherFields } = manifest;
+  let configText = JSON.stringify(otherFields);
+  const rootEntries = await fs.readdir(projectDir, { withFileTypes: true });
+  for (const entry of rootEntries) {
+    if (entry.isFile() && CONFIG_FILE_PATTERN.test(entry.name) && entry.name !== 'package.json') {
+      configText += `\n${await fs.readFile(path.join(projectDir, entry.name), 'utf-8').catch(() => '')}`;
+    }
+  }
+
+  const declared = new Map();
+  for (const type of DEPENDENCY_TYPES) {
+    for (const name of Object.keys(manifest[type] ?? {})) {
+      declared.set(name, type);
+    }
+  }
+
+  const isUsed = (name) => {
+    if (imports.has(name) || configText.includes(name)) {
+      return true;
+    }
+    const entry = packages?.[`node_modules/${name}`];
+    const bins = binNames(name, entry?.bin);
+    if (bins.some(bin => new RegExp(`(^|[\\s;&|()'"/])${escapeRegExp(bin)}(?=$|[\\s;&|()'"])`, 'm').test(scripts))) {
+      return true;
+    }
+    if (name.startsWith('@types/')) {
+      const typed = name.slice('@types/'.length);
+      if (typed === 'node') {
+        return usesBuiltins || hasTypeScript;
+      }
+      const untyped = typed.includes('__') ? `@${typed.replace('__', '/')}` : typed;
+      return imports.has(untyped) || declared.has(untyped);
+    }
+    return false;
+  };
+
+  const unused = Array.from(declared.entries())
+    .filter(([name, type]) => type !== 'peerDependencies' && !isUsed(name))
+    .map(([name, type]) => ({ name, type }));
+  const missing = Array.from(imports.entries())
+    .filter(([name]) => !declared.has(name) && name !== manifest.name)
+    .map(([name, importedBy]) => ({ name, files: Array.from(importedBy).slice(0, 5) }));
+
+  return { filesScanned: files.length, truncated, unused, missing };
+}
+
+/**
+ * Lists the shortest dependency paths from the project to every installed
+ * copy of `name`, following Node's resolution from each package's location.
+ * Workspace packages count as dependencies of the project.
+ */
+function explainWhy(packages, manifest, name) {
+  const rootDependencies = Object.keys({
+    ...manifest.dependencies,
+    ...manifest.devDependencies,
+    ...manifest.optionalDependencies,
+    ...manifest.peerDependencies,
+  });
+  const workspaces = Object.keys(packages).filter(location => location !== '' && !location.includes('node_modules/'));
+  const dependenciesOf = (location) => {
+    const entry = location === '' ? null : packages[location];
+    const names = location === ''
+      ? rootDependencies
+      : Object.keys({ ...entry?.dependencies, ...entry?.optionalDependencies, ...entry?.peerDependencies });
+    const resolved = names.map(dependency => resolveLocation(packages, location, dependency)).filter(Boolean);
+    return location === '' ? [...resolved, ...workspaces] : resolved;
+  };
+
+  const paths = [];
+  const queue = [['']];
+  const visited = new Set(['']);
+  while (queue.length > 0 && paths.length < MAX_WHY_PATHS) {
+    const chain = queue.shift();
+    for (const next of dependenciesOf(chain[chain.length - 1])) {
+      if (visited.has(next)) {
+        continue;
+      }
+      visited.add(next);
+      const extended = [...chain, next];
+      if (entryName(packages, next) === name) {
+        paths.push(extended.slice(1).map(location => ({
+          name: entryName(packages, location),
+          version: packages[location]?.version ?? null,
+          dev: Boolean(packages[location]?.dev),
+        })));
+      } else {
+        queue.push(extended);
+      }
+    }
+  }
+
+  const installed = Object.keys(packages).filter(location =>
+    location.includes('node_modules/') && entryName(packages, location) === name);
+  return {
+    name,
+    installed: installed.map((location) => {
+      const { link, resolved, version } = packages[location];
+      return link
+        ? { location, version: packages[resolved]?.version ?? null, linkedTo: resolved }
+        : { location, version };
+    }),
+    paths,
+  };
+}
+
+/**
+ * Reads a project's package.json and its installed packages as a
+ * lockfile-style `packages` map keyed by location ("node_modules/a",
+ * "node_modules/a/node_modules/b"), from the lockfile if it has one.
+ */
+export async function loadPackageTree(projectDir) {
+  const manifest = await readJson(path.join(projectDir, 'package.json'));
+  if (!manifest) {
+    throw new Error(`No package.json in ${projectDir}`);
+  }
+
+  const lockfile = await readLockfile(projectDir);
+  const packages = lockfile?.packages ?? await readNodeModules(projectDir);
+  return { manifest, lockfile, packages };
+}
+
+/**
+ * Finds the script behind a package's binary, looking in node_modules from
+ * `projectDir` up so hoisted workspace dependencies are found too.
+ */
+async function findPackageBin(projectDir, packageName, binName = packageName) {
+  let dir = projectDir;
+  while (true) {
+    const packageDir = path.join(dir, 'node_modules', packageName);
+    try {
+      const manifest = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf-8'));
+      const bin = typeof manifest.bin === 'string' ? manifest.bin : manifest.bin?.[binName];
+      if (bin) {
+        return path.join(packageDir, bin);
+      }
+    } catch {
+      // Not installed at this level
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+export async function requirePackageBin(projectDir, packageName, purpose, binName = packageName) {
+  const bin = await findPackageBin(projectDir, packageName, binName);
+  if (!bin) {
+    throw new Error(`${packageName} is needed ${purpose} but is not installed in ${projectDir}`);
+  }
+  return bin;
+}
+
+/**
+ * Analyzes the project in `projectDir`. `sections` selects the parts of the
+ * report; `why` adds the dependency paths to one package.
+ */
+export async function analyzeDependencies(projectDir, { sections = DEPENDENCY_SECTIONS, why } = {}) {
+  const { manifest, lockfile, packages } = await loadPackageTree(projectDir);
+  const hasNodeModules = await fs.stat(path.join(projectDir, 'node_modules')).then(stat => stat.isDirectory(), () => false);
+
+  const report = {
+    project: { name: manifest.name ?? null, version: manifest.version ?? null, path: projectDir },
+    lockfile: lockfile ? { path: lockfile.file, version: lockfile.version, used: Boolean(lockfile.packages) } : null,
+    nodeModules: hasNodeModules,
+    packageCount: Object.keys(packages).filter(location => location.includes('node_modules/')).length,
+  };
+
+  if (sections.includes('versions')) {
+    report.dependencies = await compareVersions(projectDir, manifest, lockfile?.packages);
+  }
+  if (sections.includes('duplicates')) {
+    report.duplicates = findDuplicates(packages);
+  }
+  if (sections.includes('usage')) {
+    report.usage = await analyzeUsage(projectDir, manifest, packages);
+  }
+  if (sections.includes('licenses')) {
+    report.licenses = await summarizeLicenses(projectDir, packages);
+  }
+  if (why) {
+    report.why = explainWhy(packages, manifest, why);
+  }
+  return report;
+}
+
+export function formatDependencyReport(report) {
+  const { project, lockfile } = report;
+  const lines = [
+    `Dependencies of ${project.name ?? '(unnamed)'}${project.version ? `@${project.version}` : ''} (${project.path})`,
+    lockfile
+      ? `Lockfile: ${path.basename(lockfile.path)} v${lockfile.version}` +
+        (lockfile.used ? '' : ' (not supported, node_modules used instead)')
+      : 'Lockfile: none (node_modules used instead)',
+    `node_modules: ${report.nodeModules ? 'present' : 'missing'}, ${report.packageCount} package(s)`,
+  ];
+
+  if (report.dependencies) {
+    const problems = report.dependencies.filter(dependency => dependency.status !== 'ok');
+    lines.push('', `Declared Dependencies (${report.dependencies.length}, ${problems.length} with problems):`);
+    for (const dependency of report.dependencies) {
+      lines.push(
+        `- ${dependency.name} (${dependency.type}) ${dependency.range} → ` +
+        `installed ${dependency.installed ?? 'none'}${dependency.locked ? `, locked ${dependency.locked}` : ''}` +
+        `${dependency.status !== 'ok' ? ` [${dependency.status}]` : ''}`
+      );
+    }
+  }
+
+  if (report.duplicates) {
+    lines.push('', `Duplicates (${report.duplicates.length}):`);
+    if (report.duplicates.length === 0) {
+      lines.push('None');
+    }
+    for (const duplicate of report.duplicates) {
+      lines.push(`- ${duplicate.name}: ${duplicate.versions
+        .map(version => `${version.version} (${version.locations.length}x)`).join(', ')}`);
+    }
+  }
+
+  if (report.usage) {
+    const { usage } = report;
+    lines.push('', `Usage (${usage.filesScanned} source file(s) scanned${usage.truncated ? ', limit reached' : ''}):`);
+    lines.push(usage.unused.length > 0
+      ? `Possibly unused: ${usage.unused.map(dependency => `${dependency.name} (${dependency.type})`).join(', ')}`
+      : 'Possibly unused: none');
+    lines.push(usage.missing.length > 0
+      ? `Missing from package.json:\n${usage.missing.map(dependency =>
+        `- ${dependency.name} (imported in ${dependency.files.join(', ')})`).join('\n')}`
+      : 'Missing from package.json: none');
+  }
+
+  if (report.licenses) {
+    lines.push('', 'Licenses:');
+    for (const [license, count] of Object.entries(report.licenses.summary)) {
+      lines.push(`- ${license}: ${count}`);
+    }
+    if (report.licenses.unknown.length > 0) {
+      lines.push(`Without a license: ${report.licenses.unknown.join(', ')}`);
+    }
+  }
+
+  if (report.why) {
+    const { why } = report;
+    lines.push('', `Why ${why.name}:`);
+    if (why.installed.length === 0) {
+      lines.push('Not installed');
+    } else {
+      lines.push(`Installed: ${why.installed.map(copy =>
+        `${copy.version} at ${copy.location}${copy.linkedTo ? ` (link to ${copy.linkedTo})` : ''}`).join(', ')}`);
+      for (const chain of why.paths) {
+        const dev = chain[0]?.dev ? ' (dev)' : '';
+        lines.push(`- ${[project.name ?? 'project', ...chain.map(link => `${link.name}@${link.version}`)].join(' > ')}${dev}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,549 @@
+/**
+ * Editing package.json without disturbing its layout: unchanged values are
+ * written back exactly as they were, changed ones in the file's indentation.
+ * Also validates the result and describes the scripts it defines.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import semver from 'semver';
+
+export const DEPENDENCY_TYPES = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+export const SCRIPT_ACTIONS = ['add', 'update', 'remove', 'rename'];
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Reads a package.json file along with its indentation and line endings.
+ */
+export async function readManifest(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+  if (!isObject(manifest)) {
+    throw new Error(`${file} does not contain a JSON object`);
+  }
+
+  return {
+    file,
+    text,
+    manifest,
+    indent: text.match(/^[ \t]+(?=")/m)?.[0] ?? '  ',
+    newline: text.includes('\r\n') ? '\r\n' : '\n',
+    finalNewline: /\n$/.test(text),
+  };
+}
+
+/**
+ * Scans JSON text (already known to be valid) into a tree of value spans,
+ * with the members of objects by key.
+ */
+function scanJson(text) {
+  let i = 0;
+  const skipWhitespace = () => {
+    while (/\s/.test(text[i])) {
+      i++;
+    }
+  };
+  const scanString = () => {
+    for (i++; text[i] !== '"'; i++) {
+      if (text[i] === '\\') {
+        i++;
+      }
+    }
+    i++;
+  };
+
+  const scanValue = () => {
+    skipWhitespace();
+    const start = i;
+    if (text[i] === '{' || text[i] === '[') {
+      const isObjectValue = text[i] === '{';
+      const close = isObjectValue ? '}' : ']';
+      const members = new Map();
+      i++;
+      skipWhitespace();
+      while (text[i] !== close) {
+        if (isObjectValue) {
+          const keyStart = i;
+          scanString();
+          const key = JSON.parse(text.slice(keyStart, i));
+          skipWhitespace();
+          i++; // :
+          members.set(key, scanValue());
+        } else {
+          scanValue();
+        }
+        skipWhitespace();
+        if (text[i] === ',') {
+          i++;
+          skipWhitespace();
+        }
+      }
+      i++;
+      return { start, end: i, members: isObjectValue ? members : null };
+    }
+    if (text[i] === '"') {
+      scanString();
+    } else {
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) {
+        i++;
+      }
+    }
+    return { start, end: i, members: null };
+  };
+
+  return scanValue();
+}
+
+/**
+ * Renders `value` at nesting `depth`. Where `node` (the span of the value it
+ * replaces) holds the same JSON, the original text is reused; objects are
+ * rebuilt member by member so one changed key does not reformat the rest.
+ */
+function renderValue(source, node, original, value, depth) {
+  const { text, indent } = source;
+  if (node && sameJson(original, value)) {
+    return text.slice(node.start, node.end);
+  }
+
+  if (isObject(value)) {
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+      return '{}';
+    }
+    const originalMembers = node?.members && isObject(original) ? node.members : null;
+    const members = entries.map(([key, member]) => {
+      const rendered = renderValue(source, originalMembers?.get(key), original?.[key], member, depth + 1);
+      return `${indent.repeat(depth + 1)}${JSON.stringify(key)}: ${rendered}`;
+    });
+    return `{\n${members.join(',\n')}\n${indent.repeat(depth)}}`;
+  }
+
+  return JSON.stringify(value, null, indent).replace(/\n/g, `\n${indent.repeat(depth)}`);
+}
+
+/**
+ * Returns the text of `manifest` as the file read by readManifest would
+ * hold it.
+ */
+export function renderManifest(source, manifest) {
+  const json = renderValue(source, scanJson(source.text), source.manifest, manifest, 0);
+  return json.replace(/\r?\n/g, source.newline) + (source.finalNewline ? source.newline : '');
+}
+
+/**
+ * A unified diff between two texts, with `context` unchanged lines around
+ * each change. Returns an empty string when they are equal.
+ */
+export function unifiedDiff(before, after, label, context = 3) {
+  const toLines = text => text.replace(/\r?\n$/, '').split(/\r?\n/);
+  const a = toLines(before);
+  const b = toLines(after);
+
+  // Only the lines between the common start and end need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  // Length of the longest common subsequence of a[i..endA] and b[j..endB]
+  const rows = endA - start;
+  const columns = endB - start;
+  const common = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      common[i][j] = a[start + i] === b[start + j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < start) {
+    lines.push({ type: ' ', text: a[i], oldLine: i++, newLine: j++ });
+  }
+  while (i < endA || j < endB) {
+    if (i < endA && j < endB && a[i] === b[j]) {
+      lines.push({ type: ' ', text: a[i], oldLine: i++, newLine: j++ });
+    } else if (i < endA && (j >= endB || common[i - start + 1][j - start] >= common[i - start][j - start + 1])) {
+      lines.push({ type: '-', text: a[i], oldLine: i++, newLine: j });
+    } else {
+      lines.push({ type: '+', text: b[j], oldLine: i, newLine: j++ });
+    }
+  }
+  while (i < a.length) {
+    lines.push({ type: ' ', text: a[i], oldLine: i++, newLine: j++ });
+  }
+
+  const changes = lines.flatMap((line, index) => (line.type === ' ' ? [] : [index]));
+  if (changes.length === 0) {
+    return '';
+  }
+
+  const output = [`--- a/${label}`, `+++ b/${label}`];
+  let next = 0;
+  while (next < changes.length) {
+    const from = Math.max(0, changes[next] - context);
+    let last = changes[next];
+    while (next + 1 < changes.length && changes[next + 1] - last <= context * 2) {
+      last = changes[++next];
+    }
+    next++;
+    const hunk = lines.slice(from, Math.min(lines.length, last + context + 1));
+    const oldCount = hunk.filter(line => line.type !== '+').length;
+    const newCount = hunk.filter(line => line.type !== '-').length;
+    output.push(`@@ -${hunk[0].oldLine + 1},${oldCount} +${hunk[0].newLine + 1},${newCount} @@`);
+    output.push(...hunk.map(line => `${line.type}${line.text}`));
+  }
+  return output.join('\n');
+}
+
+function isValidName(name) {
+  if (typeof name !== 'string' || name.length === 0 || name.length > 214 || name !== name.trim()) {
+    return false;
+  }
+  if (name !== name.toLowerCase() || /^[._]/.test(name)) {
+    return false;
+  }
+  const scoped = name.match(/^@([^/]+)\/([^/]+)$/);
+  const parts = scoped ? [scoped[1], scoped[2]] : [name];
+  return parts.every(part => encodeURIComponent(part) === part);
+}
+
+// Ranges, dist-tags and the non-registry specs npm understands
+function isValidSpec(spec) {
+  return typeof spec === 'string' && (
+    spec === '' ||
+    semver.validRange(spec) !== null ||
+    /^(npm|workspace|file|link|git|git\+[a-z]+|github|gitlab|bitbucket|gist|https?):/.test(spec) ||
+    /^[\w.-]+\/[\w.-]+(#.*)?$/.test(spec) ||
+    /^[A-Za-z][\w.-]*$/.test(spec)
+  );
+}
+
+const isStringMap = value => isObject(value) && Object.values(value).every(item => typeof item === 'string');
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Checks the fields npm and Node.js interpret. Returns one message per
+ * problem.
+ */
+export function validateManifest(manifest) {
+  const errors = [];
+  const check = (field, valid, message) => {
+    if (manifest[field] !== undefined && !valid(manifest[field])) {
+      errors.push(`${field}: ${message}`);
+    }
+  };
+
+  check('name', isValidName, 'must be a lowercase, URL-safe package name of at most 214 characters');
+  check('version', version => typeof version === 'string' && semver.valid(version) !== null, 'must be a valid semver version');
+  check('type', type => type === 'module' || type === 'commonjs', 'must be "module" or "commonjs"');
+  for (const field of ['description', 'main', 'module', 'types', 'typings', 'browser', 'license', 'homepage']) {
+    check(field, value => typeof value === 'string' || (field === 'browser' && isObject(value)), 'must be a string');
+  }
+  check('private', value => typeof value === 'boolean', 'must be true or false');
+  check('keywords', isStringArray, 'must be an array of strings');
+  check('files', isStringArray, 'must be an array of strings');
+  check('scripts', isStringMap, 'must map script names to command strings');
+  check('bin', bin => typeof bin === 'string' || isStringMap(bin), 'must be a path or map command names to paths');
+  check('workspaces', workspaces => isStringArray(workspaces) || isStringArray(workspaces?.packages),
+    'must be an array of paths or globs');
+  check('author', author => typeof author === 'string' || typeof author?.name === 'string',
+    'must be a string or an object with a name');
+  check('repository', repository => typeof repository === 'string' || typeof repository?.url === 'string',
+    'must be a string or an object with a url');
+  check('engines', engines => isStringMap(engines) &&
+    Object.values(engines).every(range => semver.validRange(range) !== null), 'must map engines to version ranges');
+  check('exports', (exports) => {
+    if (exports === null || typeof exports === 'string' || Array.isArray(exports)) {
+      return true;
+    }
+    // Node.js rejects exports that mix "./subpath" keys with conditions
+    const keys = Object.keys(exports);
+    return isObject(exports) && (keys.every(key => key.startsWith('.')) || keys.every(key => !key.startsWith('.')));
+  }, 'must be a path, an array, or an object of either "./subpath" keys or conditions, not both');
+
+  for (const type of DEPENDENCY_TYPES) {
+    check(type, isObject, 'must be an object');
+    if (!isObject(manifest[type])) {
+      continue;
+    }
+    for (const [name, spec] of Object.entries(manifest[type])) {
+      if (!isValidName(name)) {
+        errors.push(`${type}.${name}: invalid package name`);
+      }
+      if (!isValidSpec(spec)) {
+        errors.push(`${type}.${name}: invalid version range ${JSON.stringify(spec)}`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Splits a field path such as "engines.node" into keys. Paths given as
+ * arrays are used as they are, for keys that contain dots ("./feature").
+ */
+function fieldKeys(fieldPath) {
+  const keys = Array.isArray(fieldPath) ? fieldPath : String(fieldPath).split('.');
+  if (keys.length === 0 || keys.some(key => typeof key !== 'string' || key === '')) {
+    throw new Error(`Invalid field path: ${JSON.stringify(fieldPath)}`);
+  }
+  return keys;
+}
+
+function fieldLabel(keys) {
+  return keys.some(key => key.includes('.')) ? JSON.stringify(keys) : keys.join('.');
+}
+
+export function setField(manifest, fieldPath, value) {
+  const keys = fieldKeys(fieldPath);
+  let target = manifest;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] === undefined) {
+      target[key] = {};
+    } else if (!isObject(target[key])) {
+      throw new Error(`Cannot set ${fieldLabel(keys)}: ${key} is not an object`);
+    }
+    target = target[key];
+  }
+
+  const last = keys.at(-1);
+  const previous = target[last];
+  target[last] = value;
+  return previous === undefined
+    ? `Added ${fieldLabel(keys)}`
+    : `Changed ${fieldLabel(keys)} from ${JSON.stringify(previous)} to ${JSON.stringify(value)}`;
+}
+
+export function removeField(manifest, fieldPath) {
+  const keys = fieldKeys(fieldPath);
+  const parent = keys.slice(0, -1).reduce((target, key) => (isObject(target) ? target[key] : undefined), manifest);
+  if (!isObject(parent) || !(keys.at(-1) in parent)) {
+    throw new Error(`Field not found: ${fieldLabel(keys)}`);
+  }
+  delete parent[keys.at(-1)];
+  return `Removed ${fieldLabel(keys)}`;
+}
+
+// Inserts a key in alphabetical order if the object is sorted, as npm keeps
+// dependency lists, or at the end if it is not
+function withKey(object, key, value) {
+  const keys = Object.keys(object);
+  const sorted = keys.every((item, index) => index === 0 || keys[index - 1].localeCompare(item, 'en') <= 0);
+  if (key in object || !sorted) {
+    return { ...object, [key]: value };
+  }
+  const entries = Object.entries(object);
+  const position = entries.findIndex(([item]) => item.localeCompare(key, 'en') > 0);
+  entries.splice(position === -1 ? entries.length : position, 0, [key, value]);
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Adds a dependency to one section, moving it there from any other
+ * dependencies/devDependencies/optionalDependencies section.
+ */
+export function addDependency(manifest, { name, version, type = 'dependencies' }) {
+  if (!DEPENDENCY_TYPES.includes(type)) {
+    throw new Error(`Unknown dependency type: ${type} (use one of ${DEPENDENCY_TYPES.join(', ')})`);
+  }
+  if (!name || typeof version !== 'string') {
+    throw new Error(`A dependency needs a name and a version range: ${JSON.stringify({ name, version })}`);
+  }
+
+  const changes = [];
+  for (const other of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+    if (other !== type && type !== 'peerDependencies' && manifest[other]?.[name] !== undefined) {
+      delete manifest[other][name];
+      changes.push(`Removed ${name} from ${other}`);
+    }
+  }
+
+  const previous = manifest[type]?.[name];
+  manifest[type] = withKey(manifest[type] ?? {}, name, version);
+  changes.push(previous === undefined
+    ? `Added ${name}@${version} to ${type}`
+    : `Changed ${name} in ${type} from ${previous} to ${version}`);
+  return changes;
+}
+
+export function removeDependency(manifest, name) {
+  const sections = DEPENDENCY_TYPES.filter(type => manifest[type]?.[name] !== undefined);
+  if (sections.length === 0) {
+    throw new Error(`${name} is not a dependency`);
+  }
+  for (const type of sections) {
+    delete manifest[type][name];
+  }
+  return `Removed ${name} from ${sections.join(', ')}`;
+}
+
+/**
+ * Matches scripts that run `script` through npm, yarn or pnpm.
+ */
+function callPattern(script) {
+  const name = script.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b(npm (run|run-script)|yarn( run)?|pnpm( run)?) ${name}(?=\\s|$|[;&|])`);
+}
+
+/**
+ * Adds, updates, removes or renames a script. Renaming also renames its
+ * pre and post scripts. Returns the changes and warnings about other
+ * scripts that still refer to a removed or renamed one.
+ */
+export function editScript(manifest, { action, name, command, newName }) {
+  if (!name) {
+    throw new Error('A script name is required');
+  }
+  const scripts = manifest.scripts ?? {};
+  const exists = scripts[name] !== undefined;
+  const changes = [];
+
+  switch (action) {
+    case 'add':
+    case 'update':
+      if (typeof command !== 'string' || command.trim() === '') {
+        throw new Error(`${action === 'add' ? 'Adding' : 'Updating'} a script needs a command`);
+      }
+      if (action === 'add' && exists) {
+        throw new Error(`Script already exists: ${name} (use update to change it)`);
+      }
+      if (action === 'update' && !exists) {
+        throw new Error(`Script not found: ${name}`);
+      }
+      manifest.scripts = { ...scripts, [name]: command };
+      changes.push(exists ? `Changed script ${name} from "${scripts[name]}" to "${command}"` : `Added script ${name}`);
+      break;
+    case 'remove':
+      if (!exists) {
+        throw new Error(`Script not found: ${name}`);
+      }
+      delete scripts[name];
+      changes.push(`Removed script ${name}`);
+      break;
+    case 'rename': {
+      if (!exists) {
+        throw new Error(`Script not found: ${name}`);
+      }
+      if (!newName) {
+        throw new Error('Renaming a script needs newName');
+      }
+      const renames = [[name, newName], [`pre${name}`, `pre${newName}`], [`post${name}`, `post${newName}`]]
+        .filter(([from]) => scripts[from] !== undefined);
+      const taken = renames.find(([, to]) => scripts[to] !== undefined);
+      if (taken) {
+        throw new Error(`Script already exists: ${taken[1]}`);
+      }
+      const targets = new Map(renames);
+      manifest.scripts = Object.fromEntries(Object.entries(scripts).map(([key, value]) => [targets.get(key) ?? key, value]));
+      changes.push(...renames.map(([from, to]) => `Renamed script ${from} to ${to}`));
+      break;
+    }
+    default:
+      throw new Error(`Unknown script action: ${action} (use one of ${SCRIPT_ACTIONS.join(', ')})`);
+  }
+
+  const warnings = action === 'remove' || action === 'rename'
+    ? Object.entries(manifest.scripts)
+      .filter(([, value]) => callPattern(name).test(value))
+      .map(([key]) => `Script ${key} still runs ${name}`)
+    : [];
+  return { changes, warnings };
+}
+
+// Where node_modules/.bin/<name> leads, looking up from projectDir
+async function resolveBin(projectDir, name) {
+  let dir = projectDir;
+  while (true) {
+    const link = path.join(dir, 'node_modules', '.bin', name);
+    const target = await fs.realpath(link).catch(() => null);
+    if (target) {
+      const packagePath = target.split(`${path.sep}node_modules${path.sep}`).pop().split(path.sep);
+      return {
+        path: path.relative(projectDir, link),
+        package: packagePath[0].startsWith('@') ? packagePath.slice(0, 2).join('/') : packagePath[0],
+      };
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Describes each script: the pre and post scripts npm runs around it, the
+ * other scripts it calls, and for each command in it whether it is a
+ * binary from node_modules/.bin (and from which package) or found on PATH.
+ */
+export async function describeScripts(projectDir, manifest) {
+  const scripts = { ...manifest.scripts };
+  // npm's implicit start script
+  if (scripts.start === undefined && await fs.stat(path.join(projectDir, 'server.js')).catch(() => null)) {
+    scripts.start = 'node server.js';
+  }
+
+  const names = Object.keys(scripts);
+  const described = [];
+  for (const name of names) {
+    const command = scripts[name];
+    const hookFor = ['pre', 'post']
+      .map(prefix => (name.startsWith(prefix) ? name.slice(prefix.length) : null))
+      .find(target => target && scripts[target] !== undefined) ?? null;
+
+    const commands = [];
+    let resolved = command;
+    for (const segment of command.split(/&&|\|\||[;|&]/)) {
+      const words = segment.trim().split(/\s+/).filter(word => !/^\w+=/.test(word));
+      const viaNpx = words[0] === 'npx';
+      const program = viaNpx ? words.find((word, index) => index > 0 && !word.startsWith('-')) : words[0];
+      if (!program || commands.some(item => item.name === program)) {
+        continue;
+      }
+      const bin = await resolveBin(projectDir, program);
+      commands.push({ name: program, package: bin?.package ?? null, path: bin?.path ?? null });
+      if (bin && !viaNpx) {
+        resolved = resolved.replace(new RegExp(`(^|[\\s;&|])${program.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=\\s|$)`, 'g'), `$1${bin.path}`);
+      }
+    }
+
+    described.push({
+      name,
+      command,
+      resolved,
+      implicit: manifest.scripts?.[name] === undefined,
+      hookFor,
+      runs: hookFor ? [name] : [`pre${name}`, name, `post${name}`].filter(script => scripts[script] !== undefined),
+      calls: names.filter(other => other !== name && callPattern(other).test(command)),
+      commands,
+    });
+  }
+  return described;
+}
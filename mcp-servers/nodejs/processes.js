@@ -0,0 +1,377 @@
+/**
+ * Child processes for the tools: commands that run to completion, and
+ * background processes whose output is kept in a line-based ring buffer.
+ */
+
+import { spawn } from 'child_process';
+import net from 'net';
+
+export const DEFAULT_LOG_LINES = 5000;
+export const DEFAULT_MAX_BUFFER = 10 * 1024 * 1024;
+
+// How long a stopped command gets to exit before it is sent SIGKILL
+const KILL_GRACE_PERIOD = 2000;
+
+// Colour and cursor escape codes emitted by most dev servers
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Line-based ring buffer for a process's stdout and stderr. Every line gets
+ * an increasing offset, so readers can resume where they stopped even after
+ * old lines have been dropped.
+ */
+export class LogBuffer {
+  constructor(maxLines = DEFAULT_LOG_LINES) {
+    this.maxLines = maxLines;
+    this.lines = [];
+    this.start = 0;
+    this.partial = { stdout: '', stderr: '' };
+  }
+
+  get end() {
+    return this.start + this.lines.length;
+  }
+
+  write(stream, chunk) {
+    const parts = (this.partial[stream] + chunk).split(/\r?\n/);
+    this.partial[stream] = parts.pop();
+    for (const line of parts) {
+      this.push(stream, line);
+    }
+  }
+
+  flush() {
+    for (const stream of Object.keys(this.partial)) {
+      if (this.partial[stream]) {
+        this.push(stream, this.partial[stream]);
+        this.partial[stream] = '';
+      }
+    }
+  }
+
+  push(stream, text) {
+    this.lines.push({ stream, text: text.replace(ANSI_PATTERN, '') });
+    if (this.lines.length > this.maxLines) {
+      this.lines.shift();
+      this.start++;
+    }
+  }
+
+  /**
+   * Returns up to `limit` lines from `offset` on, optionally from one stream
+   * only. `dropped` counts lines that were requested but have already left
+   * the buffer. Unterminated output (such as a prompt) is returned in
+   * `partial` without being consumed.
+   */
+  read(offset = 0, { limit = Infinity, stream } = {}) {
+    const from = Math.max(offset, this.start);
+    const lines = [];
+    let next = from;
+    while (next < this.end && lines.length < limit) {
+      const line = this.lines[next - this.start];
+      if (!stream || line.stream === stream) {
+        lines.push(line);
+      }
+      next++;
+    }
+
+    return {
+      offset: from,
+      nextOffset: next,
+      dropped: Math.max(0, this.start - offset),
+      lines,
+      partial: Object.fromEntries(
+        Object.entries(this.partial)
+          .filter(([name, text]) => text && (!stream || name === stream))
+          .map(([name, text]) => [name, text.replace(ANSI_PATTERN, '')])
+      ),
+    };
+  }
+}
+
+function killGroup(child, detached, signal) {
+  try {
+    if (detached) {
+      process.kill(-child.pid, signal);
+    } else {
+      child.kill(signal);
+    }
+  } catch (error) {
+    if (error.code !== 'ESRCH') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Runs a command to completion and describes how it ended. With `shell` the
+ * command line is run by the shell; otherwise `file` is started with `args`.
+ *
+ * Complete output lines are passed to `onLine` as they arrive. The process
+ * and everything it started are killed when `timeout` passes, when the
+ * output grows beyond `maxBuffer` or when `signal` is aborted; this is
+ * reported in the result rather than thrown. Failures to start the process
+ * still throw.
+ */
+export async function runProcess({
+  command,
+  file,
+  args = [],
+  shell = false,
+  cwd,
+  env,
+  timeout,
+  maxBuffer = DEFAULT_MAX_BUFFER,
+  signal,
+  onLine,
+}) {
+  if (signal?.aborted) {
+    throw new Error('Cancelled');
+  }
+
+  const startTime = Date.now();
+  const detached = process.platform !== 'win32';
+  const spawnOptions = { cwd, env, detached, stdio: ['ignore', 'pipe', 'pipe'] };
+  const child = shell
+    ? spawn(command, { ...spawnOptions, shell: true })
+    : spawn(file, args, spawnOptions);
+
+  await new Promise((resolve, reject) => {
+    child.once('spawn', resolve);
+    child.once('error', reject);
+  });
+
+  const output = { stdout: '', stderr: '' };
+  const partial = { stdout: '', stderr: '' };
+  let bytes = 0;
+  let stopReason = null;
+  let killTimer = null;
+
+  const stop = (reason) => {
+    if (stopReason) {
+      return;
+    }
+    stopReason = reason;
+    killGroup(child, detached, 'SIGTERM');
+    killTimer = setTimeout(() => killGroup(child, detached, 'SIGKILL'), KILL_GRACE_PERIOD);
+  };
+
+  for (const stream of ['stdout', 'stderr']) {
+    child[stream].setEncoding('utf-8').on('data', (chunk) => {
+      if (stopReason === 'maxBuffer') {
+        return;
+      }
+      bytes += Buffer.byteLength(chunk);
+      if (bytes > maxBuffer) {
+        stop('maxBuffer');
+        return;
+      }
+      output[stream] += chunk;
+      if (onLine) {
+        const lines = (partial[stream] + chunk).split(/\r?\n/);
+        partial[stream] = lines.pop();
+        for (const line of lines) {
+          onLine(stream, line.replace(ANSI_PATTERN, ''));
+        }
+      }
+    });
+  }
+
+  const timer = timeout ? setTimeout(() => stop('timeout'), timeout) : null;
+  const onAbort = () => stop('cancelled');
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  const [exitCode, exitSignal] = await new Promise(resolve => child.once('close', (...result) => resolve(result)));
+  clearTimeout(timer);
+  clearTimeout(killTimer);
+  signal?.removeEventListener('abort', onAbort);
+
+  return {
+    command,
+    cwd,
+    exitCode,
+    signal: exitSignal,
+    timedOut: stopReason === 'timeout',
+    cancelled: stopReason === 'cancelled',
+    outputTruncated: stopReason === 'maxBuffer',
+    durationMs: Date.now() - startTime,
+    stdout: output.stdout,
+    stderr: output.stderr,
+  };
+}
+
+function isPortOpen(port, host) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host });
+    const finish = (open) => {
+      socket.destroy();
+      resolve(open);
+    };
+    socket.setTimeout(500, () => finish(false));
+    socket.once('connect', () => finish(true));
+    socket.once('error', () => finish(false));
+  });
+}
+
+/**
+ * Keeps track of the background processes started through the tools.
+ * Processes run in their own process group (on POSIX systems) so that
+ * stopping e.g. `npm run dev` also stops the server npm started.
+ */
+export class ProcessRegistry {
+  constructor({ maxLines = DEFAULT_LOG_LINES } = {}) {
+    this.maxLines = maxLines;
+    this.processes = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Starts a process. With `shell` the command line is run by the shell;
+   * otherwise `file` is started with `args`. Resolves once the process has
+   * been spawned.
+   */
+  async start({ id, command, file, args = [], shell = false, cwd, env }) {
+    const processId = id ?? `proc-${this.nextId++}`;
+    if (this.processes.get(processId)?.status === 'running') {
+      throw new Error(`Process already running: ${processId}`);
+    }
+
+    const detached = process.platform !== 'win32';
+    const child = shell
+      ? spawn(command, { cwd, env, shell: true, detached })
+      : spawn(file, args, { cwd, env, detached });
+
+    await new Promise((resolve, reject) => {
+      child.once('spawn', resolve);
+      child.once('error', reject);
+    });
+
+    const entry = {
+      id: processId,
+      command,
+      cwd,
+      pid: child.pid,
+      child,
+      detached,
+      status: 'running',
+      exitCode: null,
+      signal: null,
+      startedAt: Date.now(),
+      exitedAt: null,
+      log: new LogBuffer(this.maxLines),
+    };
+    entry.exited = new Promise((resolve) => {
+      child.on('close', (code, signal) => {
+        entry.log.flush();
+        Object.assign(entry, { status: 'exited', exitCode: code, signal, exitedAt: Date.now() });
+        resolve();
+      });
+    });
+
+    child.stdout.setEncoding('utf-8').on('data', chunk => entry.log.write('stdout', chunk));
+    child.stderr.setEncoding('utf-8').on('data', chunk => entry.log.write('stderr', chunk));
+    // Writing to a process that has exited must not crash the server
+    child.stdin.on('error', () => {});
+
+    this.processes.set(processId, entry);
+    return entry;
+  }
+
+  get(id) {
+    const entry = this.processes.get(id);
+    if (!entry) {
+      throw new Error(`Unknown process: ${id}`);
+    }
+    return entry;
+  }
+
+  list() {
+    return Array.from(this.processes.values());
+  }
+
+  /**
+   * Waits until the output matches the RegExp `pattern` and/or `port`
+   * accepts connections, whichever were given, or until the process exits,
+   * `timeout` passes or `signal` is aborted.
+   */
+  async waitUntilReady(entry, { pattern: regex, port, host, timeout = 30000, signal }) {
+    const hosts = host ? [host] : ['127.0.0.1', '::1'];
+    const startTime = Date.now();
+    let patternSeen = !regex;
+    let portOpen = !port;
+    let scanned = 0;
+
+    while (true) {
+      if (!patternSeen) {
+        const { lines, nextOffset, partial } = entry.log.read(scanned);
+        scanned = nextOffset;
+        patternSeen = lines.some(line => regex.test(line.text)) ||
+          Object.values(partial).some(text => regex.test(text));
+      }
+      if (!portOpen) {
+        for (const candidate of hosts) {
+          if (await isPortOpen(port, candidate)) {
+            portOpen = true;
+            break;
+          }
+        }
+      }
+
+      if (patternSeen && portOpen) {
+        return { ready: true, waitedMs: Date.now() - startTime };
+      }
+      if (entry.status !== 'running') {
+        return { ready: false, waitedMs: Date.now() - startTime, reason: 'exited' };
+      }
+      if (Date.now() - startTime >= timeout) {
+        return { ready: false, waitedMs: Date.now() - startTime, reason: 'timeout' };
+      }
+      if (signal?.aborted) {
+        return { ready: false, waitedMs: Date.now() - startTime, reason: 'cancelled' };
+      }
+      await sleep(200);
+    }
+  }
+
+  signal(entry, signal) {
+    killGroup(entry.child, entry.detached, signal);
+  }
+
+  /**
+   * Sends `signal` to the process group and escalates to SIGKILL if it is
+   * still running after `timeout` milliseconds. Stopped processes are
+   * removed from the registry.
+   */
+  async stop(id, { signal = 'SIGTERM', timeout = 5000 } = {}) {
+    const entry = this.get(id);
+    let killed = false;
+
+    if (entry.status === 'running') {
+      this.signal(entry, signal);
+      const timer = new Promise(resolve => setTimeout(resolve, timeout, 'timeout'));
+      if (await Promise.race([entry.exited, timer]) === 'timeout') {
+        this.signal(entry, 'SIGKILL');
+        killed = true;
+        await entry.exited;
+      }
+    }
+
+    this.processes.delete(id);
+    return { entry, killed };
+  }
+
+  async stopAll() {
+    await Promise.all(this.list().map(entry => this.stop(entry.id, { timeout: 2000 })));
+  }
+
+  // For process 'exit' handlers, which cannot wait
+  killAll() {
+    for (const entry of this.list()) {
+      if (entry.status === 'running') {
+        this.signal(entry, 'SIGKILL');
+      }
+    }
+  }
+}
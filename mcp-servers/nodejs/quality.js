@@ -0,0 +1,288 @@
+/**
+ * Lint, format and type-check runs with the project's own ESLint, Prettier
+ * and TypeScript, with their findings turned into diagnostics of one shape:
+ * file, line, column, rule, severity and message.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { requirePackageBin } from './dependencies.js';
+
+// "src/a.ts(3,7): error TS2322: message" or a global "error TS5058: message"
+const TSC_PATTERN = /^(?:(.+)\((\d+),(\d+)\): )?(error|warning|message) (TS\d+): (.*)$/;
+
+// "[error] src/a.js: SyntaxError: Unexpected token (5:1)"
+const PRETTIER_ERROR_PATTERN = /^\[error\] (.+?): (\w*Error): (.*?)(?: \((\d+):(\d+)\))?$/;
+
+// Code frame lines Prettier prints below a syntax error
+const PRETTIER_FRAME_PATTERN = /^\[error\]\s+(?:>?\s*\d+\s*\||\|)/;
+
+// Formats the files named after the report file with the project's own
+// Prettier and configuration, and writes the results to the report file
+const FORMAT_SCRIPT = `
+import fs from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const [reportFile, ...files] = process.argv.slice(1);
+const require = createRequire(path.join(process.cwd(), 'package.json'));
+const module = await import(pathToFileURL(require.resolve('prettier')).href);
+const prettier = module.default ?? module;
+const results = [];
+for (const file of files) {
+  try {
+    const source = fs.readFileSync(file, 'utf-8');
+    const options = await prettier.resolveConfig(file);
+    results.push({ file, source, output: await prettier.format(source, { ...options, filepath: file }) });
+  } catch (error) {
+    results.push({ file, error: error.message });
+  }
+}
+fs.writeFileSync(reportFile, JSON.stringify(results));
+`;
+
+function relativeTo(projectDir, file) {
+  return path.relative(projectDir, path.resolve(projectDir, file)) || '.';
+}
+
+function diagnostic(fields) {
+  return {
+    file: null,
+    line: null,
+    column: null,
+    endLine: null,
+    endColumn: null,
+    rule: null,
+    ...fields,
+  };
+}
+
+/**
+ * Builds the node arguments that lint `files` with ESLint, writing a JSON
+ * report to `reportFile`. With `fix`, the fixed sources are added to the
+ * report instead of being written.
+ */
+export async function buildLintCommand(projectDir, { reportFile, files = ['.'], fix = false }) {
+  return [
+    await requirePackageBin(projectDir, 'eslint', 'to lint the project'),
+    '--format', 'json',
+    '--output-file', reportFile,
+    ...(fix ? ['--fix-dry-run'] : []),
+    ...files,
+  ];
+}
+
+/**
+ * Reads the ESLint JSON report. The diagnostics are the ones left after the
+ * fixes; `changes` holds the source and fixed text of every file a fix
+ * changes. Returns null when ESLint wrote no report.
+ */
+export async function readLintResults(reportFile, projectDir) {
+  let results;
+  try {
+    results = JSON.parse(await fs.readFile(reportFile, 'utf-8'));
+  } catch {
+    return null;
+  }
+
+  const diagnostics = [];
+  const changes = [];
+  for (const result of results) {
+    const file = relativeTo(projectDir, result.filePath);
+    for (const message of result.messages) {
+      diagnostics.push(diagnostic({
+        file,
+        line: message.line ?? null,
+        column: message.column ?? null,
+        endLine: message.endLine ?? null,
+        endColumn: message.endColumn ?? null,
+        rule: message.ruleId ?? null,
+        severity: message.severity === 2 ? 'error' : 'warning',
+        message: message.message,
+        fixable: Boolean(message.fix),
+      }));
+    }
+    if (typeof result.output === 'string') {
+      changes.push({ file, source: await fs.readFile(result.filePath, 'utf-8'), output: result.output });
+    }
+  }
+  return { diagnostics, changes };
+}
+
+/**
+ * Builds the node arguments that list the files Prettier would change.
+ */
+export async function buildFormatCheckCommand(projectDir, { files = ['.'] }) {
+  return [await requirePackageBin(projectDir, 'prettier', 'to format files'), '--list-different', ...files];
+}
+
+/**
+ * Reads the output of `prettier --list-different`: the files that are not
+ * formatted, syntax errors as diagnostics, and any other error messages.
+ */
+export function parseFormatCheck(stdout, stderr, projectDir) {
+  const files = stdout.split('\n').map(line => line.trim()).filter(Boolean);
+  const diagnostics = [];
+  const messages = [];
+  for (const line of stderr.split('\n')) {
+    const match = line.match(PRETTIER_ERROR_PATTERN);
+    if (match) {
+      diagnostics.push(diagnostic({
+        file: relativeTo(projectDir, match[1]),
+        line: match[4] ? Number(match[4]) : null,
+        column: match[5] ? Number(match[5]) : null,
+        severity: 'error',
+        message: `${match[2]}: ${match[3]}`,
+      }));
+    } else if (line.startsWith('[error]') && !PRETTIER_FRAME_PATTERN.test(line)) {
+      messages.push(line.replace(/^\[error\]\s*/, ''));
+    }
+  }
+  return { files, diagnostics, messages };
+}
+
+/**
+ * Builds the node arguments that format `files` and write the original and
+ * formatted text of each to `reportFile`.
+ */
+export function buildFormatCommand(reportFile, files) {
+  return ['--input-type=module', '-e', FORMAT_SCRIPT, reportFile, ...files];
+}
+
+/**
+ * Reads the results of the format command. Every file that formatting
+ * changes gets a diagnostic at its first changed line. Returns null when
+ * the command wrote no results.
+ */
+export async function readFormatResults(reportFile, projectDir) {
+  let results;
+  try {
+    results = JSON.parse(await fs.readFile(reportFile, 'utf-8'));
+  } catch {
+    return null;
+  }
+
+  const diagnostics = [];
+  const changes = [];
+  for (const result of results) {
+    const file = relativeTo(projectDir, result.file);
+    if (result.error) {
+      diagnostics.push(diagnostic({ file, severity: 'error', message: result.error }));
+      continue;
+    }
+    if (result.output === result.source) {
+      continue;
+    }
+
+    const before = result.source.split('\n');
+    const after = result.output.split('\n');
+    let line = 0;
+    while (line < before.length - 1 && before[line] === after[line]) {
+      line++;
+    }
+    diagnostics.push(diagnostic({
+      file,
+      line: line + 1,
+      column: 1,
+      rule: 'prettier',
+      severity: 'warning',
+      message: 'File is not formatted',
+      fixable: true,
+    }));
+    changes.push({ file, source: result.source, output: result.output });
+  }
+  return { diagnostics, changes };
+}
+
+/**
+ * Builds the node arguments that type-check the project with tsc, using
+ * `project` (a tsconfig file or its directory) when given.
+ */
+export async function buildTypecheckCommand(projectDir, { project }) {
+  return [
+    await requirePackageBin(projectDir, 'typescript', 'to type-check the project', 'tsc'),
+    '--noEmit',
+    '--pretty', 'false',
+    ...(project ? ['--project', project] : []),
+  ];
+}
+
+/**
+ * Reads tsc's diagnostics from its non-pretty output. Indented lines below
+ * a diagnostic continue its message.
+ */
+export function parseTypecheckOutput(output, projectDir) {
+  const diagnostics = [];
+  for (const line of output.split(/\r?\n/)) {
+    const match = line.match(TSC_PATTERN);
+    if (match) {
+      const [, file, lineNumber, column, category, code, message] = match;
+      diagnostics.push(diagnostic({
+        file: file ? relativeTo(projectDir, file) : null,
+        line: lineNumber ? Number(lineNumber) : null,
+        column: column ? Number(column) : null,
+        rule: code,
+        severity: category === 'message' ? 'info' : category,
+        message,
+      }));
+    } else if (/^\s/.test(line) && line.trim() && diagnostics.length > 0) {
+      diagnostics[diagnostics.length - 1].message += `\n${line.trimEnd()}`;
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * Orders diagnostics by file and position, and counts them per severity.
+ */
+export function summarizeDiagnostics(diagnostics) {
+  const sorted = [...diagnostics].sort((a, b) =>
+    (a.file ?? '').localeCompare(b.file ?? '') || (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+  const summary = {
+    errors: sorted.filter(item => item.severity === 'error').length,
+    warnings: sorted.filter(item => item.severity === 'warning').length,
+    files: new Set(sorted.map(item => item.file).filter(Boolean)).size,
+  };
+  return { diagnostics: sorted, summary };
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+export function formatQualityReport(report) {
+  const { summary } = report;
+  const lines = [
+    `Command: ${report.command}`,
+    `Result: ${report.passed ? 'PASSED' : 'FAILED'} - ${plural(summary.errors, 'error')}, ` +
+      `${plural(summary.warnings, 'warning')} in ${plural(summary.files, 'file')}`,
+  ];
+  if (report.timedOut || report.cancelled) {
+    lines.push(`Exit code: ${report.exitCode ?? 'none'}${report.timedOut ? ' (timed out)' : ''}${report.cancelled ? ' (cancelled)' : ''}`);
+  }
+  if (report.messages?.length > 0) {
+    lines.push('', ...report.messages);
+  }
+
+  let currentFile;
+  for (const item of report.diagnostics) {
+    if (item.file !== currentFile) {
+      currentFile = item.file;
+      lines.push('', currentFile ?? '(project)');
+    }
+    const position = item.line ? `${item.line}:${item.column ?? 0}` : '-';
+    const [first, ...rest] = item.message.split('\n');
+    lines.push(`  ${position.padEnd(8)} ${item.severity.padEnd(8)} ${first}${item.rule ? `  ${item.rule}` : ''}`);
+    lines.push(...rest.map(line => `${' '.repeat(20)}${line.trim()}`));
+  }
+
+  if (report.changes?.length > 0) {
+    const count = plural(report.changes.length, 'file');
+    lines.push('', report.applied ? `Fixed ${count}:` : `Fixes for ${count} (not written):`);
+    for (const change of report.changes) {
+      lines.push(change.diff);
+    }
+  }
+  return lines.join('\n');
+}
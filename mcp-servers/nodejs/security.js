@@ -0,0 +1,350 @@
+/**
+ * Vulnerability and outdated-package reports, from npm audit and npm
+ * outdated or offline from an OSV advisory database.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import semver from 'semver';
+import { entryName } from './dependencies.js';
+
+// Most severe first
+export const SEVERITIES = ['critical', 'high', 'moderate', 'low', 'info', 'unknown'];
+
+const SEVERITY_ALIASES = { medium: 'moderate', none: 'info' };
+
+function normalizeSeverity(severity) {
+  const value = String(severity ?? 'unknown').toLowerCase();
+  const normalized = SEVERITY_ALIASES[value] ?? value;
+  return SEVERITIES.includes(normalized) ? normalized : 'unknown';
+}
+
+export function severityRank(severity) {
+  return SEVERITIES.indexOf(normalizeSeverity(severity));
+}
+
+/**
+ * The lowest version above `version` that is outside `range`, going by the
+ * range's upper bounds: "<4.17.21" gives 4.17.21. Returns null when the
+ * range has no exclusive upper bound.
+ */
+function versionOutside(range, version) {
+  let parsed;
+  try {
+    parsed = new semver.Range(range);
+  } catch {
+    return null;
+  }
+  const candidates = parsed.set.flat()
+    .filter(comparator => comparator.operator === '<')
+    .map(comparator => comparator.semver.version)
+    .filter(candidate => !version || semver.gt(candidate, version))
+    .sort(semver.compare);
+  return candidates.find(candidate => !semver.satisfies(candidate, range)) ?? null;
+}
+
+/**
+ * Turns `npm audit --json` output (audit report version 2) into findings:
+ * one per advisory, plus one for each package that is only vulnerable
+ * through its dependencies.
+ */
+export function parseNpmAudit(audit, packages) {
+  if (audit.error || !audit.vulnerabilities) {
+    const reason = audit.error?.summary || audit.message || 'unexpected output';
+    throw new Error(`npm audit failed: ${reason}`);
+  }
+
+  const findings = [];
+  for (const vulnerability of Object.values(audit.vulnerabilities)) {
+    const installed = packages?.[vulnerability.nodes?.[0]];
+    const version = installed?.version ?? null;
+    const fix = vulnerability.fixAvailable;
+    const fixAvailable = fix === true
+      ? { name: vulnerability.name, version: null, isSemVerMajor: false }
+      : fix ? { name: fix.name, version: fix.version, isSemVerMajor: Boolean(fix.isSemVerMajor) } : null;
+    const base = {
+      package: vulnerability.name,
+      version,
+      direct: Boolean(vulnerability.isDirect),
+      dev: Boolean(installed?.dev),
+      paths: vulnerability.nodes ?? [],
+      fixAvailable,
+      source: 'npm-audit',
+    };
+
+    const advisories = (vulnerability.via ?? []).filter(via => typeof via === 'object');
+    for (const advisory of advisories) {
+      findings.push({
+        ...base,
+        severity: normalizeSeverity(advisory.severity),
+        id: advisory.url?.split('/').pop() ?? String(advisory.source),
+        title: advisory.title,
+        url: advisory.url ?? null,
+        vulnerableRange: advisory.range,
+        fixVersion: versionOutside(advisory.range, version),
+      });
+    }
+
+    const throughDependencies = (vulnerability.via ?? []).filter(via => typeof via === 'string');
+    if (advisories.length === 0 && throughDependencies.length > 0) {
+      findings.push({
+        ...base,
+        severity: normalizeSeverity(vulnerability.severity),
+        id: null,
+        title: `Depends on vulnerable ${throughDependencies.join(', ')}`,
+        url: null,
+        vulnerableRange: vulnerability.range,
+        fixVersion: fixAvailable?.name === vulnerability.name ? fixAvailable.version : null,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Turns `npm outdated --json --long` output into one row per package, with
+ * how far behind the latest version it is.
+ */
+export function parseNpmOutdated(outdated) {
+  if (outdated.error) {
+    throw new Error(`npm outdated failed: ${outdated.error.summary || 'unexpected output'}`);
+  }
+
+  return Object.entries(outdated).flatMap(([name, info]) => (Array.isArray(info) ? info : [info]).map((entry) => {
+    const behind = entry.current && semver.valid(entry.current) && semver.valid(entry.latest)
+      ? semver.diff(entry.current, entry.latest)
+      : null;
+    return {
+      package: name,
+      current: entry.current ?? null,
+      wanted: entry.wanted ?? null,
+      latest: entry.latest ?? null,
+      type: entry.type ?? null,
+      dependent: entry.dependent ?? null,
+      behind: behind?.replace(/^pre/, '') ?? (entry.current ? null : 'not installed'),
+    };
+  }));
+}
+
+/**
+ * Reads OSV advisories from a JSON file (one advisory, an array of them or
+ * an object with a `vulns` array) or from a directory of such files.
+ */
+export async function loadAdvisories(source) {
+  const stat = await fs.stat(source).catch(() => null);
+  if (!stat) {
+    throw new Error(`Advisory database not found: ${source}`);
+  }
+
+  const files = stat.isDirectory()
+    ? (await fs.readdir(source, { recursive: true }))
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.join(source, file))
+    : [source];
+
+  const advisories = [];
+  for (const file of files) {
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read advisory file ${file}: ${error.message}`);
+    }
+    const entries = Array.isArray(content) ? content : content.vulns ?? [content];
+    advisories.push(...entries.filter(entry => entry?.id && Array.isArray(entry.affected)));
+  }
+  return advisories;
+}
+
+/**
+ * Checks whether `version` is affected according to an OSV `affected`
+ * entry. Returns null when it is not, otherwise the version that fixes it
+ * (null inside the result when no fix is known).
+ */
+function matchAffected(affected, version) {
+  if (affected.versions?.includes(version)) {
+    return { fixVersion: null };
+  }
+
+  for (const range of affected.ranges ?? []) {
+    if (range.type !== 'SEMVER' && range.type !== 'ECOSYSTEM') {
+      continue;
+    }
+    let introduced = null;
+    for (const event of range.events ?? []) {
+      if (event.introduced !== undefined) {
+        introduced = event.introduced === '0' ? '0.0.0' : event.introduced;
+        continue;
+      }
+      if (introduced === null || !semver.valid(introduced) || semver.lt(version, introduced)) {
+        introduced = null;
+        continue;
+      }
+      if (event.fixed !== undefined && semver.valid(event.fixed) && semver.lt(version, event.fixed)) {
+        return { fixVersion: event.fixed };
+      }
+      if (event.last_affected !== undefined && semver.valid(event.last_affected) && semver.lte(version, event.last_affected)) {
+        return { fixVersion: null };
+      }
+      introduced = null;
+    }
+    // An introduced event without a later fix affects every later version
+    if (introduced !== null && semver.valid(introduced) && semver.gte(version, introduced)) {
+      return { fixVersion: null };
+    }
+  }
+  return null;
+}
+
+function describeRange(affected) {
+  const parts = [];
+  for (const range of affected.ranges ?? []) {
+    let lower = null;
+    for (const event of range.events ?? []) {
+      if (event.introduced !== undefined) {
+        lower = event.introduced === '0' ? null : `>=${event.introduced}`;
+      } else if (event.fixed !== undefined || event.last_affected !== undefined) {
+        const upper = event.fixed !== undefined ? `<${event.fixed}` : `<=${event.last_affected}`;
+        parts.push([lower, upper].filter(Boolean).join(' '));
+        lower = undefined;
+      }
+    }
+    if (lower !== undefined) {
+      parts.push(lower ?? '*');
+    }
+  }
+  if (affected.versions?.length) {
+    parts.push(...affected.versions);
+  }
+  return parts.join(' || ') || null;
+}
+
+/**
+ * Matches every installed package in `packages` against the advisories.
+ */
+export function checkAdvisories(packages, advisories, manifest) {
+  const byPackage = new Map();
+  for (const advisory of advisories) {
+    for (const affected of advisory.affected) {
+      if (affected.package?.ecosystem !== 'npm') {
+        continue;
+      }
+      const name = affected.package.name;
+      if (!byPackage.has(name)) {
+        byPackage.set(name, []);
+      }
+      byPackage.get(name).push({ advisory, affected });
+    }
+  }
+
+  const declared = new Set(['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']
+    .flatMap(section => Object.keys(manifest[section] ?? {})));
+  const findings = [];
+  for (const [location, entry] of Object.entries(packages)) {
+    if (!location.includes('node_modules/') || entry.link || !semver.valid(entry.version)) {
+      continue;
+    }
+    const name = entryName(packages, location);
+    for (const { advisory, affected } of byPackage.get(name) ?? []) {
+      const match = matchAffected(affected, entry.version);
+      if (!match) {
+        continue;
+      }
+      const reference = advisory.references?.find(item => item.type === 'ADVISORY') ?? advisory.references?.[0];
+      findings.push({
+        package: name,
+        version: entry.version,
+        direct: location === `node_modules/${name}` && declared.has(name),
+        dev: Boolean(entry.dev),
+        paths: [location],
+        severity: normalizeSeverity(
+          advisory.database_specific?.severity ?? affected.ecosystem_specific?.severity ?? advisory.severity?.[0]?.severity
+        ),
+        id: advisory.id,
+        aliases: advisory.aliases ?? [],
+        title: advisory.summary ?? advisory.details?.split('\n')[0] ?? advisory.id,
+        url: reference?.url ?? null,
+        vulnerableRange: describeRange(affected),
+        fixVersion: match.fixVersion,
+        source: 'osv',
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Orders findings by severity, then package name, and counts them per
+ * severity.
+ */
+export function rankFindings(findings) {
+  const sorted = [...findings].sort((a, b) =>
+    severityRank(a.severity) - severityRank(b.severity) || a.package.localeCompare(b.package));
+  const summary = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  for (const finding of sorted) {
+    summary[finding.severity]++;
+  }
+  summary.total = sorted.length;
+  return { findings: sorted, summary };
+}
+
+function table(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  return rows.map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd()).join('\n');
+}
+
+export function formatSecurityReport(report) {
+  const { summary } = report;
+  const counts = SEVERITIES.filter(severity => summary[severity] > 0)
+    .map(severity => `${summary[severity]} ${severity}`);
+  const lines = [
+    `Security report for ${report.cwd} (${report.source === 'osv' ? `OSV database ${report.advisoryDb}` : 'npm audit'})`,
+    `Vulnerabilities: ${summary.total}${counts.length > 0 ? ` (${counts.join(', ')})` : ''}`,
+  ];
+
+  if (report.findings.length > 0) {
+    lines.push('', table([
+      ['SEVERITY', 'PACKAGE', 'VERSION', 'ADVISORY', 'FIX'],
+      ...report.findings.map(finding => [
+        finding.severity.toUpperCase(),
+        `${finding.package}${finding.direct ? '' : ' (transitive)'}`,
+        finding.version ?? '?',
+        `${finding.id ? `${finding.id}: ` : ''}${finding.title}`,
+        suggestedFix(finding),
+      ]),
+    ]));
+  }
+
+  if (report.outdated) {
+    lines.push('', `Outdated packages: ${report.outdated.length}`);
+    if (report.outdated.length > 0) {
+      lines.push(table([
+        ['PACKAGE', 'CURRENT', 'WANTED', 'LATEST', 'BEHIND'],
+        ...report.outdated.map(entry => [
+          entry.package, entry.current ?? '-', entry.wanted ?? '-', entry.latest ?? '-', entry.behind ?? '-',
+        ]),
+      ]));
+    }
+  }
+
+  if (report.failOn) {
+    lines.push('', report.passed
+      ? `No vulnerabilities at or above ${report.failOn}`
+      : `Vulnerabilities at or above ${report.failOn} found`);
+  }
+  return lines.join('\n');
+}
+
+export function suggestedFix(finding) {
+  if (finding.fixVersion) {
+    return `${finding.package}@${finding.fixVersion}`;
+  }
+  const fix = finding.fixAvailable;
+  if (fix?.version) {
+    return `${fix.name}@${fix.version}${fix.isSemVerMajor ? ' (major)' : ''}`;
+  }
+  if (fix) {
+    return 'npm audit fix';
+  }
+  return 'none known';
+}
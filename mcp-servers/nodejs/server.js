@@ -9,12 +9,263 @@ import {
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { loadConfig, toolFilter } from '../shared/config.js';
+import { isWithin, progressReporter, toolResult } from '../shared/tools.js';
+import {
+  AuditLog, auditSettings, formatReplayReport, readAuditLog, replayFilePath, replayLogPath, replayRecordedCalls,
+  selectCalls,
+} from '../shared/audit.js';
+import { DEFAULT_LOG_LINES, ProcessRegistry, runProcess } from './processes.js';
+import { DEPENDENCY_SECTIONS, analyzeDependencies, formatDependencyReport, loadPackageTree } from './dependencies.js';
+import {
+  SEVERITIES,
+  checkAdvisories,
+  formatSecurityReport,
+  loadAdvisories,
+  parseNpmAudit,
+  parseNpmOutdated,
+  rankFindings,
+  severityRank,
+} from './security.js';
+import {
+  DEPENDENCY_TYPES,
+  SCRIPT_ACTIONS,
+  addDependency,
+  describeScripts,
+  editScript,
+  readManifest,
+  removeDependency,
+  removeField,
+  renderManifest,
+  setField,
+  unifiedDiff,
+  validateManifest,
+} from './manifest.js';
+import { changedWorkspaces, loadWorkspaces, runInOrder, selectWorkspaces } from './workspaces.js';
+import { TEST_RUNNERS, buildTestCommand, detectRunner, formatTestReport, readCoverage, readTestResults } from './tests.js';
+import {
+  buildFormatCheckCommand,
+  buildFormatCommand,
+  buildLintCommand,
+  buildTypecheckCommand,
+  formatQualityReport,
+  parseFormatCheck,
+  parseTypecheckOutput,
+  readFormatResults,
+  readLintResults,
+  summarizeDiagnostics,
+} from './quality.js';
 
 const execAsync = promisify(exec);
 
+// npm subcommands (and their aliases) the sandbox lets through by default.
+// Anything else, e.g. publish or adduser, must be enabled explicitly.
+const DEFAULT_NPM_ALLOWLIST = [
+  'install', 'i', 'add', 'ci', 'uninstall', 'remove', 'rm', 'un',
+  'update', 'up', 'upgrade', 'run', 'run-script', 'test', 't', 'start', 'stop', 'restart',
+  'ls', 'list', 'outdated', 'audit', 'view', 'info', 'show', 'explain', 'why',
+  'pack', 'prune', 'dedupe', 'rebuild', 'fund', 'doctor', 'help', 'version'
+];
+
+// npm flags that would let a command operate outside the sandboxed cwd, or
+// run lifecycle scripts through another program
+const NPM_BLOCKED_FLAGS = [
+  '-g', '--global', '--prefix', '-C', '--location', '--userconfig', '--globalconfig',
+  '--script-shell', '--node-options',
+];
+
+// Environment variables that would undo the sandbox's node flags or npm checks
+const SANDBOX_BLOCKED_ENV = /^(NODE_OPTIONS|npm_config_.*)$/i;
+
+// Node flags that turn on the permission model (the first is Node 20's name)
+const PERMISSION_FLAGS = ['--experimental-permission', '--permission'];
+
+// Default and maximum run time of the long-running tools in milliseconds. For
+// start_process this limits how long it waits for the process to be ready.
+const DEFAULT_TOOL_TIMEOUTS = {
+  run_node_script: { default: 60000, max: 600000 },
+  npm_command: { default: 300000, max: 1800000 },
+  start_process: { default: 30000, max: 300000 },
+  security_report: { default: 120000, max: 600000 },
+  run_tests: { default: 300000, max: 1800000 },
+  run_workspace_script: { default: 600000, max: 3600000 },
+  lint_project: { default: 120000, max: 600000 },
+  format_files: { default: 120000, max: 600000 },
+  typecheck_project: { default: 300000, max: 1800000 },
+};
+
+// Settings read from the "nodejs" section of the config file and from the
+// environment, which wins over the file (see ../shared/config.js)
+const CONFIG_SPEC = {
+  section: 'nodejs',
+  envPrefix: 'NODEJS_MCP',
+  settings: {
+    workingDir: { type: 'path', env: 'NODEJS_MCP_CWD', default: process.cwd() },
+    sandbox: { type: 'boolean', env: 'NODEJS_MCP_SANDBOX', default: false },
+    allowedRoots: { type: 'paths', env: 'NODEJS_MCP_ALLOWED_ROOTS', separator: path.delimiter, default: [] },
+    maxBuffer: { type: 'number', env: 'NODEJS_MCP_MAX_BUFFER', min: 1, default: 10 * 1024 * 1024 },
+    nodeFlags: { type: 'list', env: 'NODEJS_MCP_NODE_FLAGS', separator: ' ', default: [] },
+    npmAllow: { type: 'list', env: 'NODEJS_MCP_NPM_ALLOW', default: [] },
+    processLogLines: { type: 'number', env: 'NODEJS_MCP_PROCESS_LOG_LINES', min: 1, default: DEFAULT_LOG_LINES },
+    ...auditSettings('NODEJS_MCP', 'nodejs'),
+  },
+  timeouts: DEFAULT_TOOL_TIMEOUTS,
+  // Kept from before NODEJS_MCP_TOOL_TIMEOUTS existed
+  timeoutEnv: { NODEJS_MCP_TIMEOUT: ['run_node_script', 'npm_command'] },
+};
+
+/**
+ * The files a call wrote according to its structured result: an edited
+ * package.json, or the files lint and format fixes were written to.
+ */
+function writtenFiles(data) {
+  return [
+    ...(data.written ? [data.path] : []),
+    ...(data.applied ? data.changes.map(change => path.resolve(data.cwd, change.file)) : []),
+  ];
+}
+
+/**
+ * The sandbox settings of a loaded config. The sandbox is off unless the
+ * config enables it. Project roots only hold in the sandbox (outside it
+ * commands run through a shell), so setting them without it is an error.
+ */
+function sandboxOptions({ settings }) {
+  if (!settings.sandbox && settings.allowedRoots.length > 0) {
+    throw new Error(
+      'Invalid configuration:\n  - allowedRoots (NODEJS_MCP_ALLOWED_ROOTS) only applies in sandbox mode; ' +
+        'set sandbox (NODEJS_MCP_SANDBOX) to true as well'
+    );
+  }
+  return {
+    enabled: settings.sandbox,
+    allowedRoots: settings.allowedRoots,
+    maxBuffer: settings.maxBuffer,
+    nodeFlags: settings.nodeFlags,
+    npmAllowlist: [...DEFAULT_NPM_ALLOWLIST, ...settings.npmAllow],
+  };
+}
+
+/**
+ * Splits a command line into arguments the way a POSIX shell would for plain
+ * words and quoted strings, without expanding variables, globs or
+ * substitutions.
+ */
+function splitCommandLine(commandLine) {
+  const args = [];
+  let current = '';
+  let inArg = false;
+  let quote = null;
+
+  for (let i = 0; i < commandLine.length; i++) {
+    const char = commandLine[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < commandLine.length) {
+        current += commandLine[++i];
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inArg = true;
+    } else if (char === '\\' && i + 1 < commandLine.length) {
+      current += commandLine[++i];
+      inArg = true;
+    } else if (/\s/.test(char)) {
+      if (inArg) {
+        args.push(current);
+        current = '';
+        inArg = false;
+      }
+    } else {
+      current += char;
+      inArg = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in command: ${commandLine}`);
+  }
+  if (inArg) {
+    args.push(current);
+  }
+  return args;
+}
+
+function commandResult(header, result) {
+  const { exitCode, signal, timedOut, cancelled, outputTruncated, durationMs, stdout, stderr } = result;
+  let status = `Exit code: ${exitCode ?? `none (killed by ${signal})`}`;
+  if (timedOut) {
+    status += ' (timed out)';
+  }
+  if (cancelled) {
+    status += ' (cancelled)';
+  }
+  if (outputTruncated) {
+    status += ' (output exceeded maxBuffer)';
+  }
+
+  return toolResult(
+    `${header}\n${status}\nDuration: ${durationMs}ms\n\nOutput:\n${stdout}${stderr ? `\nErrors:\n${stderr}` : ''}`,
+    result,
+    exitCode !== 0
+  );
+}
+
+/**
+ * The error for a command that ended without producing the results a tool
+ * needs, with the end of its output.
+ */
+function commandFailure(result, what) {
+  const status = result.timedOut
+    ? `timed out after ${result.durationMs}ms`
+    : result.cancelled ? 'was cancelled' : `exited with ${result.exitCode ?? result.signal}`;
+  const output = `${result.stdout}\n${result.stderr}`.trim().split('\n').slice(-30).join('\n');
+  return new Error(`${result.command} ${status} without ${what}${output ? `:\n${output}` : ''}`);
+}
+
+function describeProcess(entry) {
+  return {
+    id: entry.id,
+    pid: entry.pid,
+    command: entry.command,
+    cwd: entry.cwd,
+    status: entry.status,
+    exitCode: entry.exitCode,
+    signal: entry.signal,
+    startedAt: new Date(entry.startedAt).toISOString(),
+    uptimeMs: (entry.exitedAt ?? Date.now()) - entry.startedAt,
+    lines: entry.log.end,
+  };
+}
+
+function formatLines(lines) {
+  return lines.length > 0
+    ? lines.map(line => `${line.stream === 'stderr' ? '[stderr] ' : ''}${line.text}`).join('\n')
+    : '(no output)';
+}
+
 class NodeJSMCPServer {
-  constructor() {
+  constructor(options = {}) {
+    this.config = options.config ?? loadConfig(CONFIG_SPEC, { parseYaml });
+    this.workingDir = this.config.settings.workingDir;
+    this.sandbox = { ...sandboxOptions(this.config), ...options.sandbox };
+    this.timeouts = { ...this.config.timeouts, ...options.timeouts };
+    this.processes = new ProcessRegistry({ maxLines: this.config.settings.processLogLines });
+    this.audit = new AuditLog({
+      server: 'nodejs',
+      settings: this.config.settings,
+      artifacts: writtenFiles,
+      // Later calls refer to background processes by ID
+      ids: (tool, data) => (tool === 'start_process' && data.id ? { processId: data.id } : {}),
+    });
+
     this.server = new Server(
       {
         name: 'nodejs-mcp-server',
@@ -33,14 +284,21 @@ class NodeJSMCPServer {
 
   setupErrorHandling() {
     this.server.onerror = (error) => console.error('[MCP Error]', error);
-    process.on('SIGINT', async () => {
+    const shutdown = async () => {
+      await this.processes.stopAll();
       await this.server.close();
       process.exit(0);
-    });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    // Background processes run in their own process groups and would
+    // otherwise outlive the server
+    process.on('exit', () => this.processes.killAll());
   }
 
   setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    // Every tool of the server; the config decides which are offered
+    const listAllTools = () => ({
       tools: [
         {
           name: 'run_node_script',
@@ -61,7 +319,12 @@ class NodeJSMCPServer {
               cwd: {
                 type: 'string',
                 description: 'Working directory for the command',
-                default: process.cwd(),
+                default: this.workingDir,
+              },
+              timeout: {
+                type: 'number',
+                description: `Milliseconds before the command is killed (at most ${this.timeouts.run_node_script.max})`,
+                default: this.timeouts.run_node_script.default,
               },
             },
             required: ['script'],
@@ -80,12 +343,151 @@ class NodeJSMCPServer {
               cwd: {
                 type: 'string',
                 description: 'Working directory for the command',
-                default: process.cwd(),
+                default: this.workingDir,
+              },
+              timeout: {
+                type: 'number',
+                description: `Milliseconds before the command is killed (at most ${this.timeouts.npm_command.max})`,
+                default: this.timeouts.npm_command.default,
+              },
+            },
+            required: ['command'],
+          },
+        },
+        {
+          name: 'start_process',
+          description: 'Start a long-running command (e.g. "npm run dev") in the background and optionally wait until it is ready',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              command: {
+                type: 'string',
+                description: 'Command line to run, e.g. "npm run dev" or "node server.js --port 4000"',
+              },
+              id: {
+                type: 'string',
+                description: 'Name for the process (generated when omitted)',
+              },
+              cwd: {
+                type: 'string',
+                description: 'Working directory for the command',
+                default: this.workingDir,
+              },
+              env: {
+                type: 'object',
+                additionalProperties: { type: 'string' },
+                description: 'Environment variables to set in addition to the server\'s own',
+              },
+              readyPattern: {
+                type: 'string',
+                description: 'Regular expression to wait for in the output, e.g. "Local:.*http" or "listening on"',
+              },
+              readyPort: {
+                type: 'number',
+                description: 'TCP port to wait for until it accepts connections',
+              },
+              readyHost: {
+                type: 'string',
+                description: 'Host to check readyPort on (defaults to 127.0.0.1 and ::1)',
+              },
+              readyTimeout: {
+                type: 'number',
+                description: `Milliseconds to wait for readiness (at most ${this.timeouts.start_process.max})`,
+                default: this.timeouts.start_process.default,
               },
             },
             required: ['command'],
           },
         },
+        {
+          name: 'read_process_output',
+          description: 'Read the output of a background process from an offset onwards',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                description: 'ID of the process',
+              },
+              offset: {
+                type: 'number',
+                description: 'Line offset to read from; pass the previous nextOffset to get only new output',
+                default: 0,
+              },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of lines to return',
+                default: 200,
+              },
+              stream: {
+                type: 'string',
+                enum: ['stdout', 'stderr'],
+                description: 'Only return lines from this stream',
+              },
+            },
+            required: ['id'],
+          },
+        },
+        {
+          name: 'send_process_input',
+          description: 'Write to the stdin of a background process',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                description: 'ID of the process',
+              },
+              input: {
+                type: 'string',
+                description: 'Text to write',
+              },
+              newline: {
+                type: 'boolean',
+                description: 'Append a newline to the input',
+                default: true,
+              },
+              end: {
+                type: 'boolean',
+                description: 'Close stdin after writing',
+                default: false,
+              },
+            },
+            required: ['id'],
+          },
+        },
+        {
+          name: 'list_processes',
+          description: 'List background processes with their status',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'stop_process',
+          description: 'Stop a background process and everything it started, and remove it from the list',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                description: 'ID of the process',
+              },
+              signal: {
+                type: 'string',
+                description: 'Signal to send first',
+                default: 'SIGTERM',
+              },
+              timeout: {
+                type: 'number',
+                description: 'Milliseconds to wait before sending SIGKILL',
+                default: 5000,
+              },
+            },
+            required: ['id'],
+          },
+        },
         {
           name: 'get_package_info',
           description: 'Get information about a package.json file',
@@ -101,130 +503,1461 @@ class NodeJSMCPServer {
           },
         },
         {
-          name: 'node_version_info',
-          description: 'Get Node.js and npm version information',
+          name: 'update_package_json',
+          description: 'Edit a package.json file: set or remove fields and add or remove dependencies. Keeps the key ' +
+            'order and formatting, validates the result and can return a diff without writing (dryRun)',
           inputSchema: {
             type: 'object',
-            properties: {},
+            properties: {
+              path: {
+                type: 'string',
+                description: 'Path to the package.json file or its directory',
+                default: './package.json',
+              },
+              set: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    field: {
+                      type: ['string', 'array'],
+                      items: { type: 'string' },
+                      description: 'Field path such as "engines.node", or an array of keys for keys containing dots ' +
+                        '(["exports", "./feature"])',
+                    },
+                    value: { description: 'JSON value to set' },
+                  },
+                  required: ['field', 'value'],
+                },
+                description: 'Fields to set',
+              },
+              remove: {
+                type: 'array',
+                items: { type: ['string', 'array'], items: { type: 'string' } },
+                description: 'Field paths to remove',
+              },
+              addDependencies: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    version: { type: 'string', description: 'Version range, tag or other npm specifier' },
+                    type: { type: 'string', enum: DEPENDENCY_TYPES, default: 'dependencies' },
+                  },
+                  required: ['name', 'version'],
+                },
+                description: 'Dependencies to add or change (package.json only; run npm install afterwards)',
+              },
+              removeDependencies: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Dependencies to remove from every dependency section',
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Return the diff without writing the file',
+                default: false,
+              },
+            },
           },
         },
-      ],
-    }));
-
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        switch (name) {
-          case 'run_node_script':
-            return await this.runNodeScript(args);
-          case 'npm_command':
-            return await this.runNpmCommand(args);
-          case 'get_package_info':
-            return await this.getPackageInfo(args);
-          case 'node_version_info':
-            return await this.getNodeVersionInfo();
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: ${error.message}`,
+        {
+          name: 'manage_scripts',
+          description: 'Add, update, remove or rename a script in package.json, keeping its formatting',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              path: {
+                type: 'string',
+                description: 'Path to the package.json file or its directory',
+                default: './package.json',
+              },
+              action: {
+                type: 'string',
+                enum: SCRIPT_ACTIONS,
+              },
+              name: {
+                type: 'string',
+                description: 'Script name',
+              },
+              command: {
+                type: 'string',
+                description: 'Command for add and update',
+              },
+              newName: {
+                type: 'string',
+                description: 'New name for rename (its pre and post scripts are renamed too)',
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Return the diff without writing the file',
+                default: false,
+              },
             },
-          ],
-        };
-      }
-    });
-  }
-
-  async runNodeScript(args) {
-    const { script, args: scriptArgs = [], cwd = process.cwd() } = args;
-    
-    // If script looks like a file path, run it directly
-    if (script.endsWith('.js') || script.includes('/')) {
-      const command = `node ${script} ${scriptArgs.join(' ')}`;
-      const { stdout, stderr } = await execAsync(command, { cwd });
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Command: ${command}\n\nOutput:\n${stdout}${stderr ? `\nErrors:\n${stderr}` : ''}`,
-          },
-        ],
-      };
-    } else {
-      // Execute as inline script
-      const command = `node -e "${script.replace(/"/g, '\\"')}" ${scriptArgs.join(' ')}`;
-      const { stdout, stderr } = await execAsync(command, { cwd });
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Script executed:\n${script}\n\nOutput:\n${stdout}${stderr ? `\nErrors:\n${stderr}` : ''}`,
+            required: ['action', 'name'],
           },
-        ],
-      };
-    }
-  }
-
-  async runNpmCommand(args) {
-    const { command, cwd = process.cwd() } = args;
-    const fullCommand = `npm ${command}`;
-    const { stdout, stderr } = await execAsync(fullCommand, { cwd });
-    
-    return {
-      content: [
+        },
         {
-          type: 'text',
-          text: `Command: ${fullCommand}\n\nOutput:\n${stdout}${stderr ? `\nErrors:\n${stderr}` : ''}`,
+          name: 'list_scripts',
+          description: 'List the scripts in package.json with the command each resolves to, the package providing ' +
+            'each binary, the pre and post scripts npm runs around it and the other scripts it calls',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              path: {
+                type: 'string',
+                description: 'Path to the package.json file or its directory',
+                default: './package.json',
+              },
+            },
+          },
         },
-      ],
-    };
-  }
-
-  async getPackageInfo(args) {
-    const { path: packagePath = './package.json' } = args;
-    
-    try {
-      const content = await fs.readFile(packagePath, 'utf-8');
-      const packageJson = JSON.parse(content);
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Package Information from ${packagePath}:\n\n${JSON.stringify(packageJson, null, 2)}`,
+        {
+          name: 'list_workspaces',
+          description: 'List the packages of an npm, yarn or pnpm workspace (monorepo) with their names, versions ' +
+            'and paths, the dependencies between them as a graph, their build order and any dependency cycles',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cwd: {
+                type: 'string',
+                description: 'Workspace root, or any directory inside it',
+                default: this.workingDir,
+              },
+            },
           },
-        ],
-      };
-    } catch (error) {
-      throw new Error(`Failed to read package.json: ${error.message}`);
-    }
-  }
-
-  async getNodeVersionInfo() {
-    const { stdout: nodeVersion } = await execAsync('node --version');
-    const { stdout: npmVersion } = await execAsync('npm --version');
-    
-    return {
-      content: [
+        },
         {
-          type: 'text',
-          text: `Node.js Version: ${nodeVersion.trim()}\nnpm Version: ${npmVersion.trim()}`,
+          name: 'run_workspace_script',
+          description: 'Run an npm script in the packages of a workspace in dependency order, optionally in parallel ' +
+            'and limited to packages matching a filter or changed since a git ref, with results per package',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              script: {
+                type: 'string',
+                description: 'Script to run, e.g. "build" or "test"',
+              },
+              args: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Arguments passed to the script (after --)',
+              },
+              cwd: {
+                type: 'string',
+                description: 'Workspace root, or any directory inside it',
+                default: this.workingDir,
+              },
+              filter: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Package names, name globs such as "@app/*" or package paths to run in (default: all)',
+              },
+              changedSince: {
+                type: 'string',
+                description: 'Only run in packages with files changed since this git ref, e.g. "main" or "HEAD~1"',
+              },
+              includeDependents: {
+                type: 'boolean',
+                description: 'Also run in the packages that depend on the selected ones',
+                default: false,
+              },
+              concurrency: {
+                type: 'number',
+                description: 'How many packages to run at once; a package still waits for the packages it depends on',
+                default: 1,
+              },
+              bail: {
+                type: 'boolean',
+                description: 'Stop starting packages after the first failure',
+                default: true,
+              },
+              timeout: {
+                type: 'number',
+                description: `Maximum run time of the whole call in milliseconds (default ` +
+                  `${this.timeouts.run_workspace_script.default}, max ${this.timeouts.run_workspace_script.max})`,
+              },
+            },
+            required: ['script'],
+          },
         },
-      ],
-    };
-  }
-
-  async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    console.error('Node.js MCP Server running on stdio');
-  }
+        {
+          name: 'analyze_dependencies',
+          description: 'Analyze a project\'s dependencies offline from package.json, the lockfile and node_modules: ' +
+            'declared vs installed versions, duplicates, unused or missing dependencies, licenses and why a package is installed',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cwd: {
+                type: 'string',
+                description: 'Project directory containing package.json',
+                default: this.workingDir,
+              },
+              sections: {
+                type: 'array',
+                items: { type: 'string', enum: DEPENDENCY_SECTIONS },
+                description: 'Parts of the report to include (all by default, none when only why is given)',
+              },
+              why: {
+                type: 'string',
+                description: 'Package name to show the dependency paths for, like "npm why"',
+              },
+            },
+          },
+        },
+        {
+          name: 'security_report',
+          description: 'Report known vulnerabilities in a project\'s dependencies, ranked by severity with a suggested fix ' +
+            'version, using npm audit and npm outdated, or offline from a local OSV advisory database',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cwd: {
+                type: 'string',
+                description: 'Project directory containing package.json',
+                default: this.workingDir,
+              },
+              advisoryDb: {
+                type: 'string',
+                description: 'OSV advisory file or directory of OSV JSON files to check the installed packages against ' +
+                  'instead of running npm audit',
+              },
+              includeOutdated: {
+                type: 'boolean',
+                description: 'Also list outdated packages with npm outdated (default: true unless advisoryDb is given)',
+              },
+              includeDev: {
+                type: 'boolean',
+                description: 'Include devDependencies',
+                default: true,
+              },
+              minSeverity: {
+                type: 'string',
+                enum: SEVERITIES,
+                description: 'Leave out findings below this severity',
+              },
+              failOn: {
+                type: 'string',
+                enum: SEVERITIES,
+                description: 'Mark the result as an error when there are findings at or above this severity',
+              },
+              timeout: {
+                type: 'number',
+                description: `Maximum run time of the npm commands in milliseconds (default ${this.timeouts.security_report.default}, ` +
+                  `max ${this.timeouts.security_report.max})`,
+              },
+            },
+          },
+        },
+        {
+          name: 'run_tests',
+          description: 'Run the project\'s tests with Jest, Vitest, Mocha or node:test (detected from package.json) and ' +
+            'return pass, fail and skip counts, the failing tests with their assertion messages and stack locations, ' +
+            'and optionally a coverage summary per file',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cwd: {
+                type: 'string',
+                description: 'Project directory containing package.json',
+                default: this.workingDir,
+              },
+              runner: {
+                type: 'string',
+                enum: TEST_RUNNERS,
+                description: 'Test runner to use instead of the detected one',
+              },
+              files: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Test files (or, for Jest and Vitest, file name patterns) to run instead of the whole suite',
+              },
+              testNamePattern: {
+                type: 'string',
+                description: 'Only run tests whose name matches this regular expression',
+              },
+              coverage: {
+                type: 'boolean',
+                description: 'Collect a coverage summary (Mocha and node:test need c8 installed)',
+                default: false,
+              },
+              runnerArgs: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Additional arguments for the test runner (in sandbox mode, no options starting with "-")',
+              },
+              timeout: {
+                type: 'number',
+                description: `Maximum run time in milliseconds (default ${this.timeouts.run_tests.default}, ` +
+                  `max ${this.timeouts.run_tests.max})`,
+              },
+            },
+          },
+        },
+        {
+          name: 'lint_project',
+          description: 'Lint files with the project\'s own ESLint and configuration and return the problems as ' +
+            'diagnostics (file, line, column, rule, severity, message), optionally applying the auto-fixes and ' +
+            'returning their diff',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cwd: {
+                type: 'string',
+                description: 'Project directory with ESLint installed',
+                default: this.workingDir,
+              },
+              files: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Files, directories or glob patterns to lint (default: the whole project)',
+              },
+              fix: {
+                type: 'boolean',
+                description: 'Apply ESLint\'s auto-fixes; the diagnostics are then the problems left after fixing',
+                default: false,
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'With fix, return the diff of the fixes without writing the files',
+                default: false,
+              },
+              timeout: {
+                type: 'number',
+                description: `Maximum run time in milliseconds (default ${this.timeouts.lint_project.default}, ` +
+                  `max ${this.timeouts.lint_project.max})`,
+              },
+            },
+          },
+        },
+        {
+          name: 'format_files',
+          description: 'Check files against the project\'s own Prettier and configuration, reporting unformatted ' +
+            'files and syntax errors as diagnostics, and optionally format them and return the diff',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cwd: {
+                type: 'string',
+                description: 'Project directory with Prettier installed',
+                default: this.workingDir,
+              },
+              files: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Files, directories or glob patterns to check (default: the whole project)',
+              },
+              fix: {
+                type: 'boolean',
+                description: 'Format the files that are not formatted',
+                default: false,
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'With fix, return the diff of the formatting without writing the files',
+                default: false,
+              },
+              timeout: {
+                type: 'number',
+                description: `Maximum run time in milliseconds (default ${this.timeouts.format_files.default}, ` +
+                  `max ${this.timeouts.format_files.max})`,
+              },
+            },
+          },
+        },
+        {
+          name: 'typecheck_project',
+          description: 'Type-check the project with its own TypeScript compiler (tsc --noEmit) and return the errors ' +
+            'as diagnostics (file, line, column, rule, severity, message)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cwd: {
+                type: 'string',
+                description: 'Project directory with TypeScript installed',
+                default: this.workingDir,
+              },
+              project: {
+                type: 'string',
+                description: 'tsconfig file, or directory containing one, relative to cwd (default: tsconfig.json in cwd)',
+              },
+              timeout: {
+                type: 'number',
+                description: `Maximum run time in milliseconds (default ${this.timeouts.typecheck_project.default}, ` +
+                  `max ${this.timeouts.typecheck_project.max})`,
+              },
+            },
+          },
+        },
+        {
+          name: 'node_version_info',
+          description: 'Get Node.js and npm version information',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+          },
+        },
+        {
+          name: 'replay_calls',
+          description: 'Re-execute tool calls recorded in the audit log, in order, and report whether each has ' +
+            'the recorded outcome. Calls with redacted arguments are skipped; process IDs of the recorded run ' +
+            'are mapped to the new ones',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              log: {
+                type: 'string',
+                description: 'Audit log to replay, in the directory of the configured audit log ' +
+                  '(relative paths are resolved there)',
+                default: this.audit.file,
+              },
+              ids: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Replay only the calls with these IDs',
+              },
+              tools: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Replay only calls of these tools',
+              },
+              since: {
+                type: 'string',
+                description: 'Replay only calls made at or after this time (ISO 8601)',
+              },
+              until: {
+                type: 'string',
+                description: 'Replay only calls made at or before this time (ISO 8601)',
+              },
+              last: {
+                type: 'number',
+                description: 'Replay only the last this many of the selected calls',
+              },
+              stopOnFailure: {
+                type: 'boolean',
+                default: false,
+                description: 'Skip the remaining calls once one does not have its recorded outcome',
+              },
+            },
+          },
+        },
+      ],
+    });
+    this.toolEnabled = toolFilter(this.config, listAllTools().tools.map(tool => tool.name));
+
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: listAllTools().tools.filter(tool => this.toolEnabled(tool.name)),
+    }));
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args = {} } = request.params;
+      const { result } = await this.audit.record(name, args, () => this.invokeTool(name, args, extra));
+      return result;
+    });
+  }
+
+  /**
+   * Runs a tool call, turning any error into an error result.
+   */
+  async invokeTool(name, args, extra) {
+    try {
+      if (!this.toolEnabled(name)) {
+        throw new Error(`Tool ${name} is disabled in the server configuration`);
+      }
+      return await this.callTool(name, args, extra);
+    } catch (error) {
+      return toolResult(`Error: ${error.message}`, { error: error.message }, true);
+    }
+  }
+
+  async callTool(name, args, extra) {
+    switch (name) {
+      case 'run_node_script':
+        return await this.runNodeScript(args, extra);
+      case 'npm_command':
+        return await this.runNpmCommand(args, extra);
+      case 'start_process':
+        return await this.startProcess(args, extra);
+      case 'read_process_output':
+        return await this.readProcessOutput(args);
+      case 'send_process_input':
+        return await this.sendProcessInput(args);
+      case 'list_processes':
+        return await this.listProcesses();
+      case 'stop_process':
+        return await this.stopProcess(args);
+      case 'get_package_info':
+        return await this.getPackageInfo(args);
+      case 'update_package_json':
+        return await this.updatePackageJson(args);
+      case 'manage_scripts':
+        return await this.manageScripts(args);
+      case 'list_scripts':
+        return await this.listScripts(args);
+      case 'list_workspaces':
+        return await this.listWorkspaces(args);
+      case 'run_workspace_script':
+        return await this.runWorkspaceScript(args, extra);
+      case 'analyze_dependencies':
+        return await this.analyzeDependencies(args);
+      case 'security_report':
+        return await this.securityReport(args, extra);
+      case 'run_tests':
+        return await this.runTests(args, extra);
+      case 'lint_project':
+        return await this.lintProject(args, extra);
+      case 'format_files':
+        return await this.formatFiles(args, extra);
+      case 'typecheck_project':
+        return await this.typecheckProject(args, extra);
+      case 'node_version_info':
+        return await this.getNodeVersionInfo();
+      case 'replay_calls':
+        return await this.replayCalls(args, extra);
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  async runNodeScript(args, extra) {
+    if (this.sandbox.enabled) {
+      return await this.runNodeScriptSandboxed(args, extra);
+    }
+
+    const { script, args: scriptArgs = [] } = args;
+    const cwd = await this.resolveCwd(args.cwd);
+    
+    // If script looks like a file path, run it directly
+    if (script.endsWith('.js') || script.includes('/')) {
+      const command = `node ${script} ${scriptArgs.join(' ')}`;
+      const result = await this.runCommand('run_node_script', { command, shell: true, cwd }, args, extra);
+      return commandResult(`Command: ${command}`, result);
+    } else {
+      // Execute as inline script
+      const command = `node -e "${script.replace(/"/g, '\\"')}" ${scriptArgs.join(' ')}`;
+      const result = await this.runCommand('run_node_script', { command, shell: true, cwd }, args, extra);
+      return commandResult(`Script executed:\n${script}`, result);
+    }
+  }
+
+  async runNodeScriptSandboxed(args, extra) {
+    const { script, args: scriptArgs = [], cwd } = args;
+    const workingDir = await this.resolveSandboxedCwd(cwd);
+    const isFile = script.endsWith('.js') || script.includes('/');
+
+    if (isFile) {
+      await this.assertAllowedPath(path.resolve(workingDir, script));
+    }
+
+    // `--` keeps the caller's arguments (and a script named like a flag)
+    // from being read as node options such as --allow-fs-read
+    const nodeArgs = [
+      ...this.sandbox.nodeFlags,
+      ...(isFile ? ['--', script] : ['-e', script, '--']),
+      ...scriptArgs,
+    ];
+    const result = await this.runCommand('run_node_script', {
+      command: ['node', ...nodeArgs].join(' '),
+      file: process.execPath,
+      args: nodeArgs,
+      cwd: workingDir,
+    }, args, extra);
+    const header = isFile
+      ? `Command: node ${nodeArgs.join(' ')}`
+      : `Script executed:\n${script}`;
+
+    return commandResult(header, result);
+  }
+
+  async runNpmCommand(args, extra) {
+    if (this.sandbox.enabled) {
+      return await this.runNpmCommandSandboxed(args, extra);
+    }
+
+    const { command } = args;
+    const cwd = await this.resolveCwd(args.cwd);
+    const fullCommand = `npm ${command}`;
+    const result = await this.runCommand('npm_command', { command: fullCommand, shell: true, cwd }, args, extra);
+    
+    return commandResult(`Command: ${fullCommand}`, result);
+  }
+
+  async runNpmCommandSandboxed(args, extra) {
+    const { command, cwd } = args;
+    const workingDir = await this.resolveSandboxedCwd(cwd);
+    const npmArgs = splitCommandLine(command);
+    this.assertNpmAllowed(npmArgs, command);
+
+    const result = await this.runCommand('npm_command', {
+      command: `npm ${npmArgs.join(' ')}`,
+      file: 'npm',
+      args: npmArgs,
+      cwd: workingDir,
+    }, args, extra);
+
+    return commandResult(`Command: npm ${npmArgs.join(' ')}`, result);
+  }
+
+  assertNpmAllowed(npmArgs, command) {
+    const subcommand = npmArgs.find(arg => !arg.startsWith('-'));
+    const blockedFlag = npmArgs.find(arg => NPM_BLOCKED_FLAGS.includes(arg.split('=')[0]));
+
+    if (!subcommand) {
+      throw new Error(`No npm subcommand in: ${command}`);
+    }
+    if (!this.sandbox.npmAllowlist.includes(subcommand)) {
+      throw new Error(
+        `npm ${subcommand} is not allowed in sandbox mode (enable it with NODEJS_MCP_NPM_ALLOW=${subcommand})`
+      );
+    }
+    if (blockedFlag) {
+      throw new Error(`npm flag ${blockedFlag} is not allowed in sandbox mode`);
+    }
+  }
+
+  /**
+   * Runs a command for a tool call under the tool's timeout. Output lines are
+   * reported as progress (through `report` when a call runs several
+   * commands), and cancelling the call kills the command.
+   */
+  async runCommand(tool, options, args, extra, report = progressReporter(extra)) {
+    return await runProcess({
+      ...options,
+      timeout: this.toolTimeout(tool, args.timeout),
+      maxBuffer: this.sandbox.maxBuffer,
+      signal: extra?.signal,
+      onLine: (stream, line) => report(stream === 'stderr' ? `[stderr] ${line}` : line),
+    });
+  }
+
+  /**
+   * Runs node with `args` (a package's bin script and its arguments, say)
+   * like runCommand, adding the sandbox's node flags in sandbox mode. When
+   * those turn on Node's permission model, the command may also read and
+   * write `reportDirs`, where the tool collects its reports. `command`
+   * replaces the node command line in results and errors.
+   */
+  async runNodeCommand(tool, { args: nodeArgs, cwd, command, reportDirs = [] }, args, extra, report) {
+    const nodeFlags = this.sandbox.enabled ? this.sandbox.nodeFlags : [];
+    const grants = nodeFlags.some(flag => PERMISSION_FLAGS.includes(flag))
+      ? reportDirs.flatMap(dir => [`--allow-fs-read=${dir}`, `--allow-fs-write=${dir}`])
+      : [];
+    const fullArgs = [...nodeFlags, ...grants, ...nodeArgs];
+    return await this.runCommand(tool, {
+      command: command ?? ['node', ...fullArgs].join(' '),
+      file: process.execPath,
+      args: fullArgs,
+      cwd,
+    }, args, extra, report);
+  }
+
+  /**
+   * The timeout for a call: the requested one, or the tool's default, but
+   * never more than the tool's maximum.
+   */
+  toolTimeout(tool, requested) {
+    const limits = this.timeouts[tool];
+    return Math.min(requested ?? limits.default, limits.max);
+  }
+
+  /**
+   * The directory a tool call works in: `cwd` resolved against the
+   * configured working directory, or in sandbox mode against the first
+   * project root and checked to lie inside one.
+   */
+  async resolveCwd(cwd) {
+    return this.sandbox.enabled
+      ? await this.resolveSandboxedCwd(cwd)
+      : path.resolve(this.workingDir, cwd || '.');
+  }
+
+  sandboxRoots() {
+    return this.sandbox.allowedRoots.length > 0 ? this.sandbox.allowedRoots : [this.workingDir];
+  }
+
+  /**
+   * Resolves the working directory for a sandboxed command and makes sure it
+   * lies inside one of the allowed project roots.
+   */
+  async resolveSandboxedCwd(cwd) {
+    const workingDir = path.resolve(this.sandboxRoots()[0], cwd || '.');
+    await this.assertAllowedPath(workingDir);
+    return workingDir;
+  }
+
+  async assertAllowedPath(target) {
+    // Compare real paths so a symlink inside a root cannot point outside it
+    let realTarget;
+    try {
+      realTarget = await fs.realpath(target);
+    } catch (error) {
+      throw new Error(`Path does not exist: ${target}`);
+    }
+
+    for (const root of this.sandboxRoots()) {
+      const realRoot = await fs.realpath(root).catch(() => root);
+      if (isWithin(realRoot, realTarget)) {
+        return;
+      }
+    }
+    throw new Error(`Path is outside the allowed project roots: ${target}`);
+  }
+
+  async startProcess(args, extra) {
+    const {
+      command,
+      id,
+      cwd,
+      env = {},
+      readyPattern,
+      readyPort,
+      readyHost,
+    } = args;
+    const readyTimeout = this.toolTimeout('start_process', args.readyTimeout);
+    // Compiled before spawning, so a bad pattern does not leave a process behind
+    let readyRegex = null;
+    if (readyPattern) {
+      try {
+        readyRegex = new RegExp(readyPattern);
+      } catch (error) {
+        throw new Error(`readyPattern is not a valid regular expression: ${error.message}`);
+      }
+    }
+
+    const options = this.sandbox.enabled
+      ? await this.sandboxedSpawnOptions(command, cwd, env)
+      : { command, shell: true, cwd: path.resolve(this.workingDir, cwd || '.') };
+    const entry = await this.processes.start({ ...options, id, env: { ...process.env, ...env } });
+
+    let readiness = null;
+    if (readyRegex || readyPort) {
+      readiness = await this.processes.waitUntilReady(entry, {
+        pattern: readyRegex,
+        port: readyPort,
+        host: readyHost,
+        timeout: readyTimeout,
+        signal: extra?.signal,
+      });
+      if (readiness.reason === 'cancelled') {
+        await this.processes.stop(entry.id);
+        throw new Error(`Cancelled; process ${entry.id} was stopped`);
+      }
+    }
+
+    const { lines, nextOffset } = entry.log.read(Math.max(0, entry.log.end - 20));
+    const data = {
+      ...describeProcess(entry),
+      ready: readiness ? readiness.ready : null,
+      readyAfterMs: readiness?.ready ? readiness.waitedMs : null,
+      nextOffset,
+      output: lines,
+    };
+
+    let status = `Status: ${entry.status}${entry.status === 'exited' ? ` (exit code ${entry.exitCode ?? entry.signal})` : ''}`;
+    if (readiness) {
+      status += readiness.ready
+        ? `\nReady after ${readiness.waitedMs}ms`
+        : `\nNot ready: ${readiness.reason === 'timeout' ? `timed out after ${readyTimeout}ms` : 'process exited'}`;
+    }
+
+    return toolResult(
+      `Started process ${entry.id} (pid ${entry.pid}): ${entry.command}\n${status}\n\n` +
+        `Recent output:\n${formatLines(lines)}`,
+      data,
+      entry.status !== 'running' || (readiness !== null && !readiness.ready)
+    );
+  }
+
+  /**
+   * In sandbox mode only node and npm can be started, without a shell and
+   * under the same checks as run_node_script and npm_command. node only
+   * runs a script inside the project roots: options would bypass the
+   * sandbox's node flags, so everything after the script goes behind `--`.
+   */
+  async sandboxedSpawnOptions(command, cwd, env) {
+    const workingDir = await this.resolveSandboxedCwd(cwd);
+    const [program, ...programArgs] = splitCommandLine(command);
+    const blockedEnv = Object.keys(env).find(name => SANDBOX_BLOCKED_ENV.test(name));
+    if (blockedEnv) {
+      throw new Error(`Environment variable ${blockedEnv} cannot be set in sandbox mode`);
+    }
+
+    if (program === 'node') {
+      const [script, ...scriptArgs] = programArgs;
+      if (!script || script.startsWith('-')) {
+        throw new Error(`Only node <script> [args...] can be started in sandbox mode, without node options: ${command}`);
+      }
+      await this.assertAllowedPath(path.resolve(workingDir, script));
+      return {
+        command,
+        file: process.execPath,
+        args: [...this.sandbox.nodeFlags, '--', script, ...scriptArgs],
+        cwd: workingDir,
+      };
+    }
+    if (program === 'npm') {
+      this.assertNpmAllowed(programArgs, command);
+      return { command, file: 'npm', args: programArgs, cwd: workingDir };
+    }
+    throw new Error(`Only node and npm commands can be started in sandbox mode: ${command}`);
+  }
+
+  async readProcessOutput(args) {
+    const { id, offset = 0, limit = 200, stream } = args;
+    const entry = this.processes.get(id);
+    const output = entry.log.read(offset, { limit, stream });
+    const partial = Object.values(output.partial).join('\n');
+
+    let text = `Output of ${id} (${entry.status}), lines ${output.offset}-${output.nextOffset}:\n`;
+    if (output.dropped > 0) {
+      text += `(${output.dropped} earlier line(s) no longer buffered)\n`;
+    }
+    text += formatLines(output.lines);
+    if (partial) {
+      text += `\n${partial}`;
+    }
+    if (output.nextOffset < entry.log.end) {
+      text += `\n\nMore output available from offset ${output.nextOffset}`;
+    }
+
+    return toolResult(text, { ...describeProcess(entry), ...output });
+  }
+
+  async sendProcessInput(args) {
+    const { id, input = '', newline = true, end = false } = args;
+    const entry = this.processes.get(id);
+    if (entry.status !== 'running') {
+      throw new Error(`Process ${id} is not running`);
+    }
+    if (!entry.child.stdin.writable) {
+      throw new Error(`stdin of process ${id} is closed`);
+    }
+
+    const data = newline ? `${input}\n` : input;
+    await new Promise((resolve, reject) => {
+      entry.child.stdin.write(data, error => (error ? reject(error) : resolve()));
+    });
+    if (end) {
+      entry.child.stdin.end();
+    }
+
+    return toolResult(`Sent ${Buffer.byteLength(data)} byte(s) to ${id}${end ? ' and closed stdin' : ''}`, {
+      id,
+      bytes: Buffer.byteLength(data),
+      stdinClosed: end,
+    });
+  }
+
+  async listProcesses() {
+    const processes = this.processes.list().map(describeProcess);
+    if (processes.length === 0) {
+      return toolResult('No background processes', { processes });
+    }
+
+    const lines = processes.map(entry =>
+      `- ${entry.id} (pid ${entry.pid}): ${entry.status}` +
+      `${entry.status === 'exited' ? ` with ${entry.exitCode ?? entry.signal}` : ''}, ` +
+      `${Math.round(entry.uptimeMs / 1000)}s, ${entry.lines} line(s) of output\n  ${entry.command} (in ${entry.cwd})`
+    );
+    return toolResult(`Background Processes:\n\n${lines.join('\n')}`, { processes });
+  }
+
+  async stopProcess(args) {
+    const { id, signal = 'SIGTERM', timeout = 5000 } = args;
+    const wasRunning = this.processes.get(id).status === 'running';
+    const { entry, killed } = await this.processes.stop(id, { signal, timeout });
+
+    return toolResult(
+      `${wasRunning ? 'Stopped' : 'Removed'} process ${id}: exit code ${entry.exitCode ?? `none (${entry.signal})`}` +
+        `${killed ? ` (killed after ${timeout}ms)` : ''}`,
+      { ...describeProcess(entry), killed }
+    );
+  }
+
+  async getPackageInfo(args) {
+    const { path: packagePath = './package.json' } = args;
+    
+    try {
+      const content = await fs.readFile(await this.resolvePackageJson(packagePath), 'utf-8');
+      const packageJson = JSON.parse(content);
+      
+      return toolResult(`Package Information from ${packagePath}:`, {
+        path: packagePath,
+        package: packageJson,
+      });
+    } catch (error) {
+      throw new Error(`Failed to read package.json: ${error.message}`);
+    }
+  }
+
+  async updatePackageJson(args) {
+    const { set = [], remove = [], addDependencies = [], removeDependencies = [] } = args;
+    if (set.length + remove.length + addDependencies.length + removeDependencies.length === 0) {
+      throw new Error('Nothing to change: pass set, remove, addDependencies or removeDependencies');
+    }
+
+    return await this.editPackageJson(args, (manifest) => {
+      const changes = [
+        ...set.map(({ field, value }) => setField(manifest, field, value)),
+        ...remove.map(field => removeField(manifest, field)),
+        ...addDependencies.flatMap(dependency => addDependency(manifest, dependency)),
+        ...removeDependencies.map(name => removeDependency(manifest, name)),
+      ];
+      return { changes, warnings: [] };
+    });
+  }
+
+  async manageScripts(args) {
+    return await this.editPackageJson(args, manifest => editScript(manifest, args));
+  }
+
+  /**
+   * Applies `edit` to a copy of package.json and writes the result unless
+   * it is a dry run or adds validation errors. Errors the file already had
+   * are reported but do not block the edit.
+   */
+  async editPackageJson(args, edit) {
+    const { dryRun = false } = args;
+    const file = await this.resolvePackageJson(args.path);
+    const source = await readManifest(file);
+    const manifest = structuredClone(source.manifest);
+    const { changes, warnings } = edit(manifest);
+
+    const text = renderManifest(source, manifest);
+    const existingErrors = validateManifest(source.manifest);
+    const errors = validateManifest(manifest).filter(error => !existingErrors.includes(error));
+    const diff = unifiedDiff(source.text, text, path.basename(file));
+    const written = !dryRun && errors.length === 0 && text !== source.text;
+    if (written) {
+      await fs.writeFile(file, text);
+    }
+
+    const status = errors.length > 0
+      ? `Not written: the result is not a valid package.json:\n${errors.map(error => `- ${error}`).join('\n')}`
+      : dryRun ? 'Dry run: the file was not changed' : written ? `Updated ${file}` : 'No changes';
+    const notes = [...warnings, ...existingErrors.map(error => `Existing problem: ${error}`)];
+    return toolResult(
+      `${status}\n\n${changes.map(change => `- ${change}`).join('\n')}` +
+        `${notes.length > 0 ? `\n\nWarnings:\n${notes.map(note => `- ${note}`).join('\n')}` : ''}` +
+        `${diff ? `\n\n${diff}` : ''}`,
+      { path: file, dryRun, written, changes, warnings: notes, errors, diff },
+      errors.length > 0
+    );
+  }
+
+  async listScripts(args) {
+    const file = await this.resolvePackageJson(args.path);
+    const { manifest } = await readManifest(file);
+    const scripts = await describeScripts(path.dirname(file), manifest);
+
+    const lines = scripts.map((script) => {
+      const details = [
+        script.resolved !== script.command ? `  resolves to: ${script.resolved}` : null,
+        ...script.commands.filter(command => command.package).map(command => `  ${command.name}: from ${command.package}`),
+        script.runs.length > 1 ? `  runs: ${script.runs.join(' -> ')}` : null,
+        script.calls.length > 0 ? `  calls: ${script.calls.join(', ')}` : null,
+      ].filter(Boolean);
+      const label = script.implicit ? ' (npm default)' : script.hookFor ? ` (runs around ${script.hookFor})` : '';
+      return [`${script.name}${label}: ${script.command}`, ...details].join('\n');
+    });
+    return toolResult(
+      scripts.length > 0 ? `Scripts in ${file}:\n\n${lines.join('\n\n')}` : `No scripts in ${file}`,
+      { path: file, scripts }
+    );
+  }
+
+  /**
+   * Resolves the package.json a tool works on from a file or directory
+   * path. In sandbox mode it must lie inside the allowed roots.
+   */
+  async resolvePackageJson(packagePath = './package.json') {
+    let file = this.sandbox.enabled
+      ? path.resolve(this.sandboxRoots()[0], packagePath)
+      : path.resolve(this.workingDir, packagePath);
+    if ((await fs.stat(file).catch(() => null))?.isDirectory()) {
+      file = path.join(file, 'package.json');
+    }
+    if (this.sandbox.enabled) {
+      await this.assertAllowedPath(file);
+    }
+    return file;
+  }
+
+  async loadWorkspaceGraph(cwd) {
+    const dir = await this.resolveCwd(cwd);
+    const graph = await loadWorkspaces(dir);
+    if (this.sandbox.enabled) {
+      for (const workspace of graph.workspaces) {
+        await this.assertAllowedPath(path.join(graph.root, workspace.path));
+      }
+    }
+    return graph;
+  }
+
+  async listWorkspaces(args) {
+    const graph = await this.loadWorkspaceGraph(args.cwd);
+    const lines = graph.workspaces.map((workspace) => {
+      const dependencies = workspace.dependencies
+        .map(dependency => `${dependency.name}@${dependency.range}${dependency.linked ? '' : ' (not linked: version does not match)'}`);
+      return `${workspace.name}@${workspace.version ?? '-'} (${workspace.path})${workspace.private ? ' private' : ''}` +
+        `${dependencies.length > 0 ? `\n  depends on: ${dependencies.join(', ')}` : ''}`;
+    });
+
+    let text = `Workspace root: ${graph.root} (${graph.packageManager}, ${graph.workspaces.length} packages)\n\n` +
+      `${lines.join('\n')}\n\nBuild order: ${graph.order.join(' -> ') || '(none)'}`;
+    if (graph.cycles.length > 0) {
+      text += `\n\nDependency cycles:\n${graph.cycles.map(cycle => `- ${cycle.join(', ')}`).join('\n')}`;
+    }
+    return toolResult(text, graph);
+  }
+
+  async runWorkspaceScript(args, extra) {
+    const {
+      script,
+      args: scriptArgs = [],
+      cwd,
+      filter = [],
+      changedSince,
+      includeDependents = false,
+      concurrency = 1,
+      bail = true,
+    } = args;
+    const graph = await this.loadWorkspaceGraph(cwd);
+    const changed = changedSince ? await changedWorkspaces(graph.root, graph.workspaces, changedSince) : null;
+    const names = selectWorkspaces(graph, { filter, changed, includeDependents });
+
+    const npmArgs = ['run', script, ...(scriptArgs.length > 0 ? ['--', ...scriptArgs] : [])];
+    if (this.sandbox.enabled) {
+      this.assertNpmAllowed(npmArgs, npmArgs.join(' '));
+    }
+    const deadline = Date.now() + this.toolTimeout('run_workspace_script', args.timeout);
+    const report = progressReporter(extra);
+
+    const results = await runInOrder(graph, names, {
+      concurrency: Math.max(1, Math.floor(concurrency)),
+      bail,
+      signal: extra?.signal,
+      run: async (workspace) => {
+        if (!workspace.scripts.includes(script)) {
+          return { name: workspace.name, path: workspace.path, status: 'no-script' };
+        }
+        report(`[${workspace.name}] npm ${npmArgs.join(' ')}`);
+        const result = await this.runCommand('run_workspace_script', {
+          command: `npm ${npmArgs.join(' ')}`,
+          file: 'npm',
+          args: npmArgs,
+          cwd: path.join(graph.root, workspace.path),
+        }, { timeout: Math.max(1, deadline - Date.now()) }, extra, message => report(`[${workspace.name}] ${message}`));
+        return {
+          name: workspace.name,
+          path: workspace.path,
+          status: result.exitCode === 0 ? 'passed' : 'failed',
+          exitCode: result.exitCode,
+          timedOut: result.timedOut,
+          cancelled: result.cancelled,
+          durationMs: result.durationMs,
+          output: `${result.stdout}${result.stderr ? `\n${result.stderr}` : ''}`.trim().split('\n').slice(-30).join('\n'),
+        };
+      },
+    });
+
+    const counts = Object.fromEntries(['passed', 'failed', 'skipped', 'no-script']
+      .map(status => [status, results.filter(result => result.status === status).length]));
+    const data = {
+      root: graph.root,
+      script,
+      changed,
+      passed: counts.failed === 0 && counts.skipped === 0,
+      counts,
+      results,
+    };
+
+    const lines = results.map((result) => {
+      const detail = result.status === 'skipped'
+        ? ` (${result.reason})`
+        : result.status === 'no-script' ? ` (no ${script} script)`
+          : result.durationMs !== undefined ? ` in ${result.durationMs}ms${result.timedOut ? ', timed out' : ''}` : '';
+      const output = result.status === 'failed' ? `\n${(result.output ?? result.error ?? '').replace(/^/gm, '    ')}` : '';
+      return `${result.status.toUpperCase()} ${result.name}${detail}${output}`;
+    });
+    const selection = changed ? `, ${changed.length} changed since ${changedSince}` : '';
+    return toolResult(
+      `npm run ${script} in ${names.length} of ${graph.workspaces.length} packages${selection}: ` +
+        `${counts.passed} passed, ${counts.failed} failed, ${counts.skipped} skipped, ${counts['no-script']} without the script` +
+        `${lines.length > 0 ? `\n\n${lines.join('\n')}` : ''}`,
+      data,
+      !data.passed
+    );
+  }
+
+  async analyzeDependencies(args) {
+    const { cwd, why } = args;
+    const { sections = why ? [] : DEPENDENCY_SECTIONS } = args;
+    const projectDir = await this.resolveCwd(cwd);
+
+    const report = await analyzeDependencies(projectDir, { sections, why });
+    return toolResult(formatDependencyReport(report), report);
+  }
+
+  async securityReport(args, extra) {
+    const { cwd, advisoryDb, includeDev = true, minSeverity, failOn } = args;
+    const { includeOutdated = !advisoryDb } = args;
+    const projectDir = await this.resolveCwd(cwd);
+    const { manifest, packages } = await loadPackageTree(projectDir);
+
+    let findings;
+    if (advisoryDb) {
+      const databasePath = path.resolve(projectDir, advisoryDb);
+      if (this.sandbox.enabled) {
+        await this.assertAllowedPath(databasePath);
+      }
+      const advisories = await loadAdvisories(databasePath);
+      findings = checkAdvisories(packages, advisories, manifest).filter(finding => includeDev || !finding.dev);
+    } else {
+      const audit = await this.runNpmJson(['audit', '--json', ...(includeDev ? [] : ['--omit=dev'])], projectDir, args, extra);
+      try {
+        findings = parseNpmAudit(audit, packages);
+      } catch (error) {
+        throw new Error(`${error.message} (pass advisoryDb to check against a local OSV database instead)`);
+      }
+    }
+    if (minSeverity) {
+      findings = findings.filter(finding => severityRank(finding.severity) <= severityRank(minSeverity));
+    }
+
+    const outdated = includeOutdated
+      ? parseNpmOutdated(await this.runNpmJson(['outdated', '--json', '--long'], projectDir, args, extra))
+        .filter(entry => includeDev || entry.type !== 'devDependencies')
+      : null;
+
+    const report = {
+      cwd: projectDir,
+      source: advisoryDb ? 'osv' : 'npm-audit',
+      advisoryDb: advisoryDb ?? null,
+      ...rankFindings(findings),
+      outdated,
+    };
+    if (failOn) {
+      report.failOn = failOn;
+      report.passed = !report.findings.some(finding => severityRank(finding.severity) <= severityRank(failOn));
+    }
+    return toolResult(formatSecurityReport(report), report, report.passed === false);
+  }
+
+  /**
+   * Runs an npm command that prints JSON, such as npm audit --json. These
+   * exit with 1 when they find something, so the exit code is not checked.
+   */
+  async runNpmJson(npmArgs, cwd, args, extra) {
+    const command = `npm ${npmArgs.join(' ')}`;
+    const options = this.sandbox.enabled
+      ? { command, file: 'npm', args: npmArgs, cwd }
+      : { command, shell: true, cwd };
+    const result = await this.runCommand('security_report', options, args, extra);
+    if (result.timedOut || result.cancelled) {
+      throw new Error(`${command} ${result.timedOut ? `timed out after ${result.durationMs}ms` : 'was cancelled'}`);
+    }
+
+    try {
+      return JSON.parse(result.stdout || '{}');
+    } catch {
+      throw new Error(`${command} did not print JSON: ${(result.stderr || result.stdout).trim().split('\n').pop()}`);
+    }
+  }
+
+  async runTests(args, extra) {
+    const { cwd, files = [], testNamePattern, coverage = false, runnerArgs = [] } = args;
+    const projectDir = await this.resolveCwd(cwd);
+    this.assertFilePatterns(files);
+    // node:test takes runner arguments among node's own options, where they
+    // could lift the sandbox's permission flags
+    const option = runnerArgs.find(arg => arg.startsWith('-'));
+    if (this.sandbox.enabled && option) {
+      throw new Error(`Runner options are not allowed in sandbox mode: ${option}`);
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(projectDir, 'package.json'), 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read package.json: ${error.message}`);
+    }
+    const { runner, detectedFrom } = args.runner
+      ? { runner: args.runner, detectedFrom: 'argument' }
+      : detectRunner(manifest);
+
+    // The runners write their reports to files, so console output from the
+    // tests cannot corrupt them
+    const reportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nodejs-mcp-tests-'));
+    try {
+      const reportFile = path.join(reportDir, runner === 'node' ? 'report.tap' : 'report.json');
+      const coverageDir = coverage ? path.join(reportDir, 'coverage') : null;
+      const result = await this.runNodeCommand('run_tests', {
+        args: await buildTestCommand(runner, projectDir, { reportFile, coverageDir, files, testNamePattern, runnerArgs }),
+        cwd: projectDir,
+        reportDirs: [reportDir],
+      }, args, extra);
+
+      const results = await readTestResults(runner, reportFile, projectDir);
+      if (!results) {
+        throw commandFailure(result, 'reporting results');
+      }
+
+      const { summary, failures } = results;
+      const report = {
+        runner,
+        detectedFrom,
+        command: result.command,
+        cwd: projectDir,
+        passed: result.exitCode === 0 && summary.failed === 0 && summary.failedFiles === 0,
+        exitCode: result.exitCode,
+        timedOut: result.timedOut,
+        cancelled: result.cancelled,
+        durationMs: result.durationMs,
+        summary,
+        failures,
+        coverage: coverageDir ? await readCoverage(coverageDir, projectDir) : null,
+      };
+
+      let text = formatTestReport(report);
+      if (coverageDir && !report.coverage) {
+        text += '\n\nCoverage: no coverage summary was written';
+      }
+      return toolResult(text, report, !report.passed);
+    } finally {
+      await fs.rm(reportDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Checks the file patterns passed to ESLint or Prettier. None may look like
+   * an option, and in sandbox mode none may leave the project directory.
+   */
+  assertFilePatterns(files) {
+    for (const file of files) {
+      if (file.startsWith('-')) {
+        throw new Error(`File patterns cannot start with "-": ${file}`);
+      }
+      if (this.sandbox.enabled && (path.isAbsolute(file) || file.split(/[\\/]/).includes('..'))) {
+        throw new Error(`File pattern is outside the project directory: ${file}`);
+      }
+    }
+  }
+
+  /**
+   * Turns the changes a fix makes into diffs, and writes the fixed files
+   * unless `dryRun` is set.
+   */
+  async applyFixes(projectDir, changes, dryRun) {
+    const fixes = [];
+    for (const { file, source, output } of changes) {
+      const target = path.resolve(projectDir, file);
+      if (!dryRun) {
+        if (this.sandbox.enabled) {
+          await this.assertAllowedPath(target);
+        }
+        await fs.writeFile(target, output);
+      }
+      const diff = unifiedDiff(source, output, file);
+      fixes.push({ file, diff: diff || `${file}: only line endings changed` });
+    }
+    return fixes;
+  }
+
+  async lintProject(args, extra) {
+    const { cwd, files = ['.'], fix = false, dryRun = false } = args;
+    const projectDir = await this.resolveCwd(cwd);
+    this.assertFilePatterns(files);
+
+    const reportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nodejs-mcp-lint-'));
+    try {
+      const reportFile = path.join(reportDir, 'report.json');
+      const result = await this.runNodeCommand('lint_project', {
+        args: await buildLintCommand(projectDir, { reportFile, files, fix }),
+        cwd: projectDir,
+        reportDirs: [reportDir],
+      }, args, extra);
+
+      const results = await readLintResults(reportFile, projectDir);
+      if (!results) {
+        throw commandFailure(result, 'writing a report');
+      }
+
+      const { diagnostics, summary } = summarizeDiagnostics(results.diagnostics);
+      const report = {
+        command: result.command,
+        cwd: projectDir,
+        passed: summary.errors === 0,
+        exitCode: result.exitCode,
+        timedOut: result.timedOut,
+        cancelled: result.cancelled,
+        summary,
+        diagnostics,
+        applied: fix && !dryRun,
+        changes: fix ? await this.applyFixes(projectDir, results.changes, dryRun) : [],
+      };
+      return toolResult(formatQualityReport(report), report, !report.passed);
+    } finally {
+      await fs.rm(reportDir, { recursive: true, force: true });
+    }
+  }
+
+  async formatFiles(args, extra) {
+    const { cwd, files = ['.'], fix = false, dryRun = false } = args;
+    const projectDir = await this.resolveCwd(cwd);
+    this.assertFilePatterns(files);
+
+    const deadline = Date.now() + this.toolTimeout('format_files', args.timeout);
+    const report = progressReporter(extra);
+    const check = await this.runNodeCommand('format_files', {
+      args: await buildFormatCheckCommand(projectDir, { files }),
+      cwd: projectDir,
+    }, args, extra, report);
+    // 1 means some files are not formatted, 2 that some could not be checked
+    if (check.exitCode === null || check.exitCode > 2) {
+      throw commandFailure(check, 'listing the files');
+    }
+    const listed = parseFormatCheck(check.stdout, check.stderr, projectDir);
+    if (check.exitCode === 2 && listed.diagnostics.length === 0 && listed.messages.length === 0) {
+      throw commandFailure(check, 'listing the files');
+    }
+
+    let results = { diagnostics: [], changes: [] };
+    if (listed.files.length > 0) {
+      const reportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nodejs-mcp-format-'));
+      try {
+        const reportFile = path.join(reportDir, 'report.json');
+        const result = await this.runNodeCommand('format_files', {
+          args: buildFormatCommand(reportFile, listed.files),
+          cwd: projectDir,
+          reportDirs: [reportDir],
+          command: `prettier (format ${listed.files.length} files)`,
+        }, { timeout: Math.max(1, deadline - Date.now()) }, extra, report);
+        results = await readFormatResults(reportFile, projectDir);
+        if (!results) {
+          throw commandFailure(result, 'formatting the files');
+        }
+      } finally {
+        await fs.rm(reportDir, { recursive: true, force: true });
+      }
+    }
+
+    // With fix, what formatting changes is fixed rather than reported
+    const { diagnostics, summary } = summarizeDiagnostics([
+      ...listed.diagnostics,
+      ...results.diagnostics.filter(item => !fix || !item.fixable),
+    ]);
+    const data = {
+      command: check.command,
+      cwd: projectDir,
+      passed: diagnostics.length === 0 && listed.messages.length === 0,
+      exitCode: check.exitCode,
+      summary,
+      diagnostics,
+      messages: listed.messages,
+      applied: fix && !dryRun,
+      changes: fix ? await this.applyFixes(projectDir, results.changes, dryRun) : [],
+    };
+    return toolResult(formatQualityReport(data), data, !data.passed);
+  }
+
+  async typecheckProject(args, extra) {
+    const { cwd, project } = args;
+    const projectDir = await this.resolveCwd(cwd);
+    if (project && this.sandbox.enabled) {
+      await this.assertAllowedPath(path.resolve(projectDir, project));
+    }
+
+    const result = await this.runNodeCommand('typecheck_project', {
+      args: await buildTypecheckCommand(projectDir, { project }),
+      cwd: projectDir,
+    }, args, extra);
+    const parsed = parseTypecheckOutput(result.stdout, projectDir);
+    if (result.exitCode !== 0 && parsed.length === 0) {
+      throw commandFailure(result, 'reporting diagnostics');
+    }
+
+    const { diagnostics, summary } = summarizeDiagnostics(parsed);
+    const report = {
+      command: result.command,
+      cwd: projectDir,
+      passed: result.exitCode === 0 && summary.errors === 0,
+      exitCode: result.exitCode,
+      timedOut: result.timedOut,
+      cancelled: result.cancelled,
+      summary,
+      diagnostics,
+    };
+    return toolResult(formatQualityReport(report), report, !report.passed);
+  }
+
+  async getNodeVersionInfo() {
+    const { stdout: nodeVersion } = await execAsync('node --version');
+    const { stdout: npmVersion } = await execAsync('npm --version');
+    
+    return toolResult(`Node.js Version: ${nodeVersion.trim()}\nnpm Version: ${npmVersion.trim()}`, {
+      node: nodeVersion.trim(),
+      npm: npmVersion.trim(),
+    });
+  }
+
+  async replayCalls(args, extra) {
+    const { log = this.audit.file, ...selection } = args;
+    return this.replayFile(await replayLogPath(log, this.audit.file), selection, extra);
+  }
+
+  /**
+   * Replays the calls selected from the audit log `file`. Replayed calls are
+   * logged as well, with the ID of the call they repeat.
+   */
+  async replayFile(file, { ids, tools, since, until, last, stopOnFailure = false } = {}, extra) {
+    const calls = selectCalls(await readAuditLog(file), { server: 'nodejs', ids, tools, since, until, last });
+    const invoke = (tool, callArgs, replayOf) =>
+      this.audit.record(tool, callArgs, () => this.invokeTool(tool, callArgs, { signal: extra?.signal }), { replayOf });
+    const report = progressReporter(extra);
+    const replay = await replayRecordedCalls(calls, invoke, {
+      stopOnFailure,
+      signal: extra?.signal,
+      onCall: (call, done) => report(`${call.tool}: ${call.skipped ? 'skipped' : call.outcome}`, { progress: done, total: calls.length }),
+    });
+
+    const data = { log: file, ...replay };
+    return toolResult(formatReplayReport(data), data, !replay.passed);
+  }
+
+  /**
+   * Replays an audit log instead of serving MCP (--replay), printing the
+   * report and exiting with status 1 when a call did not match.
+   */
+  async replayLog(file) {
+    const result = await this.replayFile(file);
+    console.log(result.content[0].text);
+    await this.processes.stopAll();
+    process.exit(result.isError ? 1 : 0);
+  }
+
+  async run() {
+    const transport = new StdioServerTransport();
+    await this.server.connect(transport);
+    console.error('Node.js MCP Server running on stdio');
+  }
 }
 
-const server = new NodeJSMCPServer();
-server.run().catch(console.error);
+let server;
+let replayFile;
+try {
+  replayFile = replayFilePath();
+  server = new NodeJSMCPServer();
+} catch (error) {
+  console.error(`Node.js MCP Server failed to start: ${error.message}`);
+  process.exit(1);
+}
+if (replayFile) {
+  server.replayLog(replayFile).catch((error) => {
+    console.error(`Replay failed: ${error.message}`);
+    process.exit(1);
+  });
+} else {
+  server.run().catch(console.error);
+}
@@ -0,0 +1,283 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import {
+  AuditLog, REDACTED, auditSettings, defaultAuditDir, readAuditLog, redactArguments, replayLogPath, replayRecordedCalls,
+  selectCalls,
+} from '../../shared/audit.js';
+import { removeDir, startServer, tempDir } from './helpers.js';
+
+const settings = (overrides = {}) => ({
+  audit: true,
+  auditLog: null,
+  auditRedact: [],
+  auditRedactValues: [],
+  ...overrides,
+});
+
+const success = data => async () => ({ content: [], structuredContent: data, isError: false });
+
+describe('audit log location', () => {
+  it('defaults to the user state directory', () => {
+    assert.equal(defaultAuditDir({ XDG_STATE_HOME: '/state' }), path.join('/state', 'mcp-servers', 'audit'));
+    assert.equal(defaultAuditDir({}), path.join(os.homedir(), '.local', 'state', 'mcp-servers', 'audit'));
+    // Relative values are invalid under the XDG spec
+    assert.equal(defaultAuditDir({ XDG_STATE_HOME: 'state' }), path.join(os.homedir(), '.local', 'state', 'mcp-servers', 'audit'));
+  });
+
+  it('names the log after the server section', () => {
+    const { auditLog } = auditSettings('TEST', 'nodejs');
+
+    assert.equal(auditLog.env, 'TEST_AUDIT_LOG');
+    assert.equal(auditLog.default, path.join(defaultAuditDir(), 'nodejs.jsonl'));
+    assert.ok(!auditLog.default.startsWith(os.tmpdir()));
+  });
+});
+
+describe('replay log location', () => {
+  let dir;
+  let auditFile;
+
+  before(async () => {
+    dir = await tempDir({ 'audit/nodejs.jsonl': '', 'audit/old.jsonl': '', 'secret.txt': 'secret\n' });
+    auditFile = path.join(dir, 'audit', 'nodejs.jsonl');
+    await fs.symlink(path.join(dir, 'secret.txt'), path.join(dir, 'audit', 'link.jsonl'));
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  it('resolves logs in the directory of the audit log', async () => {
+    assert.equal(await replayLogPath(auditFile, auditFile), auditFile);
+    assert.equal(await replayLogPath('old.jsonl', auditFile), path.join(dir, 'audit', 'old.jsonl'));
+  });
+
+  it('refuses logs outside that directory, also through symlinks', async () => {
+    for (const log of ['../secret.txt', path.join(dir, 'secret.txt'), 'link.jsonl']) {
+      await assert.rejects(replayLogPath(log, auditFile), {
+        message: `${log} is outside the audit log directory ${path.join(dir, 'audit')}`,
+      });
+    }
+    await assert.rejects(replayLogPath('missing.jsonl', auditFile), /^Error: Failed to read .*missing\.jsonl: ENOENT/);
+  });
+
+  it('applies to replay_calls', async () => {
+    const client = await startServer({ NODEJS_MCP_AUDIT_LOG: auditFile });
+    try {
+      const replayed = await client.callTool({ name: 'replay_calls', arguments: { log: 'old.jsonl' } });
+      const refused = await client.callTool({ name: 'replay_calls', arguments: { log: path.join(dir, 'secret.txt') } });
+
+      assert.equal(replayed.structuredContent.log, path.join(dir, 'audit', 'old.jsonl'));
+      assert.equal(refused.isError, true);
+      assert.match(refused.content[0].text, /secret\.txt is outside the audit log directory/);
+    } finally {
+      await client.close();
+    }
+  });
+});
+
+describe('redactArguments', () => {
+  it('redacts secret argument names at any depth, ignoring case, - and _', () => {
+    const { value, redacted } = redactArguments({
+      command: 'npm publish',
+      env: { NPM_TOKEN: 'npm_abc', PATH: '/bin' },
+      headers: [{ Authorization: 'Bearer x' }, { 'X-Api-Key': 'k' }],
+      context: { httpCredentials: { username: 'me', password: 'pw' } },
+    });
+
+    assert.deepEqual(value, {
+      command: 'npm publish',
+      env: { NPM_TOKEN: REDACTED, PATH: '/bin' },
+      headers: [{ Authorization: REDACTED }, { 'X-Api-Key': REDACTED }],
+      context: { httpCredentials: REDACTED },
+    });
+    assert.deepEqual(redacted, ['env.NPM_TOKEN', 'headers[0].Authorization', 'headers[1].X-Api-Key', 'context.httpCredentials']);
+  });
+
+  it('redacts parts of strings that match the patterns', () => {
+    const { value, redacted } = redactArguments(
+      { url: 'https://example.com/?key=ghp_abc123&page=2', args: ['--token=ghp_def', 'build'] },
+      { keys: [], patterns: [/ghp_[A-Za-z0-9]+/g] }
+    );
+
+    assert.deepEqual(value, { url: `https://example.com/?key=${REDACTED}&page=2`, args: [`--token=${REDACTED}`, 'build'] });
+    assert.deepEqual(redacted, ['url', 'args[0]']);
+  });
+
+  it('leaves the arguments themselves unchanged', () => {
+    const args = { env: { SECRET: 's' } };
+    redactArguments(args);
+
+    assert.deepEqual(args, { env: { SECRET: 's' } });
+  });
+});
+
+describe('AuditLog', () => {
+  let dir;
+
+  before(async () => {
+    dir = await tempDir();
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  it('rejects invalid redaction patterns', () => {
+    assert.throws(() => new AuditLog({ server: 'nodejs', settings: settings({ auditRedactValues: ['ok', '(unclosed'] }) }), {
+      message: /^Invalid configuration:\n {2}- auditRedactValues: "\(unclosed" is not a valid regular expression: /,
+    });
+  });
+
+  it('appends one redacted line per call to a private log', async () => {
+    const file = path.join(dir, 'private', 'state', 'nodejs.jsonl');
+    const log = new AuditLog({
+      server: 'nodejs',
+      settings: settings({ auditLog: file, auditRedact: ['my-header'], auditRedactValues: ['sk-[a-z]+'] }),
+      artifacts: data => [data.path],
+      ids: (tool, data) => ({ processId: data.id }),
+    });
+
+    const { result, entry } = await log.record(
+      'start_process',
+      { command: 'node server.js --key=sk-abc', env: { MY_HEADER: 'x' } },
+      success({ id: 'proc-1', path: '/app/package.json' })
+    );
+    await log.record('npm_command', { command: 'install' }, async () => ({
+      content: [], structuredContent: { error: 'npm failed' }, isError: true,
+    }));
+
+    assert.equal(result.structuredContent.id, 'proc-1');
+    assert.equal(entry.outcome, 'success');
+    const lines = await readAuditLog(file);
+    assert.equal(lines.length, 2);
+    assert.deepEqual(lines[0], entry);
+    assert.deepEqual(lines[0].arguments, { command: `node server.js --key=${REDACTED}`, env: { MY_HEADER: REDACTED } });
+    assert.deepEqual(lines[0].redacted, ['command', 'env.MY_HEADER']);
+    assert.deepEqual(lines[0].artifacts, ['/app/package.json']);
+    assert.deepEqual(lines[0].ids, { processId: 'proc-1' });
+    assert.equal(lines[1].outcome, 'error');
+    assert.equal(lines[1].error, 'npm failed');
+
+    assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+    assert.equal((await fs.stat(path.dirname(file))).mode & 0o777, 0o700);
+    assert.equal((await fs.stat(path.join(dir, 'private'))).mode & 0o777, 0o700);
+  });
+
+  it('restricts an existing log that others can read', async () => {
+    const file = path.join(dir, 'shared.jsonl');
+    await fs.writeFile(file, '', { mode: 0o644 });
+    await fs.chmod(file, 0o644);
+    const log = new AuditLog({ server: 'nodejs', settings: settings({ auditLog: file }) });
+    await log.record('list_processes', {}, success({}));
+
+    assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+    assert.equal((await readAuditLog(file)).length, 1);
+  });
+
+  it('refuses to follow a symlink or write to something other than a file', async (t) => {
+    const target = path.join(dir, 'target.txt');
+    await fs.writeFile(target, 'untouched\n');
+    await fs.symlink(target, path.join(dir, 'link.jsonl'));
+    await fs.mkdir(path.join(dir, 'directory.jsonl'));
+    const errors = [];
+    t.mock.method(console, 'error', message => errors.push(message));
+
+    for (const name of ['link.jsonl', 'directory.jsonl']) {
+      const log = new AuditLog({ server: 'nodejs', settings: settings({ auditLog: path.join(dir, name) }) });
+      const { result } = await log.record('list_processes', {}, success({ processes: [] }));
+      // The call itself still succeeds
+      assert.deepEqual(result.structuredContent, { processes: [] });
+    }
+
+    assert.equal(await fs.readFile(target, 'utf-8'), 'untouched\n');
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /^Failed to write audit log .*link\.jsonl: .*link\.jsonl is a symbolic link$/);
+    assert.match(errors[1], /^Failed to write audit log .*directory\.jsonl: /);
+  });
+
+  it('writes nothing when disabled', async () => {
+    const file = path.join(dir, 'disabled.jsonl');
+    const log = new AuditLog({ server: 'nodejs', settings: settings({ audit: false, auditLog: file }) });
+    await log.record('list_processes', {}, success({}));
+
+    await assert.rejects(fs.stat(file), { code: 'ENOENT' });
+  });
+
+  it('reports lines that are not JSON', async () => {
+    const file = path.join(dir, 'broken.jsonl');
+    await fs.writeFile(file, '{"id": "a"}\n\n{"id": \n');
+
+    await assert.rejects(readAuditLog(file), { message: new RegExp(`^${file}: line 3 is not valid JSON: `) });
+  });
+});
+
+describe('selectCalls', () => {
+  const entry = (id, tool, timestamp, extra = {}) => ({ id, tool, timestamp, server: 'nodejs', outcome: 'success', ...extra });
+  const entries = [
+    entry('a', 'npm_command', '2024-05-01T10:00:00Z'),
+    entry('b', 'run_tests', '2024-05-01T11:00:00Z'),
+    entry('c', 'scrape_page', '2024-05-01T11:30:00Z', { server: 'web-scraper' }),
+    entry('d', 'replay_calls', '2024-05-01T12:00:00Z'),
+    entry('e', 'npm_command', '2024-05-01T12:00:01Z', { replayOf: 'a' }),
+    entry('f', 'run_tests', '2024-05-01T13:00:00Z'),
+  ];
+  const ids = calls => calls.map(call => call.id);
+
+  it("picks the server's own calls, without replays", () => {
+    assert.deepEqual(ids(selectCalls(entries, { server: 'nodejs' })), ['a', 'b', 'f']);
+  });
+
+  it('narrows down by ids, tools, time and count', () => {
+    assert.deepEqual(ids(selectCalls(entries, { server: 'nodejs', ids: ['f', 'a', 'e'] })), ['a', 'f']);
+    assert.deepEqual(ids(selectCalls(entries, { server: 'nodejs', tools: ['run_tests'] })), ['b', 'f']);
+    assert.deepEqual(ids(selectCalls(entries, { server: 'nodejs', since: '2024-05-01T11:00:00Z', until: '2024-05-01T12:30:00Z' })), ['b']);
+    assert.deepEqual(ids(selectCalls(entries, { server: 'nodejs', last: 2 })), ['b', 'f']);
+  });
+
+  it('rejects unknown IDs and invalid times', () => {
+    assert.throws(() => selectCalls(entries, { server: 'nodejs', ids: ['a', 'z'] }), { message: 'No recorded calls with ID z' });
+    assert.throws(() => selectCalls(entries, { server: 'nodejs', since: 'yesterday' }), {
+      message: 'since must be a date and time such as 2024-05-01T12:00:00Z, not "yesterday"',
+    });
+  });
+});
+
+describe('replayRecordedCalls', () => {
+  it('maps recorded IDs to the new ones and compares outcomes', async () => {
+    const calls = [
+      { id: 'a', tool: 'start_process', arguments: { command: 'npm run dev' }, outcome: 'success', ids: { processId: 'proc-1' } },
+      { id: 'b', tool: 'read_process_output', arguments: { id: 'proc-1' }, outcome: 'success' },
+      { id: 'c', tool: 'npm_command', arguments: { env: { TOKEN: REDACTED } }, outcome: 'success', redacted: ['env.TOKEN'] },
+      { id: 'd', tool: 'stop_process', arguments: { id: 'proc-1' }, outcome: 'error' },
+    ];
+    const invoked = [];
+    const invoke = async (tool, args, replayOf) => {
+      invoked.push({ tool, args, replayOf });
+      const ids = tool === 'start_process' ? { processId: 'proc-7' } : {};
+      return { entry: { id: `r-${replayOf}`, outcome: 'success', durationMs: 1, artifacts: [], ids } };
+    };
+
+    const report = await replayRecordedCalls(calls, invoke);
+
+    assert.deepEqual(invoked.map(call => call.args), [{ command: 'npm run dev' }, { id: 'proc-7' }, { id: 'proc-7' }]);
+    assert.deepEqual(invoked.map(call => call.replayOf), ['a', 'b', 'd']);
+    assert.deepEqual(report.summary, { calls: 4, matched: 2, differed: 1, skipped: 1 });
+    assert.equal(report.passed, false);
+    assert.equal(report.calls[2].skipped, 'arguments were redacted (env.TOKEN)');
+  });
+
+  it('skips the rest after a mismatch with stopOnFailure', async () => {
+    const calls = ['a', 'b'].map(id => ({ id, tool: 'run_tests', arguments: {}, outcome: 'success' }));
+    const invoke = async () => ({ entry: { id: 'r', outcome: 'error', durationMs: 1, artifacts: [], ids: {} } });
+
+    const report = await replayRecordedCalls(calls, invoke, { stopOnFailure: true });
+
+    assert.deepEqual(report.summary, { calls: 2, matched: 0, differed: 1, skipped: 1 });
+    assert.equal(report.calls[1].skipped, 'an earlier call did not match');
+  });
+});
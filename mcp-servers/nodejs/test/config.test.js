@@ -0,0 +1,220 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { parse as parseYaml } from 'yaml';
+
+import { configFilePath, loadConfig, readConfigFile, toolFilter } from '../../shared/config.js';
+import { removeDir, tempDir } from './helpers.js';
+
+const SPEC = {
+  section: 'nodejs',
+  envPrefix: 'TEST',
+  settings: {
+    workingDir: { type: 'path', env: 'TEST_CWD', default: '/' },
+    sandbox: { type: 'boolean', env: 'TEST_SANDBOX', default: false },
+    maxBuffer: { type: 'number', env: 'TEST_MAX_BUFFER', min: 1, default: 1024 },
+    mode: { type: 'string', env: 'TEST_MODE', values: ['fast', 'safe'], default: 'safe' },
+    roots: { type: 'paths', env: 'TEST_ROOTS', separator: ':', default: [] },
+  },
+  timeouts: { run: { default: 1000, max: 5000 } },
+  timeoutEnv: { TEST_TIMEOUT: ['run'] },
+};
+
+describe('config loader', () => {
+  let dir;
+
+  before(async () => {
+    dir = await tempDir({
+      'config.yaml': [
+        '# Settings for both servers',
+        'nodejs:',
+        '  workingDir: app',
+        '  sandbox: true',
+        '  roots: [src, "lib"]',
+        '  tools:',
+        '    disabled:',
+        '      - run',
+        '  timeouts:',
+        '    run: { default: 2000 }',
+        'web-scraper:',
+        '  allowedDomains: [localhost]',
+        '',
+      ].join('\n'),
+      'config.json': JSON.stringify({ nodejs: { maxBuffer: 10, mode: 'fast' } }),
+      'broken.yaml': 'nodejs:\n  sandbox: true\n   maxBuffer: 10\n',
+      'duplicate.yaml': 'nodejs:\n  sandbox: true\n  sandbox: false\n',
+      'broken.json': '{ "nodejs": ',
+      'list.yaml': '- nodejs\n',
+      'empty.yaml': '# nothing yet\n',
+      'config.toml': '[nodejs]\n',
+      'invalid.yaml': [
+        'nodejs:',
+        '  sandbox: "yes"',
+        '  maxBuffer: 0',
+        '  mode: slow',
+        '  roots: src',
+        '  colour: red',
+        '  tools: { enabled: [run], only: [run] }',
+        '  timeouts:',
+        '    run: { default: -1, min: 1 }',
+        '    build: { default: 1 }',
+        'node: {}',
+        '',
+      ].join('\n'),
+    });
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  const load = (file, env = {}, argv = []) =>
+    loadConfig(SPEC, { argv: file ? ['--config', path.join(dir, file), ...argv] : argv, env, parseYaml });
+
+  it('reads settings, tools and timeouts from a YAML file', () => {
+    const config = load('config.yaml');
+
+    assert.equal(config.file, path.join(dir, 'config.yaml'));
+    assert.equal(config.settings.workingDir, path.join(dir, 'app'));
+    assert.equal(config.settings.sandbox, true);
+    assert.deepEqual(config.settings.roots, [path.join(dir, 'src'), path.join(dir, 'lib')]);
+    assert.equal(config.settings.maxBuffer, 1024);
+    assert.deepEqual(config.timeouts, { run: { default: 2000, max: 5000 } });
+    assert.deepEqual(config.tools.disabled, ['run']);
+    assert.equal(config.tools.enabled, null);
+  });
+
+  it('reads JSON files', () => {
+    const config = load('config.json');
+
+    assert.equal(config.settings.maxBuffer, 10);
+    assert.equal(config.settings.mode, 'fast');
+  });
+
+  it('uses the defaults without a config file', () => {
+    const config = load(null);
+
+    assert.equal(config.file, null);
+    assert.deepEqual(config.settings, { workingDir: '/', sandbox: false, maxBuffer: 1024, mode: 'safe', roots: [] });
+  });
+
+  it('treats a file with only comments as empty', () => {
+    assert.equal(load('empty.yaml').settings.sandbox, false);
+  });
+
+  it('lets environment variables override the file', () => {
+    const config = load('config.yaml', {
+      TEST_SANDBOX: 'false',
+      TEST_ROOTS: 'a:b',
+      TEST_TIMEOUT: '3000',
+      TEST_TOOL_TIMEOUTS: '{"run": {"max": 4000}}',
+      TEST_DISABLED_TOOLS: '',
+    });
+
+    assert.equal(config.settings.sandbox, false);
+    assert.deepEqual(config.settings.roots, [path.resolve('a'), path.resolve('b')]);
+    assert.deepEqual(config.timeouts, { run: { default: 3000, max: 4000 } });
+  });
+
+  it('finds the file from --config=, then MCP_SERVERS_CONFIG', () => {
+    assert.equal(configFilePath(['--config=a.json'], { MCP_SERVERS_CONFIG: 'b.json' }), path.resolve('a.json'));
+    assert.equal(configFilePath([], { MCP_SERVERS_CONFIG: 'b.json' }), path.resolve('b.json'));
+    assert.equal(configFilePath([], {}), null);
+    assert.throws(() => configFilePath(['--config'], {}), /^Error: --config needs the path of a config file$/);
+  });
+
+  it('lists every invalid value at once', () => {
+    const file = path.join(dir, 'invalid.yaml');
+
+    assert.throws(() => load('invalid.yaml', { TEST_MAX_BUFFER: '10M', TEST_TOOL_TIMEOUTS: '{run' }), {
+      message: [
+        'Invalid configuration:',
+        `  - ${file}: unknown section "node" (use nodejs, web-scraper)`,
+        `  - ${file}: nodejs.colour is not a setting (use tools, timeouts, workingDir, sandbox, maxBuffer, mode, roots)`,
+        `  - ${file}: nodejs.sandbox must be true or false, not "yes"`,
+        '  - TEST_MAX_BUFFER must be a number of at least 1, not "10M"',
+        `  - ${file}: nodejs.mode must be one of fast, safe, not "slow"`,
+        `  - ${file}: nodejs.roots must be a list of non-empty strings, not "src"`,
+        `  - ${file}: nodejs.tools.only is not a setting (use enabled, disabled)`,
+        `  - ${file}: nodejs.timeouts: run.default must be a positive number of milliseconds, not -1`,
+        `  - ${file}: nodejs.timeouts: run.min is not a timeout limit (use default or max)`,
+        `  - ${file}: nodejs.timeouts: build has no timeout (use one of run)`,
+        `  - TEST_TOOL_TIMEOUTS is not valid JSON: ${jsonError('{run')}`,
+      ].join('\n'),
+    });
+  });
+
+  it('rejects a default timeout above the maximum', () => {
+    assert.throws(() => load(null, { TEST_TIMEOUT: '6000' }), {
+      message: "Invalid configuration:\n  - run's default timeout (6000ms) is above its maximum (5000ms)",
+    });
+  });
+
+  it('reports YAML syntax errors with the file and line', () => {
+    const file = path.join(dir, 'broken.yaml');
+
+    assert.throws(() => load('broken.yaml'), (error) => {
+      assert.match(error.message, new RegExp(`^Failed to read config file ${escape(file)}: `));
+      assert.match(error.message, /at line 2, column 12/);
+      return true;
+    });
+    assert.throws(() => load('duplicate.yaml'), /^Error: Failed to read config file .*duplicate\.yaml: Map keys must be unique/);
+  });
+
+  it('reports JSON syntax errors with the file', () => {
+    assert.throws(() => load('broken.json'), new RegExp(`^Error: Failed to read config file ${escape(path.join(dir, 'broken.json'))}: `));
+  });
+
+  it('rejects files that are not an object of sections', () => {
+    assert.throws(() => load('list.yaml'), /^Error: Config file .*list\.yaml must hold an object with a section per server \(nodejs, web-scraper\)$/);
+  });
+
+  it('rejects other file types and missing files', () => {
+    assert.throws(() => load('config.toml'), /^Error: Config file .*config\.toml must be \.json, \.yaml or \.yml$/);
+    assert.throws(() => load('missing.json'), /^Error: Failed to read config file .*missing\.json: ENOENT/);
+  });
+
+  it('reads YAML files only with a parser', () => {
+    assert.throws(() => readConfigFile(path.join(dir, 'config.yaml')), /YAML config files are not supported here; use JSON$/);
+  });
+});
+
+describe('toolFilter', () => {
+  const config = (tools, env = {}) => loadConfig({ ...SPEC, settings: {} }, {
+    argv: [],
+    env: { ...env, ...(tools.enabled && { TEST_TOOLS: tools.enabled }), ...(tools.disabled && { TEST_DISABLED_TOOLS: tools.disabled }) },
+  });
+
+  it('enables every tool by default', () => {
+    const isEnabled = toolFilter(config({}), ['run', 'build']);
+
+    assert.equal(isEnabled('run'), true);
+    assert.equal(isEnabled('build'), true);
+  });
+
+  it('enables only the listed tools, minus the disabled ones', () => {
+    const isEnabled = toolFilter(config({ enabled: 'run,build', disabled: 'build' }), ['run', 'build', 'test']);
+
+    assert.equal(isEnabled('run'), true);
+    assert.equal(isEnabled('build'), false);
+    assert.equal(isEnabled('test'), false);
+  });
+
+  it('rejects unknown tool names', () => {
+    assert.throws(() => toolFilter(config({ disabled: 'run,deploy' }), ['run', 'build']), {
+      message: 'Invalid configuration:\n  - TEST_DISABLED_TOOLS has unknown tools "deploy" (use run, build)',
+    });
+  });
+});
+
+function jsonError(text) {
+  try {
+    JSON.parse(text);
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function escape(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
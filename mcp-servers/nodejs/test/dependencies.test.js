@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+import { analyzeDependencies } from '../dependencies.js';
+import { removeDir, tempDir } from './helpers.js';
+
+const installed = (name, version, extra = {}) => JSON.stringify({ name, version, license: 'MIT', ...extra });
+
+describe('analyzeDependencies', () => {
+  let dir;
+
+  before(async () => {
+    dir = await tempDir({
+      'package.json': JSON.stringify({
+        name: 'app',
+        scripts: { build: 'tsc -p .' },
+        dependencies: { express: '^4.18.0', lodash: '^4.17.0', chalk: '^5.0.0' },
+        devDependencies: { typescript: '^5.0.0', '@types/express': '^4.0.0', '@types/node': '^20.0.0', jest: '^29.0.0' },
+        peerDependencies: { react: '^18.0.0' },
+      }),
+      'node_modules/express/package.json': installed('express', '4.18.2'),
+      'node_modules/lodash/package.json': installed('lodash', '3.10.1'),
+      'node_modules/typescript/package.json': installed('typescript', '5.4.5', { bin: { tsc: 'bin/tsc' } }),
+      'src/index.js': [
+        "import express from 'express';",
+        "import fs from 'node:fs';",
+        "import { helper } from './helper.js';",
+        "// import _ from 'lodash';",
+        "const { z } = require('zod/lib');",
+        "const plugin = await import('@scope/plugin/register');",
+        '',
+      ].join('\n'),
+      'src/types.d.ts': "import 'chalk';\n",
+      'dist/bundle.js': "require('webpack');\n",
+      'packages/inner/package.json': installed('inner', '1.0.0'),
+      'packages/inner/index.js': "import pad from 'left-pad';\n",
+    });
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  it('finds unused and missing dependencies', async () => {
+    const { usage } = await analyzeDependencies(dir, { sections: ['usage'] });
+
+    assert.equal(usage.filesScanned, 1);
+    assert.deepEqual(usage.unused, [
+      { name: 'lodash', type: 'dependencies' },
+      { name: 'chalk', type: 'dependencies' },
+      { name: 'jest', type: 'devDependencies' },
+    ]);
+    assert.deepEqual(usage.missing, [
+      { name: 'zod', files: ['src/index.js'] },
+      { name: '@scope/plugin', files: ['src/index.js'] },
+    ]);
+  });
+
+  it('compares declared and installed versions', async () => {
+    const { dependencies } = await analyzeDependencies(dir, { sections: ['versions'] });
+    const status = Object.fromEntries(dependencies.map(dependency => [dependency.name, `${dependency.type}: ${dependency.status}`]));
+
+    assert.equal(status.express, 'dependencies: ok');
+    assert.equal(status.lodash, 'dependencies: out of range');
+    assert.equal(status.jest, 'devDependencies: not installed');
+    assert.equal(status.react, 'peerDependencies: not installed (optional)');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Test helpers: runs the server over stdio with an MCP client, configured
+ * only through the environment.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+
+/**
+ * Starts the server with `env` added to a minimal environment (no config
+ * file, no audit log) and returns a connected client.
+ */
+export async function startServer(env = {}) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER],
+    env: {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      NODEJS_MCP_AUDIT: 'false',
+      ...env,
+    },
+    stderr: 'ignore',
+  });
+  const client = new Client({ name: 'nodejs-server-tests', version: '0.0.0' });
+  await client.connect(transport);
+  return client;
+}
+
+/**
+ * Runs the server with `env` and `args` and resolves with its exit code and
+ * stderr once it exits, for configurations it should refuse.
+ */
+export function runServer(env = {}, args = []) {
+  return new Promise((resolve) => {
+    const child = execFile(process.execPath, [SERVER, ...args], {
+      env: { PATH: process.env.PATH, HOME: process.env.HOME, NODEJS_MCP_AUDIT: 'false', ...env },
+      timeout: 10000,
+    }, (error, stdout, stderr) => resolve({ code: child.exitCode, stderr }));
+    child.stdin.end();
+  });
+}
+
+/**
+ * Creates a temporary directory with `files` (relative path to content)
+ * and returns its real path.
+ */
+export async function tempDir(files = {}) {
+  const dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'nodejs-mcp-test-')));
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+export async function removeDir(dir) {
+  await fs.rm(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import {
+  addDependency, editScript, readManifest, removeDependency, removeField, renderManifest, setField, unifiedDiff,
+  validateManifest,
+} from '../manifest.js';
+import { removeDir, tempDir } from './helpers.js';
+
+const TAB_MANIFEST = [
+  '{',
+  '\t"name": "app",',
+  '\t"version": "1.0.0",',
+  '\t"keywords": ["a", "b"],',
+  '\t"scripts": {"build": "tsc", "prebuild": "rimraf dist", "ci": "npm run build && npm test"},',
+  '\t"dependencies": {',
+  '\t\t"express": "^4.18.0",',
+  '\t\t"zod": "^3.0.0"',
+  '\t},',
+  '\t"devDependencies": {',
+  '\t\t"lodash": "^4.0.0"',
+  '\t}',
+  '}',
+  '',
+].join('\r\n');
+
+describe('package.json editing', () => {
+  let dir;
+  let source;
+
+  before(async () => {
+    dir = await tempDir({ 'package.json': TAB_MANIFEST, 'broken/package.json': '{"name": ', 'array/package.json': '[]' });
+    source = await readManifest(path.join(dir, 'package.json'));
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  it('reads the indentation and line endings', () => {
+    assert.equal(source.indent, '\t');
+    assert.equal(source.newline, '\r\n');
+    assert.equal(source.finalNewline, true);
+  });
+
+  it('writes an unchanged manifest back byte for byte', () => {
+    assert.equal(renderManifest(source, structuredClone(source.manifest)), TAB_MANIFEST);
+  });
+
+  it('only reformats the values that changed', () => {
+    const manifest = structuredClone(source.manifest);
+    addDependency(manifest, { name: 'lodash', version: '^4.17.21' });
+    const text = renderManifest(source, manifest);
+
+    assert.equal(text, [
+      '{',
+      '\t"name": "app",',
+      '\t"version": "1.0.0",',
+      '\t"keywords": ["a", "b"],',
+      '\t"scripts": {"build": "tsc", "prebuild": "rimraf dist", "ci": "npm run build && npm test"},',
+      '\t"dependencies": {',
+      '\t\t"express": "^4.18.0",',
+      '\t\t"lodash": "^4.17.21",',
+      '\t\t"zod": "^3.0.0"',
+      '\t},',
+      '\t"devDependencies": {}',
+      '}',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('diffs the old and new text', () => {
+    const manifest = structuredClone(source.manifest);
+    setField(manifest, 'version', '1.1.0');
+    setField(manifest, ['exports', '.'], './index.js');
+
+    assert.equal(unifiedDiff(source.text, renderManifest(source, manifest), 'package.json', 1), [
+      '--- a/package.json',
+      '+++ b/package.json',
+      '@@ -2,3 +2,3 @@',
+      ' \t"name": "app",',
+      '-\t"version": "1.0.0",',
+      '+\t"version": "1.1.0",',
+      ' \t"keywords": ["a", "b"],',
+      '@@ -11,2 +11,5 @@',
+      ' \t\t"lodash": "^4.0.0"',
+      '+\t},',
+      '+\t"exports": {',
+      '+\t\t".": "./index.js"',
+      ' \t}',
+    ].join('\n'));
+  });
+
+  it('numbers hunks in the middle of long texts', () => {
+    const before = Array.from({ length: 5000 }, (_, index) => `line ${index + 1}`);
+    const after = before.toSpliced(2499, 2, 'changed', 'added', 'line 2501');
+
+    assert.equal(unifiedDiff(before.join('\n'), after.join('\n'), 'index.js', 1), [
+      '--- a/index.js',
+      '+++ b/index.js',
+      '@@ -2499,3 +2499,4 @@',
+      ' line 2499',
+      '-line 2500',
+      '+changed',
+      '+added',
+      ' line 2501',
+    ].join('\n'));
+  });
+
+  it('returns an empty diff for equal texts', () => {
+    assert.equal(unifiedDiff('a\nb\n', 'a\r\nb', 'package.json'), '');
+  });
+
+  it('reports unreadable manifests', async () => {
+    await assert.rejects(readManifest(path.join(dir, 'broken', 'package.json')), /broken\/package\.json is not valid JSON: /);
+    await assert.rejects(readManifest(path.join(dir, 'array', 'package.json')), /array\/package\.json does not contain a JSON object$/);
+    await assert.rejects(readManifest(path.join(dir, 'missing.json')), /^Error: Failed to read .*missing\.json: ENOENT/);
+  });
+});
+
+describe('validateManifest', () => {
+  it('accepts a valid manifest', () => {
+    assert.deepEqual(validateManifest({
+      name: '@scope/app',
+      version: '1.0.0-beta.1',
+      type: 'module',
+      engines: { node: '>=18' },
+      exports: { '.': './index.js', './feature': './feature.js' },
+      dependencies: { express: '^4.18.0', local: 'file:../local', next: 'latest', fork: 'user/repo#main' },
+    }), []);
+  });
+
+  it('lists every problem', () => {
+    assert.deepEqual(validateManifest({
+      name: 'My App',
+      version: '1.0',
+      type: 'esm',
+      private: 'yes',
+      engines: { node: 'eighteen' },
+      exports: { '.': './index.js', import: './index.mjs' },
+      dependencies: { Express: '^4', lodash: '>>1' },
+      devDependencies: [],
+    }), [
+      'name: must be a lowercase, URL-safe package name of at most 214 characters',
+      'version: must be a valid semver version',
+      'type: must be "module" or "commonjs"',
+      'private: must be true or false',
+      'engines: must map engines to version ranges',
+      'exports: must be a path, an array, or an object of either "./subpath" keys or conditions, not both',
+      'dependencies.Express: invalid package name',
+      'dependencies.lodash: invalid version range ">>1"',
+      'devDependencies: must be an object',
+    ]);
+  });
+});
+
+describe('manifest edits', () => {
+  it('moves dependencies between sections and keeps them sorted', () => {
+    const manifest = { dependencies: { a: '1', c: '1' }, devDependencies: { b: '1' } };
+
+    assert.deepEqual(addDependency(manifest, { name: 'b', version: '^2.0.0' }), [
+      'Removed b from devDependencies',
+      'Added b@^2.0.0 to dependencies',
+    ]);
+    assert.deepEqual(Object.keys(manifest.dependencies), ['a', 'b', 'c']);
+    assert.equal(removeDependency(manifest, 'b'), 'Removed b from dependencies');
+    assert.throws(() => removeDependency(manifest, 'b'), { message: 'b is not a dependency' });
+  });
+
+  it('sets and removes nested fields', () => {
+    const manifest = { name: 'app' };
+
+    assert.equal(setField(manifest, 'engines.node', '>=20'), 'Added engines.node');
+    assert.equal(setField(manifest, 'engines.node', '>=22'), 'Changed engines.node from ">=20" to ">=22"');
+    assert.throws(() => setField(manifest, 'name.first', 'x'), { message: 'Cannot set name.first: name is not an object' });
+    assert.equal(removeField(manifest, 'engines.node'), 'Removed engines.node');
+    assert.throws(() => removeField(manifest, ['exports', './x']), { message: 'Field not found: ["exports","./x"]' });
+  });
+
+  it('renames scripts with their hooks and warns about callers', () => {
+    const manifest = { scripts: { prebuild: 'rimraf dist', build: 'tsc', ci: 'npm run build && npm test' } };
+    const { changes, warnings } = editScript(manifest, { action: 'rename', name: 'build', newName: 'compile' });
+
+    assert.deepEqual(changes, ['Renamed script build to compile', 'Renamed script prebuild to precompile']);
+    assert.deepEqual(warnings, ['Script ci still runs build']);
+    assert.deepEqual(Object.keys(manifest.scripts), ['precompile', 'compile', 'ci']);
+  });
+
+  it('rejects script edits that do not apply', () => {
+    const manifest = { scripts: { build: 'tsc', lint: 'eslint .' } };
+
+    assert.throws(() => editScript(manifest, { action: 'add', name: 'build', command: 'vite build' }), {
+      message: 'Script already exists: build (use update to change it)',
+    });
+    assert.throws(() => editScript(manifest, { action: 'rename', name: 'build', newName: 'lint' }), {
+      message: 'Script already exists: lint',
+    });
+    assert.throws(() => editScript(manifest, { action: 'remove', name: 'test' }), { message: 'Script not found: test' });
+    assert.throws(() => editScript(manifest, { action: 'delete', name: 'build' }), {
+      message: 'Unknown script action: delete (use one of add, update, remove, rename)',
+    });
+  });
+});
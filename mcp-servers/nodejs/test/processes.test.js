@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+import { removeDir, startServer, tempDir } from './helpers.js';
+
+describe('start_process', () => {
+  let root;
+  let client;
+
+  before(async () => {
+    root = await tempDir({ 'server.js': 'console.log("listening");\nsetInterval(() => {}, 1000);\n' });
+    client = await startServer({ NODEJS_MCP_CWD: root });
+  });
+
+  after(async () => {
+    await client?.close();
+    await removeDir(root);
+  });
+
+  it('waits for readyPattern in the output', async () => {
+    const result = await client.callTool({
+      name: 'start_process',
+      arguments: { command: 'node server.js', id: 'ready', readyPattern: '^listen' },
+    });
+    await client.callTool({ name: 'stop_process', arguments: { id: 'ready' } });
+
+    assert.equal(result.isError, false);
+    assert.equal(result.structuredContent.ready, true);
+  });
+
+  it('rejects an invalid readyPattern without starting the process', async () => {
+    const result = await client.callTool({
+      name: 'start_process',
+      arguments: { command: 'node server.js', id: 'bad-pattern', readyPattern: 'listening (' },
+    });
+    const list = await client.callTool({ name: 'list_processes', arguments: {} });
+
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /readyPattern is not a valid regular expression/);
+    assert.deepEqual(list.structuredContent.processes, []);
+  });
+});
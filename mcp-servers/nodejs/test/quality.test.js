@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { parseFormatCheck, parseTypecheckOutput, readFormatResults, readLintResults } from '../quality.js';
+import { removeDir, startServer, tempDir } from './helpers.js';
+
+describe('parseTypecheckOutput', () => {
+  it('reads file, global and continued diagnostics', () => {
+    const output = [
+      "src/a.ts(3,7): error TS2322: Type 'string' is not assignable to type 'number'.",
+      "src/b.ts(10,1): error TS2345: Argument of type '{ id: string; }' is not assignable to parameter of type 'User'.",
+      "  Property 'name' is missing in type '{ id: string; }' but required in type 'User'.",
+      'error TS5058: The specified path does not exist: \'tsconfig.build.json\'.',
+      '',
+    ].join('\r\n');
+
+    assert.deepEqual(parseTypecheckOutput(output, '/app').map(({ file, line, column, rule, severity, message }) =>
+      ({ file, line, column, rule, severity, message })), [
+      {
+        file: 'src/a.ts', line: 3, column: 7, rule: 'TS2322', severity: 'error',
+        message: "Type 'string' is not assignable to type 'number'.",
+      },
+      {
+        file: 'src/b.ts', line: 10, column: 1, rule: 'TS2345', severity: 'error',
+        message: "Argument of type '{ id: string; }' is not assignable to parameter of type 'User'.\n" +
+          "  Property 'name' is missing in type '{ id: string; }' but required in type 'User'.",
+      },
+      {
+        file: null, line: null, column: null, rule: 'TS5058', severity: 'error',
+        message: "The specified path does not exist: 'tsconfig.build.json'.",
+      },
+    ]);
+  });
+});
+
+describe('parseFormatCheck', () => {
+  it('reads unformatted files, syntax errors and other messages', () => {
+    const stderr = [
+      '[error] src/broken.js: SyntaxError: Unexpected token (5:1)',
+      '[error]   3 | const a = 1;',
+      '[error] > 5 | }',
+      '[error]     | ^',
+      '[error] No files matching the pattern were found: "lib/**".',
+      '',
+    ].join('\n');
+    const result = parseFormatCheck('src/a.js\nsrc/b.ts\n', stderr, '/app');
+
+    assert.deepEqual(result.files, ['src/a.js', 'src/b.ts']);
+    assert.deepEqual(result.diagnostics.map(({ file, line, column, message }) => ({ file, line, column, message })), [
+      { file: 'src/broken.js', line: 5, column: 1, message: 'SyntaxError: Unexpected token' },
+    ]);
+    assert.deepEqual(result.messages, ['No files matching the pattern were found: "lib/**".']);
+  });
+});
+
+describe('lint and format reports', () => {
+  let dir;
+
+  before(async () => {
+    dir = await tempDir({ 'src/a.js': 'var a = 1\nconsole.log(a)\n', 'src/b.js': 'let b = 2;\n' });
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  it('reads ESLint results with the changes a fix makes', async () => {
+    const reportFile = path.join(dir, 'eslint.json');
+    await fs.writeFile(reportFile, JSON.stringify([
+      {
+        filePath: path.join(dir, 'src/a.js'),
+        messages: [{ ruleId: 'no-console', severity: 1, message: 'Unexpected console statement.', line: 2, column: 1 }],
+        output: 'const a = 1\nconsole.log(a)\n',
+      },
+      {
+        filePath: path.join(dir, 'src/b.js'),
+        messages: [{ ruleId: null, severity: 2, message: 'Parsing error: Unexpected token', line: 1, column: 5, fix: null }],
+      },
+    ]));
+    const { diagnostics, changes } = await readLintResults(reportFile, dir);
+
+    assert.deepEqual(diagnostics.map(({ file, rule, severity, fixable }) => ({ file, rule, severity, fixable })), [
+      { file: 'src/a.js', rule: 'no-console', severity: 'warning', fixable: false },
+      { file: 'src/b.js', rule: null, severity: 'error', fixable: false },
+    ]);
+    assert.deepEqual(changes, [{ file: 'src/a.js', source: 'var a = 1\nconsole.log(a)\n', output: 'const a = 1\nconsole.log(a)\n' }]);
+  });
+
+  it('reports the first changed line of every unformatted file', async () => {
+    const reportFile = path.join(dir, 'prettier.json');
+    await fs.writeFile(reportFile, JSON.stringify([
+      { file: path.join(dir, 'src/a.js'), source: 'var a = 1\nconsole.log(a)\n', output: 'var a = 1;\nconsole.log(a);\n' },
+      { file: path.join(dir, 'src/b.js'), source: 'let b = 2;\n', output: 'let b = 2;\n' },
+      { file: path.join(dir, 'src/c.js'), error: 'Unexpected token (1:5)' },
+    ]));
+    const { diagnostics, changes } = await readFormatResults(reportFile, dir);
+
+    assert.deepEqual(diagnostics.map(({ file, line, severity, message }) => ({ file, line, severity, message })), [
+      { file: 'src/a.js', line: 1, severity: 'warning', message: 'File is not formatted' },
+      { file: 'src/c.js', line: null, severity: 'error', message: 'Unexpected token (1:5)' },
+    ]);
+    assert.deepEqual(changes.map(change => change.file), ['src/a.js']);
+  });
+
+  it('reads a missing report as null', async () => {
+    assert.equal(await readLintResults(path.join(dir, 'missing.json'), dir), null);
+    assert.equal(await readFormatResults(path.join(dir, 'missing.json'), dir), null);
+  });
+});
+
+describe('file patterns of lint_project and format_files', () => {
+  let root;
+  let client;
+  let sandboxed;
+
+  before(async () => {
+    root = await tempDir({ 'package.json': JSON.stringify({ name: 'app' }) });
+    client = await startServer({ NODEJS_MCP_CWD: root });
+    sandboxed = await startServer({ NODEJS_MCP_SANDBOX: 'true', NODEJS_MCP_CWD: root });
+  });
+
+  after(async () => {
+    await client?.close();
+    await sandboxed?.close();
+    await removeDir(root);
+  });
+
+  it('refuses patterns that would be read as options', async () => {
+    for (const name of ['lint_project', 'format_files']) {
+      const result = await client.callTool({ name, arguments: { files: ['src', '--config=/tmp/evil.js'] } });
+
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /File patterns cannot start with "-": --config=\/tmp\/evil\.js/);
+    }
+  });
+
+  it('refuses patterns outside the project directory in sandbox mode', async () => {
+    for (const file of ['../other/*.js', '/etc/*.js']) {
+      const result = await sandboxed.callTool({ name: 'format_files', arguments: { files: [file] } });
+
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /File pattern is outside the project directory/);
+    }
+  });
+});
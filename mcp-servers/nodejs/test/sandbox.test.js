@@ -0,0 +1,223 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+import { removeDir, runServer, startServer, tempDir } from './helpers.js';
+
+const PRINT_ARGV = 'console.log(JSON.stringify(process.argv.slice(2)))';
+
+describe('sandboxed run_node_script', () => {
+  let root;
+  let outside;
+  let client;
+
+  before(async () => {
+    root = await tempDir({ 'argv.js': PRINT_ARGV });
+    outside = await tempDir({ 'argv.js': PRINT_ARGV });
+    client = await startServer({
+      NODEJS_MCP_SANDBOX: 'true',
+      NODEJS_MCP_CWD: root,
+    });
+  });
+
+  after(async () => {
+    await client?.close();
+    await removeDir(root);
+    await removeDir(outside);
+  });
+
+  it('passes arguments to inline scripts, not to node', async () => {
+    const result = await client.callTool({
+      name: 'run_node_script',
+      arguments: { script: 'console.log(JSON.stringify(process.argv.slice(1)))', args: ['--allow-fs-read=*', '--inspect'] },
+    });
+
+    assert.equal(result.isError, false);
+    assert.deepEqual(JSON.parse(result.structuredContent.stdout), ['--allow-fs-read=*', '--inspect']);
+  });
+
+  it('passes arguments to script files, not to node', async () => {
+    const result = await client.callTool({
+      name: 'run_node_script',
+      arguments: { script: './argv.js', args: ['--allow-fs-read=*'] },
+    });
+
+    assert.equal(result.isError, false);
+    assert.deepEqual(JSON.parse(result.structuredContent.stdout), ['--allow-fs-read=*']);
+  });
+
+  it('rejects scripts outside the project roots', async () => {
+    const result = await client.callTool({
+      name: 'run_node_script',
+      arguments: { script: `${outside}/argv.js` },
+    });
+
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /outside the allowed project roots/);
+  });
+});
+
+describe('sandboxed start_process', () => {
+  let root;
+  let outside;
+  let client;
+
+  before(async () => {
+    const server = `${PRINT_ARGV}\nsetInterval(() => {}, 1000);\n`;
+    root = await tempDir({ 'server.js': server });
+    outside = await tempDir({ 'server.js': server });
+    client = await startServer({
+      NODEJS_MCP_SANDBOX: 'true',
+      NODEJS_MCP_CWD: root,
+    });
+  });
+
+  after(async () => {
+    await client?.close();
+    await removeDir(root);
+    await removeDir(outside);
+  });
+
+  it('passes arguments after the script to the script', async () => {
+    const result = await client.callTool({
+      name: 'start_process',
+      arguments: { command: 'node server.js --allow-fs-read=* --inspect', id: 'argv', readyPattern: '^\\[' },
+    });
+    await client.callTool({ name: 'stop_process', arguments: { id: 'argv' } });
+
+    assert.equal(result.isError, false);
+    assert.deepEqual(JSON.parse(result.structuredContent.output.at(-1).text), ['--allow-fs-read=*', '--inspect']);
+  });
+
+  for (const command of [
+    'node --allow-fs-read=* server.js',
+    'node --inspect=0 server.js',
+    'node -e "setInterval(() => {}, 1000)"',
+    'node',
+  ]) {
+    it(`refuses node options and inline code: ${command}`, async () => {
+      const result = await client.callTool({ name: 'start_process', arguments: { command } });
+
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /Only node <script> \[args\.\.\.\] can be started in sandbox mode/);
+    });
+  }
+
+  it('refuses scripts outside the project roots', async () => {
+    const result = await client.callTool({
+      name: 'start_process',
+      arguments: { command: `node ${outside}/server.js` },
+    });
+
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /outside the allowed project roots/);
+  });
+
+  it('lists no processes after refusing them', async () => {
+    const result = await client.callTool({ name: 'list_processes', arguments: {} });
+
+    assert.deepEqual(result.structuredContent.processes, []);
+  });
+});
+
+describe('sandboxed npm_command and get_package_info', () => {
+  let root;
+  let outside;
+  let client;
+
+  before(async () => {
+    root = await tempDir({ 'package.json': JSON.stringify({ name: 'app' }) });
+    outside = await tempDir({ 'package.json': JSON.stringify({ name: 'secret' }) });
+    client = await startServer({
+      NODEJS_MCP_SANDBOX: 'true',
+      NODEJS_MCP_CWD: root,
+    });
+  });
+
+  after(async () => {
+    await client?.close();
+    await removeDir(root);
+    await removeDir(outside);
+  });
+
+  it('refuses npm init, which runs create-* packages', async () => {
+    const result = await client.callTool({ name: 'npm_command', arguments: { command: 'init react-app x' } });
+
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /npm init is not allowed in sandbox mode/);
+  });
+
+  for (const command of ['run build --script-shell=/tmp/evil', 'install --node-options=--require=/tmp/evil.js']) {
+    it(`refuses flags that run scripts through another program: ${command}`, async () => {
+      const result = await client.callTool({ name: 'npm_command', arguments: { command } });
+
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /npm flag --(script-shell|node-options)=\S+ is not allowed in sandbox mode/);
+    });
+  }
+
+  it('reads package.json only inside the project roots', async () => {
+    const inside = await client.callTool({ name: 'get_package_info', arguments: {} });
+    const escaped = await client.callTool({ name: 'get_package_info', arguments: { path: `${outside}/package.json` } });
+
+    assert.equal(inside.structuredContent.package.name, 'app');
+    assert.equal(escaped.isError, true);
+    assert.match(escaped.content[0].text, /outside the allowed project roots/);
+  });
+});
+
+describe('sandboxed run_tests', () => {
+  let root;
+  let client;
+
+  before(async () => {
+    root = await tempDir({
+      'package.json': JSON.stringify({ name: 'app', scripts: { test: 'node --test' } }),
+      'test/app.test.js': "const { it } = require('node:test');\nit('works', () => {});\n",
+    });
+    client = await startServer({
+      NODEJS_MCP_SANDBOX: 'true',
+      NODEJS_MCP_CWD: root,
+      NODEJS_MCP_NODE_FLAGS: `--experimental-permission --allow-fs-read=* --allow-fs-write=${root} --allow-child-process`,
+    });
+  });
+
+  after(async () => {
+    await client?.close();
+    await removeDir(root);
+  });
+
+  it('reports results under the permission flags', async () => {
+    const result = await client.callTool({ name: 'run_tests', arguments: { files: ['test/app.test.js'] } });
+
+    assert.equal(result.isError, false, result.content[0].text);
+    assert.equal(result.structuredContent.summary.passed, 1);
+  });
+
+  it('refuses runner options', async () => {
+    const result = await client.callTool({
+      name: 'run_tests',
+      arguments: { runnerArgs: ['--allow-fs-write=*'] },
+    });
+
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Runner options are not allowed in sandbox mode: --allow-fs-write=\*/);
+  });
+
+  it('refuses files outside the project directory', async () => {
+    for (const file of ['--allow-fs-write=*', '../other.test.js', '/tmp/other.test.js']) {
+      const result = await client.callTool({ name: 'run_tests', arguments: { files: [file] } });
+
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /File pattern/);
+    }
+  });
+});
+
+describe('sandbox configuration', () => {
+  it('refuses to start with allowedRoots but without sandbox', async () => {
+    const { code, stderr } = await runServer({ NODEJS_MCP_ALLOWED_ROOTS: '/tmp' });
+
+    assert.equal(code, 1);
+    assert.match(stderr, /allowedRoots \(NODEJS_MCP_ALLOWED_ROOTS\) only applies in sandbox mode/);
+  });
+});
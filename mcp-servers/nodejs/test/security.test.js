@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { checkAdvisories, loadAdvisories, parseNpmAudit, rankFindings, suggestedFix } from '../security.js';
+import { removeDir, tempDir } from './helpers.js';
+
+const advisory = (id, name, affected, extra = {}) => ({
+  id,
+  summary: `${name} advisory`,
+  affected: [{ package: { ecosystem: 'npm', name }, ...affected }],
+  ...extra,
+});
+
+const ADVISORIES = [
+  advisory('GHSA-fixed', 'lodash', { ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.21' }] }] }, {
+    database_specific: { severity: 'HIGH' },
+    references: [{ type: 'WEB', url: 'https://example.com/web' }, { type: 'ADVISORY', url: 'https://example.com/advisory' }],
+  }),
+  advisory('GHSA-two-ranges', 'minimist', {
+    ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '0' }, { fixed: '0.2.4' }, { introduced: '1.0.0' }, { fixed: '1.2.6' }] }],
+  }, { database_specific: { severity: 'CRITICAL' } }),
+  advisory('GHSA-last-affected', 'qs', {
+    ranges: [{ type: 'SEMVER', events: [{ introduced: '6.0.0' }, { last_affected: '6.5.2' }] }],
+  }, { database_specific: { severity: 'moderate' } }),
+  advisory('GHSA-unfixed', 'left-pad', { ranges: [{ type: 'SEMVER', events: [{ introduced: '1.1.0' }] }] }, {
+    database_specific: { severity: 'medium' },
+  }),
+  advisory('GHSA-versions', 'event-stream', { versions: ['3.3.6'] }),
+  advisory('GHSA-git', 'tar', { ranges: [{ type: 'GIT', repo: 'https://example.com/tar', events: [{ introduced: '0' }] }] }),
+  {
+    id: 'PYSEC-1',
+    affected: [{ package: { ecosystem: 'PyPI', name: 'lodash' }, ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '0' }] }] }],
+  },
+];
+
+const PACKAGES = {
+  '': { name: 'app', version: '1.0.0' },
+  'node_modules/lodash': { version: '4.17.20' },
+  'node_modules/old/node_modules/lodash': { version: '4.17.21', dev: true },
+  'node_modules/minimist': { version: '1.2.5' },
+  'node_modules/cli/node_modules/minimist': { version: '0.2.4' },
+  'node_modules/mkdirp/node_modules/minimist': { version: '0.0.8' },
+  'node_modules/qs': { version: '6.5.2' },
+  'node_modules/express/node_modules/qs': { version: '6.5.3' },
+  'node_modules/left-pad': { version: '1.3.0' },
+  'node_modules/legacy/node_modules/left-pad': { version: '1.0.0' },
+  'node_modules/event-stream': { version: '3.3.6' },
+  'node_modules/tar': { version: '6.0.0' },
+  'node_modules/linked': { version: '1.0.0', link: true },
+};
+
+describe('checkAdvisories', () => {
+  const findings = checkAdvisories(PACKAGES, ADVISORIES, { dependencies: { lodash: '^4.17.0', qs: '^6.5.0' } });
+  const matches = findings.map(finding => `${finding.paths[0]}@${finding.version} ${finding.id} fix=${finding.fixVersion}`);
+
+  it('matches installed versions against OSV ranges', () => {
+    assert.deepEqual(matches, [
+      'node_modules/lodash@4.17.20 GHSA-fixed fix=4.17.21',
+      'node_modules/minimist@1.2.5 GHSA-two-ranges fix=1.2.6',
+      'node_modules/mkdirp/node_modules/minimist@0.0.8 GHSA-two-ranges fix=0.2.4',
+      'node_modules/qs@6.5.2 GHSA-last-affected fix=null',
+      'node_modules/left-pad@1.3.0 GHSA-unfixed fix=null',
+      'node_modules/event-stream@3.3.6 GHSA-versions fix=null',
+    ]);
+  });
+
+  it('describes the finding', () => {
+    const lodash = findings[0];
+
+    assert.equal(lodash.direct, true);
+    assert.equal(lodash.dev, false);
+    assert.equal(lodash.severity, 'high');
+    assert.equal(lodash.url, 'https://example.com/advisory');
+    assert.equal(lodash.vulnerableRange, '<4.17.21');
+    assert.equal(lodash.source, 'osv');
+    assert.equal(findings[1].direct, false);
+    assert.equal(findings[1].vulnerableRange, '<0.2.4 || >=1.0.0 <1.2.6');
+    assert.equal(findings[3].vulnerableRange, '>=6.0.0 <=6.5.2');
+    assert.equal(findings[4].vulnerableRange, '>=1.1.0');
+    assert.equal(findings[4].severity, 'moderate');
+    assert.equal(findings[5].severity, 'unknown');
+  });
+
+  it('ranks findings by severity, then package', () => {
+    const { findings: ranked, summary } = rankFindings(findings);
+
+    assert.deepEqual(ranked.map(finding => finding.package), ['minimist', 'minimist', 'lodash', 'left-pad', 'qs', 'event-stream']);
+    assert.deepEqual(summary, { critical: 2, high: 1, moderate: 2, low: 0, info: 0, unknown: 1, total: 6 });
+  });
+});
+
+describe('loadAdvisories', () => {
+  let dir;
+
+  before(async () => {
+    dir = await tempDir({
+      'db/one.json': JSON.stringify(ADVISORIES[0]),
+      'db/nested/list.json': JSON.stringify([ADVISORIES[1], { id: 'no-affected' }]),
+      'db/nested/query.json': JSON.stringify({ vulns: [ADVISORIES[2]] }),
+      'db/notes.txt': 'not an advisory',
+      'broken.json': '{',
+    });
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  it('reads advisories from a directory tree', async () => {
+    const advisories = await loadAdvisories(path.join(dir, 'db'));
+
+    assert.deepEqual(advisories.map(item => item.id).sort(), ['GHSA-fixed', 'GHSA-last-affected', 'GHSA-two-ranges']);
+  });
+
+  it('reports missing and unreadable files', async () => {
+    await assert.rejects(loadAdvisories(path.join(dir, 'missing')), { message: `Advisory database not found: ${path.join(dir, 'missing')}` });
+    await assert.rejects(loadAdvisories(path.join(dir, 'broken.json')), /^Error: Failed to read advisory file .*broken\.json: /);
+  });
+});
+
+describe('parseNpmAudit', () => {
+  it('turns advisories into findings with the first version outside the range', () => {
+    const findings = parseNpmAudit({
+      vulnerabilities: {
+        lodash: {
+          name: 'lodash',
+          severity: 'high',
+          isDirect: true,
+          nodes: ['node_modules/lodash'],
+          via: [{ source: 1, title: 'Prototype pollution', url: 'https://github.com/advisories/GHSA-1', severity: 'high', range: '<4.17.21' }],
+          fixAvailable: true,
+        },
+        express: {
+          name: 'express',
+          severity: 'moderate',
+          isDirect: true,
+          nodes: ['node_modules/express'],
+          via: ['qs'],
+          range: '<4.17.3',
+          fixAvailable: { name: 'express', version: '4.21.0', isSemVerMajor: false },
+        },
+      },
+    }, { 'node_modules/lodash': { version: '4.17.20' }, 'node_modules/express': { version: '4.17.1', dev: true } });
+
+    assert.equal(findings.length, 2);
+    assert.equal(findings[0].id, 'GHSA-1');
+    assert.equal(findings[0].fixVersion, '4.17.21');
+    assert.equal(suggestedFix(findings[0]), 'lodash@4.17.21');
+    assert.equal(findings[1].title, 'Depends on vulnerable qs');
+    assert.equal(findings[1].dev, true);
+    assert.equal(suggestedFix(findings[1]), 'express@4.21.0');
+  });
+
+  it('reports npm errors', () => {
+    assert.throws(() => parseNpmAudit({ error: { summary: 'ENOLOCK' } }), { message: 'npm audit failed: ENOLOCK' });
+  });
+});
@@ -0,0 +1,326 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { buildTestCommand, detectRunner, formatTestReport, readCoverage, readTestResults } from '../tests.js';
+import { removeDir, tempDir } from './helpers.js';
+
+const PROJECT = '/project';
+
+// node --test --test-reporter=tap, for a file that fails to load and a suite
+// with a passing, a failing, a skipped and a todo test
+const NODE_TAP = [
+  'TAP version 13',
+  "# Error: Cannot find module './missing-module'",
+  '#     at Object.<anonymous> (/project/broken.test.js:1:1)',
+  '# Subtest: /project/broken.test.js',
+  'not ok 1 - /project/broken.test.js',
+  '  ---',
+  '  duration_ms: 139.587684',
+  "  location: '/project/broken.test.js:1:1'",
+  "  failureType: 'testCodeFailure'",
+  '  exitCode: 1',
+  '  signal: ~',
+  "  error: 'test failed'",
+  "  code: 'ERR_TEST_FAILURE'",
+  '  ...',
+  '# Subtest: math',
+  '    # Subtest: adds',
+  '    ok 1 - adds',
+  '      ---',
+  '      duration_ms: 1.539746',
+  '      ...',
+  '    # Subtest: subtracts',
+  '    not ok 2 - subtracts',
+  '      ---',
+  '      duration_ms: 2.234436',
+  "      location: '/project/math.test.js:9:3'",
+  "      failureType: 'testCodeFailure'",
+  '      error: |-',
+  '        Expected values to be strictly equal:',
+  '        ',
+  '        2 !== 1',
+  '        ',
+  "      code: 'ERR_ASSERTION'",
+  "      name: 'AssertionError'",
+  '      expected: 1',
+  '      actual: 2',
+  "      operator: 'strictEqual'",
+  '      stack: |-',
+  '        TestContext.<anonymous> (/project/math.test.js:10:12)',
+  '        Test.runInAsyncScope (node:async_hooks:206:9)',
+  '        async Suite.run (node:internal/test_runner/test:1135:7)',
+  '      ...',
+  '    # Subtest: divides',
+  '    ok 3 - divides # SKIP',
+  '      ---',
+  '      duration_ms: 0.400655',
+  '      ...',
+  '    # Subtest: multiplies',
+  '    ok 4 - multiplies # TODO',
+  '      ---',
+  '      duration_ms: 0.189239',
+  '      ...',
+  '    1..4',
+  'not ok 2 - math',
+  '  ---',
+  '  duration_ms: 6.694571',
+  "  type: 'suite'",
+  "  location: '/project/math.test.js:4:1'",
+  "  failureType: 'subtestsFailed'",
+  "  error: '1 subtest failed'",
+  "  code: 'ERR_TEST_FAILURE'",
+  '  ...',
+  '1..2',
+  '# tests 5',
+  '# pass 1',
+  '# fail 2',
+  '',
+].join('\n');
+
+const JEST_REPORT = {
+  testResults: [
+    {
+      name: '/project/src/math.test.js',
+      status: 'failed',
+      assertionResults: [
+        { title: 'adds', ancestorTitles: ['math'], status: 'passed', failureMessages: [] },
+        {
+          title: 'subtracts',
+          ancestorTitles: ['math'],
+          status: 'failed',
+          failureMessages: [
+            '\x1b[2mexpect(\x1b[22mreceived\x1b[2m).toBe(\x1b[22mexpected\x1b[2m)\x1b[22m\n\nExpected: 1\nReceived: 2\n'
+              + '    at Object.toBe (/project/src/math.test.js:7:19)\n'
+              + '    at Promise.then.completed (/project/node_modules/jest-circus/build/utils.js:298:28)\n'
+              + '    at new Promise (<anonymous>)',
+          ],
+        },
+        { title: 'divides', ancestorTitles: ['math'], status: 'pending', failureMessages: [] },
+        { title: 'multiplies', ancestorTitles: ['math'], status: 'todo', failureMessages: [] },
+      ],
+    },
+    {
+      name: '/project/src/broken.test.js',
+      status: 'failed',
+      message: "Cannot find module './missing' from 'src/broken.test.js'\n    at Resolver.resolveModule (/project/node_modules/jest-resolve/build/resolver.js:427:11)\n    at Object.<anonymous> (/project/src/broken.test.js:1:1)",
+      assertionResults: [],
+    },
+  ],
+};
+
+const MOCHA_REPORT = {
+  passes: [{ fullTitle: 'math adds' }],
+  pending: [{ fullTitle: 'math divides' }],
+  failures: [
+    {
+      fullTitle: 'math subtracts',
+      file: '/project/test/math.spec.js',
+      err: {
+        message: 'Expected values to be strictly equal:\n\n2 !== 1\n',
+        stack: 'AssertionError [ERR_ASSERTION]: Expected values to be strictly equal:\n    at Context.<anonymous> (file:///project/test/math.spec.js:9:12)\n    at process.processImmediate (node:internal/timers:478:21)',
+        expected: 1,
+        actual: 2,
+      },
+    },
+  ],
+};
+
+describe('readTestResults', () => {
+  let dir;
+
+  before(async () => {
+    dir = await tempDir({
+      'report.tap': NODE_TAP,
+      'objects.tap': [
+        'TAP version 13',
+        '# Subtest: objects',
+        'not ok 1 - objects',
+        '  ---',
+        "  location: '/project/objects.test.js:3:1'",
+        "  failureType: 'testCodeFailure'",
+        '  error: |-',
+        '    Expected values to be strictly deep-equal:',
+        '    + actual - expected',
+        '    ',
+        '      { a: [ 2 ] }',
+        "  code: 'ERR_ASSERTION'",
+        '  expected:',
+        '    a:',
+        '      0: 2',
+        '  actual:',
+        '    a:',
+        '      0: 1',
+        "      1: 'x: y'",
+        '  stack: |-',
+        '    TestContext.<anonymous> (/project/objects.test.js:3:30)',
+        '  ...',
+        '1..1',
+        '',
+      ].join('\n'),
+      'jest.json': JSON.stringify(JEST_REPORT),
+      'mocha.json': JSON.stringify(MOCHA_REPORT),
+      'truncated.json': '{"testResults": [',
+      'coverage/coverage-summary.json': JSON.stringify({
+        total: { lines: { pct: 75 }, statements: { pct: 80 }, functions: { pct: 50 }, branches: { pct: 'Unknown' } },
+        '/project/src/math.js': { lines: { pct: 100 }, statements: { pct: 100 }, functions: { pct: 100 }, branches: { pct: 100 } },
+        '/project/src/app.js': { lines: { pct: 50 }, statements: { pct: 60 }, functions: { pct: 0 }, branches: { pct: 0 } },
+      }),
+    });
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  it('reads node:test TAP, counting only the tests without subtests', async () => {
+    const { summary, failures } = await readTestResults('node', path.join(dir, 'report.tap'), PROJECT);
+
+    assert.deepEqual(summary, { total: 4, passed: 1, failed: 1, skipped: 1, todo: 1, failedFiles: 1 });
+    assert.deepEqual(failures, [
+      {
+        test: null,
+        file: 'broken.test.js',
+        message: "Error: Cannot find module './missing-module'\n    at Object.<anonymous> (/project/broken.test.js:1:1)",
+        location: 'broken.test.js:1:1',
+        stack: [],
+      },
+      {
+        test: 'math > subtracts',
+        file: 'math.test.js',
+        message: 'Expected values to be strictly equal:\n\n2 !== 1',
+        location: 'math.test.js:10:12',
+        stack: ['math.test.js:10:12'],
+        expected: 1,
+        actual: 2,
+      },
+    ]);
+  });
+
+  it('reads nested values from node:test diagnostics', async () => {
+    const { failures } = await readTestResults('node', path.join(dir, 'objects.tap'), PROJECT);
+
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].message, 'Expected values to be strictly deep-equal:\n+ actual - expected\n\n  { a: [ 2 ] }');
+    assert.deepEqual(failures[0].expected, { a: { 0: 2 } });
+    assert.deepEqual(failures[0].actual, { a: { 0: 1, 1: 'x: y' } });
+    assert.equal(failures[0].location, 'objects.test.js:3:30');
+  });
+
+  it('reads Jest JSON, including files that failed to load', async () => {
+    const { summary, failures } = await readTestResults('jest', path.join(dir, 'jest.json'), PROJECT);
+
+    assert.deepEqual(summary, { total: 4, passed: 1, failed: 1, skipped: 1, todo: 1, failedFiles: 1 });
+    assert.deepEqual(failures, [
+      {
+        test: 'math > subtracts',
+        file: 'src/math.test.js',
+        message: 'expect(received).toBe(expected)\n\nExpected: 1\nReceived: 2',
+        location: 'src/math.test.js:7:19',
+        stack: ['src/math.test.js:7:19'],
+      },
+      {
+        test: null,
+        file: 'src/broken.test.js',
+        message: "Cannot find module './missing' from 'src/broken.test.js'",
+        location: 'src/broken.test.js:1:1',
+        stack: ['src/broken.test.js:1:1'],
+      },
+    ]);
+  });
+
+  it('reads Mocha JSON', async () => {
+    const { summary, failures } = await readTestResults('mocha', path.join(dir, 'mocha.json'), PROJECT);
+
+    assert.deepEqual(summary, { total: 3, passed: 1, failed: 1, skipped: 1, todo: 0, failedFiles: 0 });
+    assert.deepEqual(failures, [{
+      test: 'math subtracts',
+      file: 'test/math.spec.js',
+      message: 'Expected values to be strictly equal:\n\n2 !== 1',
+      location: 'test/math.spec.js:9:12',
+      stack: ['test/math.spec.js:9:12'],
+      expected: 1,
+      actual: 2,
+    }]);
+  });
+
+  it('returns null without a complete report', async () => {
+    assert.equal(await readTestResults('jest', path.join(dir, 'missing.json'), PROJECT), null);
+    assert.equal(await readTestResults('vitest', path.join(dir, 'truncated.json'), PROJECT), null);
+  });
+
+  it('reads coverage per file', async () => {
+    assert.deepEqual(await readCoverage(path.join(dir, 'coverage'), PROJECT), {
+      total: { lines: 75, statements: 80, functions: 50, branches: 'Unknown' },
+      files: [
+        { file: 'src/app.js', lines: 50, statements: 60, functions: 0, branches: 0 },
+        { file: 'src/math.js', lines: 100, statements: 100, functions: 100, branches: 100 },
+      ],
+    });
+    assert.equal(await readCoverage(path.join(dir, 'missing'), PROJECT), null);
+  });
+});
+
+describe('detectRunner', () => {
+  it('prefers the test script over dependencies', () => {
+    assert.deepEqual(detectRunner({ scripts: { test: 'vitest run' }, devDependencies: { jest: '^29.0.0' } }), {
+      runner: 'vitest', detectedFrom: 'scripts.test',
+    });
+    assert.deepEqual(detectRunner({ scripts: { test: 'node_modules/.bin/jest --ci' } }), { runner: 'jest', detectedFrom: 'scripts.test' });
+    assert.deepEqual(detectRunner({ scripts: { test: 'node --test test/' } }), { runner: 'node', detectedFrom: 'scripts.test' });
+  });
+
+  it('falls back to dependencies, then node:test', () => {
+    assert.deepEqual(detectRunner({ scripts: { test: 'make test' }, devDependencies: { mocha: '^10.0.0' } }), {
+      runner: 'mocha', detectedFrom: 'dependencies',
+    });
+    assert.deepEqual(detectRunner({ scripts: { test: 'jestify' } }), { runner: 'node', detectedFrom: 'default' });
+  });
+});
+
+describe('buildTestCommand', () => {
+  it('runs node:test with the TAP reporter', async () => {
+    assert.deepEqual(await buildTestCommand('node', PROJECT, {
+      reportFile: '/tmp/report.tap', files: ['test/a.test.js'], testNamePattern: 'adds', runnerArgs: ['--test-concurrency=1'],
+    }), [
+      '--test', '--test-reporter=tap', '--test-reporter-destination=/tmp/report.tap', '--test-name-pattern=adds',
+      '--test-concurrency=1', 'test/a.test.js',
+    ]);
+  });
+
+  it('rejects unknown runners', async () => {
+    await assert.rejects(buildTestCommand('ava', PROJECT, { reportFile: '/tmp/report.json' }), {
+      message: 'Unknown test runner: ava (use one of jest, vitest, mocha, node)',
+    });
+  });
+});
+
+describe('formatTestReport', () => {
+  it('lists the counts and failures', () => {
+    const results = {
+      summary: { total: 3, passed: 1, failed: 1, skipped: 1, todo: 0, failedFiles: 1 },
+      failures: [
+        { test: 'math subtracts', file: 'test/math.spec.js', message: 'Expected 1\n\nGot 2', location: 'test/math.spec.js:9:12' },
+        { test: null, file: 'test/broken.spec.js', message: 'SyntaxError', location: null },
+      ],
+    };
+    const text = formatTestReport({
+      ...results, command: 'mocha', runner: 'mocha', detectedFrom: 'dependencies', passed: false, exitCode: 1, durationMs: 120,
+    });
+
+    assert.equal(text, [
+      'Command: mocha',
+      'Runner: mocha (detected from dependencies)',
+      'Result: FAILED - 1 passed, 1 failed, 1 skipped, 1 file failed to run (3 tests)',
+      'Exit code: 1',
+      'Duration: 120ms',
+      '',
+      'Failures:',
+      '- math subtracts (test/math.spec.js:9:12)',
+      '    Expected 1',
+      '    Got 2',
+      '- test/broken.spec.js failed to run',
+      '    SyntaxError',
+    ].join('\n'));
+  });
+});
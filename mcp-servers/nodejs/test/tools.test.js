@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { isWithin, progressReporter, toolResult } from '../../shared/tools.js';
+
+describe('toolResult', () => {
+  it('carries the text, the data as JSON and any images', () => {
+    const image = { type: 'image', data: 'AAAA', mimeType: 'image/png' };
+
+    assert.deepEqual(toolResult('Done', { ok: true }, false, [image]), {
+      content: [{ type: 'text', text: 'Done' }, { type: 'text', text: '{\n  "ok": true\n}' }, image],
+      structuredContent: { ok: true },
+      isError: false,
+    });
+  });
+});
+
+describe('progressReporter', () => {
+  const reporter = () => {
+    const sent = [];
+    const report = progressReporter({
+      _meta: { progressToken: 'token' },
+      sendNotification: async notification => sent.push(notification.params),
+    });
+    return { report, sent };
+  };
+
+  it('does nothing without a progress token', () => {
+    assert.doesNotThrow(() => progressReporter({})('line'));
+  });
+
+  it('counts reports and skips those too close together', () => {
+    const { report, sent } = reporter();
+    report('first');
+    report('second');
+    report('third', { progress: 5, total: 5 });
+
+    assert.deepEqual(sent, [
+      { progressToken: 'token', progress: 1, total: undefined, message: 'first' },
+      { progressToken: 'token', progress: 5, total: 5, message: 'third' },
+    ]);
+  });
+});
+
+describe('isWithin', () => {
+  it('accepts the root and paths below it only', () => {
+    assert.equal(isWithin('/app', '/app'), true);
+    assert.equal(isWithin('/app', '/app/src/index.js'), true);
+    assert.equal(isWithin('/app', '/application'), false);
+    assert.equal(isWithin('/app', '/'), false);
+  });
+});
@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { promisify } from 'node:util';
+
+import { changedWorkspaces, loadWorkspaces, runInOrder, selectWorkspaces } from '../workspaces.js';
+import { removeDir, tempDir } from './helpers.js';
+
+const execFileAsync = promisify(execFile);
+
+const GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'test',
+  GIT_COMMITTER_EMAIL: 'test@example.com',
+};
+
+const manifest = (name, extra = {}) => JSON.stringify({ name, version: '1.0.0', ...extra });
+
+describe('workspace graph', () => {
+  let dir;
+  let graph;
+
+  before(async () => {
+    dir = await tempDir({
+      'package.json': manifest('root', { private: true, workspaces: ['packages/*', 'apps/*', '!packages/legacy'] }),
+      'packages/core/package.json': manifest('core'),
+      'packages/utils/package.json': manifest('utils', { dependencies: { core: '^1.0.0' } }),
+      'packages/tools/package.json': manifest('tools', { dependencies: { core: '^2.0.0' } }),
+      'packages/a/package.json': manifest('a', { dependencies: { b: '*' } }),
+      'packages/b/package.json': manifest('b', { dependencies: { a: '*' } }),
+      'packages/legacy/package.json': manifest('legacy'),
+      'packages/notes/README.md': '',
+      'apps/web/package.json': manifest('web', { dependencies: { utils: 'workspace:*' }, devDependencies: { core: '*' } }),
+    });
+    graph = await loadWorkspaces(path.join(dir, 'apps', 'web'));
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  it('finds the root and the packages its patterns match', () => {
+    assert.equal(graph.root, dir);
+    assert.equal(graph.packageManager, 'npm');
+    assert.deepEqual(graph.workspaces.map(workspace => workspace.path), [
+      'apps/web', 'packages/a', 'packages/b', 'packages/core', 'packages/tools', 'packages/utils',
+    ]);
+  });
+
+  it('links only the dependencies a workspace package satisfies', () => {
+    const byName = Object.fromEntries(graph.workspaces.map(workspace => [workspace.name, workspace]));
+
+    assert.deepEqual(byName.tools.dependencies, [{ name: 'core', type: 'dependencies', range: '^2.0.0', linked: false }]);
+    assert.deepEqual(byName.core.dependents, ['web', 'utils']);
+  });
+
+  it('orders dependencies first and puts cycles last', () => {
+    assert.deepEqual(graph.order, ['core', 'tools', 'utils', 'web', 'a', 'b']);
+    assert.deepEqual(graph.cycles, [['a', 'b']]);
+  });
+
+  it('selects workspaces by name, path and change, with their dependents', () => {
+    assert.deepEqual(selectWorkspaces(graph, { filter: ['core'], includeDependents: true }), ['core', 'utils', 'web']);
+    assert.deepEqual(selectWorkspaces(graph, { filter: ['packages/*'], changed: ['a', 'utils', 'web'] }), ['utils', 'a']);
+  });
+
+  it('skips the dependents of failed workspaces', async () => {
+    const results = await runInOrder(graph, ['core', 'tools', 'utils', 'web'], {
+      bail: false,
+      run: async workspace => ({ name: workspace.name, status: workspace.name === 'core' ? 'failed' : 'passed' }),
+    });
+
+    assert.deepEqual(results.map(result => [result.name, result.status, result.reason]), [
+      ['core', 'failed', undefined],
+      ['tools', 'passed', undefined],
+      ['utils', 'skipped', 'dependency core did not succeed'],
+      ['web', 'skipped', 'dependency utils did not succeed'],
+    ]);
+  });
+
+  it('runs packages in a cycle in their order', async () => {
+    const started = [];
+    const results = await runInOrder(graph, ['a', 'b'], {
+      concurrency: 2,
+      run: async (workspace) => {
+        started.push(workspace.name);
+        return { name: workspace.name, status: 'passed' };
+      },
+    });
+
+    assert.deepEqual(started, ['a', 'b']);
+    assert.deepEqual(results.map(result => result.status), ['passed', 'passed']);
+  });
+});
+
+describe('pnpm workspaces', () => {
+  let dir;
+
+  before(async () => {
+    dir = await tempDir({
+      'flow/pnpm-workspace.yaml': "packages: ['apps/*', \"libs/*\"]  # both kinds\n",
+      'flow/apps/web/package.json': manifest('web'),
+      'flow/libs/ui/package.json': manifest('ui'),
+      'block/pnpm-workspace.yaml': [
+        '# Workspace packages',
+        'packages:',
+        '  - "packages/*" # all of them',
+        "  - '!packages/internal'",
+        'catalog:',
+        '  react: ^18.0.0',
+        '',
+      ].join('\n'),
+      'block/packages/a/package.json': manifest('a'),
+      'block/packages/internal/package.json': manifest('internal'),
+      'broken/pnpm-workspace.yaml': 'packages:\n  - apps/*\n - libs/*\n',
+      'scalar/pnpm-workspace.yaml': 'packages: apps/*\n',
+    });
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  it('reads flow and block lists with quotes and comments', async () => {
+    const flow = await loadWorkspaces(path.join(dir, 'flow'));
+    const block = await loadWorkspaces(path.join(dir, 'block'));
+
+    assert.equal(flow.packageManager, 'pnpm');
+    assert.deepEqual(flow.patterns, ['apps/*', 'libs/*']);
+    assert.deepEqual(flow.workspaces.map(workspace => workspace.path), ['apps/web', 'libs/ui']);
+    assert.deepEqual(block.patterns, ['packages/*', '!packages/internal']);
+    assert.deepEqual(block.workspaces.map(workspace => workspace.name), ['a']);
+  });
+
+  it('reports invalid files', async () => {
+    await assert.rejects(loadWorkspaces(path.join(dir, 'broken')), /^Error: Failed to read .*broken\/pnpm-workspace\.yaml: /);
+    await assert.rejects(loadWorkspaces(path.join(dir, 'scalar')), {
+      message: `${path.join(dir, 'scalar', 'pnpm-workspace.yaml')}: packages must be a list of glob patterns`,
+    });
+  });
+});
+
+describe('changedWorkspaces', () => {
+  let dir;
+  let graph;
+
+  before(async () => {
+    dir = await tempDir({
+      'package.json': manifest('root', { private: true, workspaces: ['packages/*'] }),
+      'packages/a/package.json': manifest('a'),
+      'packages/b/package.json': manifest('b'),
+      'packages/c/package.json': manifest('c'),
+    });
+    const git = (...args) => execFileAsync('git', args, { cwd: dir, env: { ...process.env, ...GIT_IDENTITY } });
+    await git('init', '--quiet');
+    await git('add', '.');
+    await git('commit', '--quiet', '-m', 'initial');
+    await fs.writeFile(path.join(dir, 'packages/a/index.js'), '');
+    await fs.writeFile(path.join(dir, 'packages/b/package.json'), manifest('b', { private: true }));
+    graph = await loadWorkspaces(dir);
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  it('finds the workspaces with changed and untracked files', async () => {
+    assert.deepEqual(await changedWorkspaces(dir, graph.workspaces, 'HEAD'), ['a', 'b']);
+  });
+
+  it('refuses refs that look like git options', async () => {
+    const output = path.join(dir, 'written.txt');
+
+    await assert.rejects(changedWorkspaces(dir, graph.workspaces, `--output=${output}`), {
+      message: `changedSince must be a git ref, not an option: --output=${output}`,
+    });
+    await assert.rejects(fs.stat(output), { code: 'ENOENT' });
+  });
+});
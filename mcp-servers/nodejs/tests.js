@@ -0,0 +1,410 @@
+/**
+ * Test runs for Jest, Vitest, Mocha and the built-in node:test runner: which
+ * runner a project uses, how to run it with a machine-readable reporter, and
+ * turning each reporter's output into the same shape of results.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { requirePackageBin } from './dependencies.js';
+
+export const TEST_RUNNERS = ['jest', 'vitest', 'mocha', 'node'];
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+// "at fn (file:line:col)", "at file:line:col" or a node:test frame without "at"
+const FRAME_PATTERN = /(?:^|\s|\()((?:file:\/\/)?[^\s()]+?):(\d+):(\d+)\)?$/;
+
+const COVERAGE_METRICS = ['lines', 'statements', 'functions', 'branches'];
+
+/**
+ * Picks the runner from the project's test script, or else from the runner
+ * packages it depends on. Projects with neither use node:test.
+ */
+export function detectRunner(manifest) {
+  const testScript = manifest.scripts?.test ?? '';
+  for (const runner of ['vitest', 'jest', 'mocha']) {
+    if (new RegExp(`(^|[\\s/])${runner}(\\s|$)`).test(testScript)) {
+      return { runner, detectedFrom: 'scripts.test' };
+    }
+  }
+  if (/\bnode\b.*\s--test\b/.test(testScript)) {
+    return { runner: 'node', detectedFrom: 'scripts.test' };
+  }
+
+  const dependencies = { ...manifest.dependencies, ...manifest.devDependencies };
+  for (const runner of ['vitest', 'jest', 'mocha']) {
+    if (dependencies[runner]) {
+      return { runner, detectedFrom: 'dependencies' };
+    }
+  }
+  return { runner: 'node', detectedFrom: 'default' };
+}
+
+/**
+ * Builds the node arguments that run the tests with a reporter writing to
+ * `reportFile`, and with a coverage summary in `coverageDir` when given.
+ * Mocha and node:test are run under c8 for coverage.
+ */
+export async function buildTestCommand(runner, projectDir, {
+  reportFile,
+  coverageDir,
+  files = [],
+  testNamePattern,
+  runnerArgs = [],
+}) {
+  let args;
+  switch (runner) {
+    case 'jest':
+      args = [
+        await requirePackageBin(projectDir, 'jest', 'to run Jest tests'),
+        '--json', `--outputFile=${reportFile}`,
+        ...(coverageDir ? ['--coverage', '--coverageReporters=json-summary', `--coverageDirectory=${coverageDir}`] : []),
+        ...(testNamePattern ? ['--testNamePattern', testNamePattern] : []),
+      ];
+      break;
+    case 'vitest':
+      args = [
+        await requirePackageBin(projectDir, 'vitest', 'to run Vitest tests'), 'run',
+        '--reporter=json', `--outputFile=${reportFile}`,
+        ...(coverageDir ? [
+          '--coverage.enabled', '--coverage.reporter=json-summary',
+          `--coverage.reportsDirectory=${coverageDir}`, '--coverage.reportOnFailure',
+        ] : []),
+        ...(testNamePattern ? ['--testNamePattern', testNamePattern] : []),
+      ];
+      break;
+    case 'mocha':
+      args = [
+        await requirePackageBin(projectDir, 'mocha', 'to run Mocha tests'),
+        '--reporter', 'json', '--reporter-option', `output=${reportFile}`,
+        ...(testNamePattern ? ['--grep', testNamePattern] : []),
+      ];
+      break;
+    case 'node':
+      args = [
+        '--test', '--test-reporter=tap', `--test-reporter-destination=${reportFile}`,
+        ...(testNamePattern ? [`--test-name-pattern=${testNamePattern}`] : []),
+      ];
+      break;
+    default:
+      throw new Error(`Unknown test runner: ${runner} (use one of ${TEST_RUNNERS.join(', ')})`);
+  }
+  args.push(...runnerArgs, ...files);
+
+  if (coverageDir && (runner === 'mocha' || runner === 'node')) {
+    const c8 = await requirePackageBin(projectDir, 'c8', `for coverage with ${runner === 'node' ? 'node:test' : 'Mocha'}`);
+    args = [
+      c8, '--reporter=json-summary', `--report-dir=${coverageDir}`, `--temp-directory=${path.join(coverageDir, 'tmp')}`,
+      process.execPath, ...args,
+    ];
+  }
+  return args;
+}
+
+function relativeTo(projectDir, file) {
+  const absolute = file.startsWith('file://') ? new URL(file).pathname : path.resolve(projectDir, file);
+  const relative = path.relative(projectDir, absolute);
+  return relative.startsWith('..') ? absolute : relative;
+}
+
+/**
+ * Splits an error's text into the message and the stack locations that lie
+ * in the project itself, leaving out node internals and node_modules.
+ */
+function splitError(text, projectDir, stackText) {
+  const lines = (text ?? '').replace(ANSI_PATTERN, '').split('\n');
+  const firstFrame = lines.findIndex(line => /^\s+at\s/.test(line));
+  const messageLines = firstFrame === -1 ? lines : lines.slice(0, firstFrame);
+  const frameLines = stackText !== undefined
+    ? String(stackText).replace(ANSI_PATTERN, '').split('\n')
+    : firstFrame === -1 ? [] : lines.slice(firstFrame);
+
+  const stack = [];
+  for (const line of frameLines) {
+    const match = line.trim().match(FRAME_PATTERN);
+    if (!match || match[1].startsWith('node:') || match[1].includes('node_modules/')) {
+      continue;
+    }
+    stack.push(`${relativeTo(projectDir, match[1])}:${match[2]}:${match[3]}`);
+  }
+  return { message: messageLines.join('\n').trim(), stack };
+}
+
+function emptySummary() {
+  return { total: 0, passed: 0, failed: 0, skipped: 0, todo: 0, failedFiles: 0 };
+}
+
+function count(summary, status) {
+  summary[status]++;
+  summary.total++;
+}
+
+const JEST_STATUSES = {
+  passed: 'passed',
+  failed: 'failed',
+  pending: 'skipped',
+  skipped: 'skipped',
+  disabled: 'skipped',
+  focused: 'passed',
+  todo: 'todo',
+};
+
+/**
+ * Reads a Jest --json report. Vitest's json reporter writes the same format.
+ */
+function parseJestReport(report, projectDir) {
+  const summary = emptySummary();
+  const failures = [];
+
+  for (const file of report.testResults ?? []) {
+    const fileName = relativeTo(projectDir, file.name);
+    const assertions = file.assertionResults ?? [];
+    for (const assertion of assertions) {
+      const status = JEST_STATUSES[assertion.status] ?? 'skipped';
+      count(summary, status);
+      if (status === 'failed') {
+        const { message, stack } = splitError((assertion.failureMessages ?? []).join('\n'), projectDir);
+        failures.push({
+          test: [...(assertion.ancestorTitles ?? []), assertion.title].join(' > '),
+          file: fileName,
+          message,
+          location: stack[0] ?? null,
+          stack,
+        });
+      }
+    }
+
+    // A file that fails to load has no failed tests, only a message
+    if (file.status === 'failed' && file.message && !assertions.some(assertion => assertion.status === 'failed')) {
+      summary.failedFiles++;
+      const { message, stack } = splitError(file.message, projectDir);
+      failures.push({ test: null, file: fileName, message, location: stack[0] ?? null, stack });
+    }
+  }
+  return { summary, failures };
+}
+
+function parseMochaReport(report, projectDir) {
+  // Mocha does not tell skipped and todo tests apart, both are pending
+  const summary = emptySummary();
+  summary.passed = report.passes?.length ?? 0;
+  summary.skipped = report.pending?.length ?? 0;
+  summary.total = summary.passed + summary.skipped;
+
+  const failures = (report.failures ?? []).map((test) => {
+    count(summary, 'failed');
+    const err = test.err ?? {};
+    const { stack } = splitError('', projectDir, err.stack);
+    return {
+      test: test.fullTitle,
+      file: test.file ? relativeTo(projectDir, test.file) : null,
+      message: (err.message ?? '').trim(),
+      location: stack[0] ?? null,
+      stack,
+      ...(err.expected !== undefined ? { expected: err.expected, actual: err.actual } : {}),
+    };
+  });
+  return { summary, failures };
+}
+
+/**
+ * Reads the YAML block node:test writes after a test point, indented like
+ * the test point itself. A block that is not valid YAML is kept as the
+ * error message.
+ */
+function parseTapYaml(lines) {
+  const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.length - line.trimStart().length));
+  const text = lines.map(line => line.slice(indent)).join('\n');
+  try {
+    const result = parseYaml(text);
+    return result !== null && typeof result === 'object' ? result : {};
+  } catch {
+    return { error: text.trim() };
+  }
+}
+
+/**
+ * Reads node:test's TAP output. Subtests are indented four spaces per level
+ * and reported before their parent, so a test point collects the ones above
+ * it at the next level as its children; only tests without children (and
+ * parents that failed themselves) are counted.
+ */
+function parseNodeTap(tap, projectDir) {
+  const lines = tap.split('\n');
+  const levels = [[]];
+  const comments = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const indent = line.length - line.trimStart().length;
+    const depth = Math.floor(indent / 4);
+    const point = line.trim().match(/^(not ok|ok) \d+ - (.*?)(?: # (SKIP|TODO)\b.*)?$/i);
+
+    if (!point) {
+      const comment = line.trim().match(/^# (?!Subtest:)(.*)$/);
+      if (comment && depth === 0) {
+        comments.push(comment[1]);
+      }
+      continue;
+    }
+
+    let yaml = {};
+    if (lines[i + 1]?.trim() === '---') {
+      const block = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() !== '...') {
+        block.push(lines[i]);
+        i++;
+      }
+      yaml = parseTapYaml(block);
+    }
+
+    const node = {
+      name: point[2].replace(/\\#/g, '#'),
+      ok: point[1] === 'ok',
+      directive: point[3]?.toUpperCase() ?? null,
+      yaml,
+      children: levels[depth + 1] ?? [],
+      output: depth === 0 ? comments.splice(0) : [],
+    };
+    levels[depth + 1] = [];
+    (levels[depth] ??= []).push(node);
+  }
+
+  const summary = emptySummary();
+  const failures = [];
+  const visit = (node, ancestors) => {
+    for (const child of node.children) {
+      visit(child, [...ancestors, node.name]);
+    }
+    const failedItself = !node.ok && node.yaml.failureType !== 'subtestsFailed';
+    if (node.children.length > 0 && !failedItself) {
+      return;
+    }
+    if (node.yaml.type === 'suite' && !failedItself) {
+      return;
+    }
+
+    const status = node.directive === 'SKIP' ? 'skipped' : node.directive === 'TODO' ? 'todo' : node.ok ? 'passed' : 'failed';
+    if (status !== 'failed') {
+      count(summary, status);
+      return;
+    }
+
+    const { stack } = splitError('', projectDir, node.yaml.stack ?? '');
+    const definedAt = node.yaml.location ? splitError('', projectDir, node.yaml.location).stack[0] : null;
+    // A file that fails to load is reported as a test named after the file
+    const isFile = ancestors.length === 0 && node.yaml.code === 'ERR_TEST_FAILURE' && node.yaml.error === 'test failed';
+    if (isFile) {
+      summary.failedFiles++;
+    } else {
+      count(summary, 'failed');
+    }
+    failures.push({
+      test: isFile ? null : [...ancestors, node.name].join(' > '),
+      file: definedAt ? definedAt.replace(/:\d+:\d+$/, '') : null,
+      message: isFile && node.output.length > 0 ? node.output.join('\n') : node.yaml.error ?? '',
+      location: stack[0] ?? definedAt,
+      stack,
+      ...(node.yaml.expected !== undefined ? { expected: node.yaml.expected, actual: node.yaml.actual } : {}),
+    });
+  };
+  for (const node of levels[0]) {
+    visit(node, []);
+  }
+  return { summary, failures };
+}
+
+/**
+ * Reads the results the runner wrote to `reportFile`. Returns null when
+ * there are none, e.g. because the runner failed before running any test.
+ */
+export async function readTestResults(runner, reportFile, projectDir) {
+  let content;
+  try {
+    content = await fs.readFile(reportFile, 'utf-8');
+  } catch {
+    return null;
+  }
+
+  if (runner === 'node') {
+    return parseNodeTap(content, projectDir);
+  }
+  let report;
+  try {
+    report = JSON.parse(content);
+  } catch {
+    return null;
+  }
+  return runner === 'mocha' ? parseMochaReport(report, projectDir) : parseJestReport(report, projectDir);
+}
+
+/**
+ * Reads an istanbul json-summary report into percentages per metric, for the
+ * whole run and per file.
+ */
+export async function readCoverage(coverageDir, projectDir) {
+  let summary;
+  try {
+    summary = JSON.parse(await fs.readFile(path.join(coverageDir, 'coverage-summary.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+
+  const percentages = metrics => Object.fromEntries(COVERAGE_METRICS.map(metric => [metric, metrics[metric]?.pct ?? null]));
+  const { total, ...files } = summary;
+  return {
+    total: percentages(total),
+    files: Object.entries(files)
+      .map(([file, metrics]) => ({ file: relativeTo(projectDir, file), ...percentages(metrics) }))
+      .sort((a, b) => a.file.localeCompare(b.file)),
+  };
+}
+
+function formatPercentage(value) {
+  return typeof value === 'number' ? `${value.toFixed(1)}%` : '-';
+}
+
+export function formatTestReport(report) {
+  const { summary } = report;
+  const counts = [`${summary.passed} passed`, `${summary.failed} failed`];
+  if (summary.skipped > 0) {
+    counts.push(`${summary.skipped} skipped`);
+  }
+  if (summary.todo > 0) {
+    counts.push(`${summary.todo} todo`);
+  }
+  if (summary.failedFiles > 0) {
+    counts.push(`${summary.failedFiles} file${summary.failedFiles === 1 ? '' : 's'} failed to run`);
+  }
+
+  const lines = [
+    `Command: ${report.command}`,
+    `Runner: ${report.runner} (${report.detectedFrom === 'argument' ? 'requested' : `detected from ${report.detectedFrom}`})`,
+    `Result: ${report.passed ? 'PASSED' : 'FAILED'} - ${counts.join(', ')} (${summary.total} tests)`,
+    `Exit code: ${report.exitCode ?? 'none'}${report.timedOut ? ' (timed out)' : ''}${report.cancelled ? ' (cancelled)' : ''}`,
+    `Duration: ${report.durationMs}ms`,
+  ];
+
+  if (report.failures.length > 0) {
+    lines.push('', 'Failures:');
+    for (const failure of report.failures) {
+      const title = failure.test ?? `${failure.file} failed to run`;
+      lines.push(`- ${title}${failure.location ? ` (${failure.location})` : ''}`);
+      lines.push(...failure.message.split('\n').filter(Boolean).map(line => `    ${line}`));
+    }
+  }
+
+  if (report.coverage) {
+    const { total, files } = report.coverage;
+    lines.push('', `Coverage: ${COVERAGE_METRICS.map(metric => `${metric} ${formatPercentage(total[metric])}`).join(', ')}`);
+    const width = Math.max(4, ...files.map(file => file.file.length));
+    lines.push(`${'FILE'.padEnd(width)}  LINES   STMTS   FUNCS   BRANCH`);
+    for (const file of files) {
+      lines.push(`${file.file.padEnd(width)}  ${COVERAGE_METRICS.map(metric => formatPercentage(file[metric]).padEnd(6)).join('  ')}`.trimEnd());
+    }
+  }
+  return lines.join('\n');
+}
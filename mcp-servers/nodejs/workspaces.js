@@ -0,0 +1,408 @@
+/**
+ * npm, yarn and pnpm workspaces: finding the packages of a monorepo, the
+ * dependencies between them and the order to build them in.
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import semver from 'semver';
+import { parse as parseYaml } from 'yaml';
+import { DEPENDENCY_TYPES } from './manifest.js';
+
+const execFileAsync = promisify(execFile);
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the `packages` list of a pnpm-workspace.yaml file, which is the only
+ * key that matters here.
+ */
+function parsePnpmWorkspace(text, file) {
+  let config;
+  try {
+    config = parseYaml(text);
+  } catch (error) {
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+  const patterns = config?.packages ?? [];
+  if (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string')) {
+    throw new Error(`${file}: packages must be a list of glob patterns`);
+  }
+  return patterns;
+}
+
+/**
+ * Returns the workspace patterns of the project in `dir` and the package
+ * manager they are for, or null when it is not a workspace root.
+ */
+async function readWorkspaceConfig(dir) {
+  const pnpmFile = path.join(dir, 'pnpm-workspace.yaml');
+  const pnpmConfig = await fs.readFile(pnpmFile, 'utf-8').catch(() => null);
+  if (pnpmConfig !== null) {
+    return { packageManager: 'pnpm', patterns: parsePnpmWorkspace(pnpmConfig, pnpmFile) };
+  }
+
+  const manifest = await readJson(path.join(dir, 'package.json'));
+  const patterns = Array.isArray(manifest?.workspaces) ? manifest.workspaces : manifest?.workspaces?.packages;
+  if (!Array.isArray(patterns)) {
+    return null;
+  }
+  const hasYarnLock = await fs.stat(path.join(dir, 'yarn.lock')).then(() => true, () => false);
+  const packageManager = manifest.packageManager?.split('@')[0] ?? (hasYarnLock ? 'yarn' : 'npm');
+  return { packageManager, patterns };
+}
+
+/**
+ * Finds the workspace root that `dir` belongs to: `dir` itself or the
+ * closest directory above it with a workspace configuration.
+ */
+export async function findWorkspaceRoot(dir) {
+  let current = dir;
+  while (true) {
+    const config = await readWorkspaceConfig(current);
+    if (config) {
+      return { root: current, ...config };
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      throw new Error(`No workspace configuration (package.json workspaces or pnpm-workspace.yaml) in ${dir} or above`);
+    }
+    current = parent;
+  }
+}
+
+async function subdirectories(root, dir, recursive) {
+  const entries = await fs.readdir(path.join(root, dir), { withFileTypes: true }).catch(() => []);
+  const result = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) {
+      continue;
+    }
+    const child = path.posix.join(dir, entry.name);
+    result.push(child);
+    if (recursive) {
+      result.push(...await subdirectories(root, child, true));
+    }
+  }
+  return result;
+}
+
+function segmentPattern(segment) {
+  const source = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expands a workspace glob such as "packages/*" or "apps/**" into the
+ * directories it matches, relative to `root`.
+ */
+async function expandPattern(root, pattern) {
+  let dirs = [''];
+  for (const segment of pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/')) {
+    const next = [];
+    for (const dir of dirs) {
+      if (segment === '**') {
+        next.push(dir, ...await subdirectories(root, dir, true));
+      } else if (/[*?]/.test(segment)) {
+        const regex = segmentPattern(segment);
+        next.push(...(await subdirectories(root, dir, false)).filter(child => regex.test(path.posix.basename(child))));
+      } else {
+        next.push(path.posix.join(dir, segment));
+      }
+    }
+    dirs = [...new Set(next)];
+  }
+  return dirs;
+}
+
+/**
+ * Reads the workspace packages of `root` from `patterns`. Patterns starting
+ * with "!" exclude directories; directories without package.json are
+ * ignored.
+ */
+async function readWorkspacePackages(root, patterns) {
+  const included = new Set();
+  const excluded = new Set();
+  for (const pattern of patterns) {
+    const negated = pattern.startsWith('!');
+    for (const dir of await expandPattern(root, negated ? pattern.slice(1) : pattern)) {
+      (negated ? excluded : included).add(dir);
+    }
+  }
+
+  const packages = [];
+  for (const dir of [...included].filter(dir => !excluded.has(dir)).sort()) {
+    const manifest = await readJson(path.join(root, dir, 'package.json'));
+    if (manifest) {
+      packages.push({ dir, manifest });
+    }
+  }
+  return packages;
+}
+
+// Whether npm/pnpm/yarn link the workspace package for this specifier
+function linksWorkspace(range, version) {
+  if (/^(workspace|file|link):/.test(range) || range === '*' || range === '') {
+    return true;
+  }
+  return Boolean(version) && semver.validRange(range) !== null && semver.satisfies(version, range, { includePrerelease: true });
+}
+
+/**
+ * Strongly connected components with more than one package, or a package
+ * depending on itself: the dependency cycles (Tarjan's algorithm).
+ */
+function findCycles(names, edges) {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
+
+  const visit = (name) => {
+    index.set(name, counter);
+    lowLink.set(name, counter++);
+    stack.push(name);
+    onStack.add(name);
+    for (const dependency of edges.get(name)) {
+      if (!index.has(dependency)) {
+        visit(dependency);
+        lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(dependency)));
+      } else if (onStack.has(dependency)) {
+        lowLink.set(name, Math.min(lowLink.get(name), index.get(dependency)));
+      }
+    }
+    if (lowLink.get(name) === index.get(name)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== name);
+      if (component.length > 1 || edges.get(name).includes(name)) {
+        cycles.push(component.sort());
+      }
+    }
+  };
+
+  for (const name of names) {
+    if (!index.has(name)) {
+      visit(name);
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Dependencies first, alphabetically among packages that are ready at the
+ * same time. Packages in a cycle come last, in alphabetical order.
+ */
+function topologicalOrder(names, edges) {
+  const remaining = new Map(names.map(name => [name, new Set(edges.get(name).filter(dependency => dependency !== name))]));
+  const order = [];
+  while (remaining.size > 0) {
+    const ready = [...remaining].filter(([, dependencies]) => dependencies.size === 0).map(([name]) => name).sort();
+    if (ready.length === 0) {
+      order.push(...[...remaining.keys()].sort());
+      break;
+    }
+    for (const name of ready) {
+      order.push(name);
+      remaining.delete(name);
+    }
+    for (const dependencies of remaining.values()) {
+      ready.forEach(name => dependencies.delete(name));
+    }
+  }
+  return order;
+}
+
+/**
+ * Lists the workspace packages of the monorepo `dir` belongs to, with the
+ * dependencies between them, their topological order and any cycles.
+ */
+export async function loadWorkspaces(dir) {
+  const { root, packageManager, patterns } = await findWorkspaceRoot(dir);
+  const found = await readWorkspacePackages(root, patterns);
+
+  const byName = new Map();
+  for (const { dir: packageDir, manifest } of found) {
+    const name = manifest.name ?? packageDir;
+    if (byName.has(name)) {
+      throw new Error(`Two workspace packages are named ${name}: ${byName.get(name).path} and ${packageDir}`);
+    }
+    byName.set(name, {
+      name,
+      version: manifest.version ?? null,
+      path: packageDir,
+      private: Boolean(manifest.private),
+      scripts: Object.keys(manifest.scripts ?? {}),
+      dependencies: [],
+      dependents: [],
+      manifest,
+    });
+  }
+
+  for (const workspace of byName.values()) {
+    for (const type of DEPENDENCY_TYPES) {
+      for (const [name, range] of Object.entries(workspace.manifest[type] ?? {})) {
+        const target = byName.get(name);
+        if (!target) {
+          continue;
+        }
+        const linked = linksWorkspace(range, target.version);
+        workspace.dependencies.push({ name, type, range, linked });
+        // An unlinked dependency is installed from the registry instead
+        if (linked && !target.dependents.includes(workspace.name)) {
+          target.dependents.push(workspace.name);
+        }
+      }
+    }
+  }
+
+  const names = [...byName.keys()];
+  const edges = new Map(names.map(name => [
+    name,
+    [...new Set(byName.get(name).dependencies.filter(dependency => dependency.linked).map(dependency => dependency.name))],
+  ]));
+  const workspaces = [...byName.values()].map(({ manifest, ...workspace }) => workspace);
+  return {
+    root,
+    packageManager,
+    patterns,
+    workspaces,
+    order: topologicalOrder(names, edges),
+    cycles: findCycles(names, edges),
+  };
+}
+
+/**
+ * Names of the workspaces with files changed since the git ref `since`,
+ * including uncommitted and untracked files. `since` comes from the caller,
+ * so it may not look like an option and is passed after --end-of-options.
+ */
+export async function changedWorkspaces(root, workspaces, since) {
+  if (since.startsWith('-')) {
+    throw new Error(`changedSince must be a git ref, not an option: ${since}`);
+  }
+  const git = async (...args) => {
+    try {
+      const { stdout } = await execFileAsync('git', args, { cwd: root, maxBuffer: 10 * 1024 * 1024 });
+      return stdout.split('\n').filter(Boolean);
+    } catch (error) {
+      throw new Error(`git ${args.join(' ')} failed: ${(error.stderr || error.message).trim()}`);
+    }
+  };
+
+  const [prefix] = await git('rev-parse', '--show-prefix');
+  const files = [
+    ...await git('diff', '--name-only', '--relative', '--end-of-options', since, '--'),
+    ...await git('ls-files', '--others', '--exclude-standard'),
+  ].map(file => (prefix && file.startsWith(prefix) ? file.slice(prefix.length) : file));
+
+  return workspaces
+    .filter(workspace => files.some(file => file.startsWith(`${workspace.path}/`)))
+    .map(workspace => workspace.name);
+}
+
+function namePattern(filter) {
+  const source = filter.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Picks the workspaces a script runs in: those matching `filter` (names,
+ * name globs such as "@app/*" or paths) and, with `changed`, only those
+ * whose files changed. `includeDependents` adds everything that depends on
+ * the picked packages, directly or not.
+ */
+export function selectWorkspaces(graph, { filter = [], changed = null, includeDependents = false }) {
+  const patterns = filter.map(namePattern);
+  let selected = graph.workspaces
+    .filter(workspace => patterns.length === 0 ||
+      patterns.some(pattern => pattern.test(workspace.name) || pattern.test(workspace.path)))
+    .filter(workspace => changed === null || changed.includes(workspace.name))
+    .map(workspace => workspace.name);
+
+  if (includeDependents) {
+    const byName = new Map(graph.workspaces.map(workspace => [workspace.name, workspace]));
+    const queue = [...selected];
+    const all = new Set(selected);
+    while (queue.length > 0) {
+      for (const dependent of byName.get(queue.shift()).dependents) {
+        if (!all.has(dependent)) {
+          all.add(dependent);
+          queue.push(dependent);
+        }
+      }
+    }
+    selected = [...all];
+  }
+  return graph.order.filter(name => selected.includes(name));
+}
+
+/**
+ * Runs `run(workspace)` for every selected workspace, each once the
+ * selected workspaces it depends on have finished, with up to `concurrency`
+ * at a time. `run` resolves with a status of "passed", "failed" or
+ * "no-script". A workspace whose dependency failed or was skipped is
+ * skipped too; with `bail` nothing new starts after the first failure.
+ */
+export async function runInOrder(graph, names, { concurrency = 1, bail = true, signal, run }) {
+  const byName = new Map(graph.workspaces.map(workspace => [workspace.name, workspace]));
+  // Only dependencies earlier in the order are waited for, which breaks cycles
+  const waitsFor = new Map(names.map((name, index) => [
+    name,
+    byName.get(name).dependencies
+      .filter(dependency => dependency.linked && names.includes(dependency.name) && names.indexOf(dependency.name) < index)
+      .map(dependency => dependency.name),
+  ]));
+
+  const results = new Map();
+  const running = new Map();
+  let stopped = null;
+
+  while (results.size < names.length) {
+    for (const name of names) {
+      if (results.has(name) || running.has(name)) {
+        continue;
+      }
+      const failedDependency = waitsFor.get(name).find(dependency => ['failed', 'skipped'].includes(results.get(dependency)?.status));
+      if (signal?.aborted || stopped || failedDependency) {
+        results.set(name, {
+          name,
+          path: byName.get(name).path,
+          status: 'skipped',
+          reason: signal?.aborted ? 'cancelled' : failedDependency ? `dependency ${failedDependency} did not succeed` : stopped,
+        });
+        continue;
+      }
+      if (running.size >= concurrency || !waitsFor.get(name).every(dependency => results.has(dependency))) {
+        continue;
+      }
+      const workspace = byName.get(name);
+      const work = run(workspace).catch(error => ({ name, path: workspace.path, status: 'failed', error: error.message }));
+      running.set(name, work.then((result) => {
+        results.set(name, result);
+        running.delete(name);
+        if (result.status === 'failed' && bail && !stopped) {
+          stopped = `stopped after ${name} failed`;
+        }
+      }));
+    }
+    if (running.size > 0) {
+      await Promise.race(running.values());
+    }
+  }
+  return names.map(name => results.get(name));
+}
@@ -0,0 +1,385 @@
+/**
+ * Audit log shared by the MCP servers: one JSON line per tool call with its
+ * arguments (secrets redacted), duration, outcome and the files it wrote,
+ * and the replay of recorded calls against a server.
+ */
+
+import { randomUUID } from 'crypto';
+import { constants as fsConstants } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { defaultStateDir } from './config.js';
+import { isWithin } from './tools.js';
+
+// Arguments whose names contain one of these, ignoring case, "-" and "_",
+// are never written to the log
+export const DEFAULT_REDACT_KEYS = [
+  'password',
+  'passwd',
+  'secret',
+  'token',
+  'apikey',
+  'authorization',
+  'cookie',
+  'credential',
+  'privatekey',
+];
+
+export const REDACTED = '[REDACTED]';
+
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[-_]/g, '');
+}
+
+// O_NOFOLLOW makes opening the log fail on a symlink, and O_NONBLOCK on a
+// FIFO nobody reads, instead of writing the log somewhere else
+const APPEND_FLAGS = fsConstants.O_WRONLY | fsConstants.O_APPEND | fsConstants.O_CREAT |
+  (fsConstants.O_NOFOLLOW ?? 0) | (fsConstants.O_NONBLOCK ?? 0);
+
+/**
+ * The directory of the default audit logs, in the user's state directory
+ * rather than a shared one such as /tmp where another user could create the
+ * file first.
+ */
+export function defaultAuditDir(env = process.env) {
+  return path.join(defaultStateDir(env), 'audit');
+}
+
+/**
+ * The audit settings of a server, to add to its config spec (see
+ * ./config.js). The log is written to `<section>.jsonl` in
+ * defaultAuditDir() unless configured otherwise.
+ */
+export function auditSettings(envPrefix, section) {
+  return {
+    audit: { type: 'boolean', env: `${envPrefix}_AUDIT`, default: true },
+    auditLog: {
+      type: 'path',
+      env: `${envPrefix}_AUDIT_LOG`,
+      default: path.join(defaultAuditDir(), `${section}.jsonl`),
+    },
+    auditRedact: { type: 'list', env: `${envPrefix}_AUDIT_REDACT`, default: [] },
+    auditRedactValues: { type: 'list', env: `${envPrefix}_AUDIT_REDACT_VALUES`, separator: ' ', default: [] },
+  };
+}
+
+/**
+ * Replaces the values of secret arguments with REDACTED, and the parts of
+ * strings that match `patterns`. Returns the redacted copy and the
+ * locations (such as "env.NPM_TOKEN") that were changed.
+ */
+export function redactArguments(args, { keys = DEFAULT_REDACT_KEYS, patterns = [] } = {}) {
+  const redacted = [];
+  const visit = (value, location) => {
+    if (typeof value === 'string') {
+      const text = patterns.reduce((current, pattern) => current.replace(pattern, REDACTED), value);
+      if (text !== value) {
+        redacted.push(location);
+      }
+      return text;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => visit(item, `${location}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+      const copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        const itemLocation = location ? `${location}.${key}` : key;
+        if (keys.some(name => normalizeKey(key).includes(name))) {
+          copy[key] = REDACTED;
+          redacted.push(itemLocation);
+        } else {
+          copy[key] = visit(item, itemLocation);
+        }
+      }
+      return copy;
+    }
+    return value;
+  };
+  return { value: visit(args ?? {}, ''), redacted };
+}
+
+/**
+ * Append-only JSONL log of a server's tool calls.
+ */
+export class AuditLog {
+  /**
+   * `settings` are the loaded audit settings. `artifacts(data)` lists the
+   * files a call's structured result says it wrote, and `ids(tool, data)`
+   * the identifiers it created that later calls refer to, such as session
+   * or process IDs; replays map them to the identifiers of the new run.
+   */
+  constructor({ server, settings, artifacts = () => [], ids = () => ({}) }) {
+    const problems = [];
+    const patterns = settings.auditRedactValues.map((source) => {
+      try {
+        return new RegExp(source, 'g');
+      } catch (error) {
+        problems.push(`auditRedactValues: "${source}" is not a valid regular expression: ${error.message}`);
+        return null;
+      }
+    });
+    if (problems.length > 0) {
+      throw new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+
+    this.server = server;
+    this.enabled = settings.audit;
+    this.file = settings.auditLog;
+    this.rules = { keys: [...DEFAULT_REDACT_KEYS, ...settings.auditRedact.map(normalizeKey)], patterns };
+    this.artifacts = artifacts;
+    this.ids = ids;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Runs a tool call and logs it. `run` returns the MCP tool result and
+   * does not throw. `replayOf` is the ID of the recorded call a replayed
+   * call repeats. Resolves with the result and the log entry.
+   */
+  async record(tool, args, run, { replayOf } = {}) {
+    const timestamp = new Date().toISOString();
+    const startTime = Date.now();
+    const result = await run();
+    const data = result.structuredContent ?? {};
+    const { value, redacted } = redactArguments(args, this.rules);
+
+    const entry = {
+      id: randomUUID(),
+      timestamp,
+      server: this.server,
+      tool,
+      arguments: value,
+      redacted,
+      durationMs: Date.now() - startTime,
+      outcome: result.isError ? 'error' : 'success',
+      ...(result.isError ? { error: data.error ?? null } : {}),
+      artifacts: this.artifacts(data).filter(Boolean),
+      ids: this.ids(tool, data),
+      ...(replayOf ? { replayOf } : {}),
+    };
+    await this.append(entry);
+    return { result, entry };
+  }
+
+  /**
+   * Appends an entry to the log file. Writes happen one at a time so lines
+   * never interleave; a failed write is reported but does not fail the call.
+   */
+  async append(entry) {
+    if (!this.enabled) {
+      return;
+    }
+    this.writing = this.writing
+      .then(async () => {
+        // The log can hold commands and URLs, so only the owner may read it
+        await fs.mkdir(path.dirname(this.file), { recursive: true, mode: 0o700 });
+        await appendPrivate(this.file, `${JSON.stringify(entry)}\n`);
+      })
+      .catch(error => console.error(`Failed to write audit log ${this.file}: ${error.message}`));
+    await this.writing;
+  }
+}
+
+/**
+ * Appends `text` to `file`, a regular file of the current user that only
+ * they can read and write. Files that already exist with looser
+ * permissions are restricted; symlinks and other users' files are refused.
+ */
+async function appendPrivate(file, text) {
+  let handle;
+  try {
+    handle = await fs.open(file, APPEND_FLAGS, 0o600);
+  } catch (error) {
+    throw error.code === 'ELOOP' ? new Error(`${file} is a symbolic link`) : error;
+  }
+  try {
+    const stats = await handle.stat();
+    if (!stats.isFile()) {
+      throw new Error(`${file} is not a regular file`);
+    }
+    if (process.getuid && stats.uid !== process.getuid()) {
+      throw new Error(`${file} belongs to another user`);
+    }
+    if ((stats.mode & 0o077) !== 0) {
+      await handle.chmod(0o600);
+    }
+    await handle.appendFile(text);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * The audit log named by `--replay <file>` (or `--replay=<file>`) in
+ * `argv`, or null.
+ */
+export function replayFilePath(argv = process.argv.slice(2)) {
+  const index = argv.findIndex(arg => arg === '--replay' || arg.startsWith('--replay='));
+  if (index === -1) {
+    return null;
+  }
+  const file = argv[index] === '--replay' ? argv[index + 1] : argv[index].slice('--replay='.length);
+  if (!file) {
+    throw new Error('--replay needs the path of an audit log');
+  }
+  return path.resolve(file);
+}
+
+/**
+ * The audit log `log` names for replay_calls, relative to the directory of
+ * the server's own log `auditFile`. Logs outside that directory, also
+ * through symlinks, are refused, so a replay cannot read arbitrary files.
+ */
+export async function replayLogPath(log, auditFile) {
+  const dir = path.dirname(auditFile);
+  const file = path.resolve(dir, log);
+  let realDir;
+  let realFile;
+  try {
+    [realDir, realFile] = await Promise.all([fs.realpath(dir), fs.realpath(file)]);
+  } catch (error) {
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+  if (!isWithin(realDir, realFile)) {
+    throw new Error(`${log} is outside the audit log directory ${dir}`);
+  }
+  return file;
+}
+
+export async function readAuditLog(file) {
+  const text = await fs.readFile(file, 'utf-8');
+  const entries = [];
+  const lines = text.split('\n');
+  for (let index = 0; index < lines.length; index++) {
+    if (!lines[index].trim()) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(lines[index]));
+    } catch (error) {
+      throw new Error(`${file}: line ${index + 1} is not valid JSON: ${error.message}`);
+    }
+  }
+  return entries;
+}
+
+function parseTime(value, name) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${name} must be a date and time such as 2024-05-01T12:00:00Z, not "${value}"`);
+  }
+  return time;
+}
+
+/**
+ * Picks the calls to replay from a log, in recorded order: the server's own
+ * calls, minus replays and replay_calls itself, narrowed down by `ids`,
+ * `tools`, `since` and `until`, and then to the `last` ones.
+ */
+export function selectCalls(entries, { server, ids, tools, since, until, last } = {}) {
+  const from = since ? parseTime(since, 'since') : -Infinity;
+  const to = until ? parseTime(until, 'until') : Infinity;
+  const unknown = (ids ?? []).filter(id => !entries.some(entry => entry.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`No recorded calls with ID ${unknown.join(', ')}`);
+  }
+
+  const calls = entries.filter((entry) => {
+    const time = Date.parse(entry.timestamp);
+    return entry.server === server &&
+      !entry.replayOf &&
+      entry.tool !== 'replay_calls' &&
+      (!ids || ids.includes(entry.id)) &&
+      (!tools || tools.includes(entry.tool)) &&
+      time >= from &&
+      time <= to;
+  });
+  return last ? calls.slice(-last) : calls;
+}
+
+// Replaces identifiers of the recorded run anywhere in `value`
+function substituteIds(value, replaced) {
+  if (typeof value === 'string') {
+    return replaced.get(value) ?? value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substituteIds(item, replaced));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substituteIds(item, replaced)]));
+  }
+  return value;
+}
+
+/**
+ * Re-executes recorded calls in order through `invoke(tool, args, replayOf)`,
+ * which resolves like AuditLog.record(). A call matches when it has the
+ * recorded outcome. Calls with redacted arguments are skipped, as are the
+ * rest after a mismatch with `stopOnFailure` or once `signal` aborts.
+ * `onCall` is called with each call's record and the number done so far.
+ */
+export async function replayRecordedCalls(calls, invoke, { stopOnFailure = false, signal, onCall = () => {} } = {}) {
+  const replaced = new Map();
+  const results = [];
+  let stopped = false;
+
+  for (const call of calls) {
+    const record = { id: call.id, tool: call.tool, timestamp: call.timestamp, recordedOutcome: call.outcome };
+    if (signal?.aborted) {
+      record.skipped = 'the replay was cancelled';
+    } else if (stopped) {
+      record.skipped = 'an earlier call did not match';
+    } else if (call.redacted?.length > 0) {
+      record.skipped = `arguments were redacted (${call.redacted.join(', ')})`;
+    } else {
+      const { entry } = await invoke(call.tool, substituteIds(call.arguments, replaced), call.id);
+      for (const [name, recorded] of Object.entries(call.ids ?? {})) {
+        if (entry.ids[name] !== undefined && entry.ids[name] !== recorded) {
+          replaced.set(recorded, entry.ids[name]);
+        }
+      }
+      Object.assign(record, {
+        replayId: entry.id,
+        outcome: entry.outcome,
+        matched: entry.outcome === call.outcome,
+        durationMs: entry.durationMs,
+        ...(entry.error ? { error: entry.error } : {}),
+        artifacts: entry.artifacts,
+      });
+      stopped = stopOnFailure && !record.matched;
+    }
+    results.push(record);
+    onCall(record, results.length);
+  }
+
+  const summary = {
+    calls: results.length,
+    matched: results.filter(record => record.matched).length,
+    differed: results.filter(record => record.matched === false).length,
+    skipped: results.filter(record => record.skipped).length,
+  };
+  return { passed: summary.differed === 0 && !signal?.aborted, summary, calls: results };
+}
+
+export function formatReplayReport(report) {
+  const { summary } = report;
+  const lines = [
+    `Replay of ${report.log}: ${report.passed ? 'PASSED' : 'FAILED'} - ${summary.calls} call(s), ` +
+      `${summary.matched} matched, ${summary.differed} differed, ${summary.skipped} skipped`,
+    '',
+  ];
+  for (const call of report.calls) {
+    const label = `- ${call.tool} (${call.id}, recorded ${call.timestamp})`;
+    if (call.skipped) {
+      lines.push(`${label}: skipped, ${call.skipped}`);
+    } else {
+      const outcome = call.matched ? `${call.outcome} as recorded` : `${call.outcome}, recorded as ${call.recordedOutcome}`;
+      lines.push(`${label}: ${outcome} in ${call.durationMs}ms${call.error ? `: ${call.error}` : ''}`);
+    }
+  }
+  if (report.calls.length === 0) {
+    lines.push('No recorded calls to replay');
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,311 @@
+/**
+ * Configuration shared by the MCP servers: one JSON or YAML file with a
+ * section per server, overridden by each server's environment variables.
+ * A server describes its settings, and loadConfig() reads, converts and
+ * validates them, failing with every problem it finds at once.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Top-level sections of the config file, one per server
+export const CONFIG_SECTIONS = ['nodejs', 'web-scraper'];
+
+// Environment variable naming the config file when --config is not given
+export const CONFIG_ENV = 'MCP_SERVERS_CONFIG';
+
+const TIMEOUT_LIMITS = ['default', 'max'];
+
+/**
+ * Where the servers keep files between runs unless configured otherwise:
+ * `mcp-servers` in the user's state directory, $XDG_STATE_HOME or
+ * ~/.local/state, rather than a shared one such as /tmp or one that
+ * depends on the directory the server was started in.
+ */
+export function defaultStateDir(env = process.env) {
+  const stateHome = env.XDG_STATE_HOME && path.isAbsolute(env.XDG_STATE_HOME)
+    ? env.XDG_STATE_HOME
+    : path.join(os.homedir(), '.local', 'state');
+  return path.join(stateHome, 'mcp-servers');
+}
+
+/**
+ * The config file named by `--config <file>` (or `--config=<file>`) in
+ * `argv`, or else by the MCP_SERVERS_CONFIG environment variable.
+ */
+export function configFilePath(argv = process.argv.slice(2), env = process.env) {
+  const index = argv.findIndex(arg => arg === '--config' || arg.startsWith('--config='));
+  if (index !== -1) {
+    const file = argv[index] === '--config' ? argv[index + 1] : argv[index].slice('--config='.length);
+    if (!file) {
+      throw new Error('--config needs the path of a config file');
+    }
+    return path.resolve(file);
+  }
+  return env[CONFIG_ENV] ? path.resolve(env[CONFIG_ENV]) : null;
+}
+
+/**
+ * Reads a config file: JSON for .json files, YAML for .yaml and .yml.
+ * The servers pass the YAML parser (the yaml package's parse), which this
+ * directory has no dependencies to import.
+ */
+export function readConfigFile(file, { parseYaml } = {}) {
+  const extension = path.extname(file).toLowerCase();
+  if (!['.json', '.yaml', '.yml'].includes(extension)) {
+    throw new Error(`Config file ${file} must be .json, .yaml or .yml`);
+  }
+
+  let content;
+  try {
+    const text = fs.readFileSync(file, 'utf-8');
+    if (extension !== '.json' && !parseYaml) {
+      throw new Error('YAML config files are not supported here; use JSON');
+    }
+    content = extension === '.json' ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    throw new Error(`Failed to read config file ${file}: ${error.message}`);
+  }
+  if (content === null) {
+    return {};
+  }
+  if (!isPlainObject(content)) {
+    throw new Error(`Config file ${file} must hold an object with a section per server (${CONFIG_SECTIONS.join(', ')})`);
+  }
+  return content;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Converts one setting. Values from the environment are strings; values from
+ * the file already have JSON types. Relative paths are resolved against
+ * `baseDir`.
+ */
+function convertSetting(setting, value, { fromEnv, baseDir }) {
+  const { type } = setting;
+  if (type === 'boolean') {
+    if (fromEnv && /^(true|1)$/i.test(value)) {
+      return true;
+    }
+    if (fromEnv && /^(false|0)$/i.test(value)) {
+      return false;
+    }
+    if (typeof value !== 'boolean') {
+      throw new Error(`must be true or false, not ${describe(value)}`);
+    }
+    return value;
+  }
+
+  if (type === 'number') {
+    const number = fromEnv && /^\s*-?\d+(\.\d+)?\s*$/.test(value) ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < (setting.min ?? 0)) {
+      throw new Error(`must be a number of at least ${setting.min ?? 0}, not ${describe(value)}`);
+    }
+    return number;
+  }
+
+  if (type === 'string' || type === 'path') {
+    if (typeof value !== 'string' || value === '') {
+      throw new Error(`must be a non-empty string, not ${describe(value)}`);
+    }
+    if (setting.values && !setting.values.includes(value)) {
+      throw new Error(`must be one of ${setting.values.join(', ')}, not ${describe(value)}`);
+    }
+    return type === 'path' ? path.resolve(baseDir, value) : value;
+  }
+
+  if (type === 'list' || type === 'paths') {
+    const items = fromEnv
+      ? value.split(setting.separator ?? ',').map(item => item.trim()).filter(Boolean)
+      : value;
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string' || item === '')) {
+      throw new Error(`must be a list of non-empty strings, not ${describe(value)}`);
+    }
+    const invalid = setting.values ? items.filter(item => !setting.values.includes(item)) : [];
+    if (invalid.length > 0) {
+      throw new Error(`has unknown ${invalid.map(describe).join(', ')} (use ${setting.values.join(', ')})`);
+    }
+    return type === 'paths' ? items.map(item => path.resolve(baseDir, item)) : items;
+  }
+  throw new Error(`has unknown setting type ${type}`);
+}
+
+/**
+ * Applies timeout overrides such as {"crawl_site": {"default": 600000}} to
+ * `timeouts`, returning the problems found.
+ */
+function applyTimeouts(timeouts, overrides, source) {
+  if (!isPlainObject(overrides)) {
+    return [`${source}: must be an object of tool names to {"default", "max"}, not ${describe(overrides)}`];
+  }
+  const problems = [];
+  for (const [tool, limits] of Object.entries(overrides)) {
+    if (!timeouts[tool]) {
+      problems.push(`${source}: ${tool} has no timeout (use one of ${Object.keys(timeouts).join(', ')})`);
+      continue;
+    }
+    if (!isPlainObject(limits)) {
+      problems.push(`${source}: ${tool} must be an object with "default" and/or "max", not ${describe(limits)}`);
+      continue;
+    }
+    for (const [limit, value] of Object.entries(limits)) {
+      if (!TIMEOUT_LIMITS.includes(limit)) {
+        problems.push(`${source}: ${tool}.${limit} is not a timeout limit (use default or max)`);
+      } else if (typeof value !== 'number' || !(value > 0)) {
+        problems.push(`${source}: ${tool}.${limit} must be a positive number of milliseconds, not ${describe(value)}`);
+      } else {
+        timeouts[tool][limit] = value;
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Loads a server's configuration. `spec` describes it:
+ *
+ * - `section`: the server's section in the config file
+ * - `envPrefix`: prefix of its environment variables; <prefix>_TOOLS and
+ *   <prefix>_DISABLED_TOOLS choose the tools and <prefix>_TOOL_TIMEOUTS
+ *   overrides timeouts as JSON
+ * - `settings`: each setting's `type` (boolean, number, string, path, list
+ *   or paths), `default`, `env` variable and, where they apply, `values`,
+ *   `min` and the list `separator` used in the environment
+ * - `timeouts`: the default and maximum run time per tool
+ * - `timeoutEnv`: environment variables that set the default timeout of
+ *   several tools at once
+ *
+ * Environment variables win over the file, and <prefix>_TOOL_TIMEOUTS over
+ * `timeoutEnv`. YAML files are read with `parseYaml`. Throws an error
+ * listing every invalid value.
+ */
+export function loadConfig(spec, { argv = process.argv.slice(2), env = process.env, parseYaml } = {}) {
+  const { section, envPrefix, settings, timeouts: defaultTimeouts = {}, timeoutEnv = {} } = spec;
+  const file = configFilePath(argv, env);
+  const content = file ? readConfigFile(file, { parseYaml }) : {};
+  const baseDir = file ? path.dirname(file) : process.cwd();
+  const problems = [];
+
+  for (const key of Object.keys(content)) {
+    if (!CONFIG_SECTIONS.includes(key)) {
+      problems.push(`${file}: unknown section "${key}" (use ${CONFIG_SECTIONS.join(', ')})`);
+    }
+  }
+  let values = content[section] ?? {};
+  if (!isPlainObject(values)) {
+    problems.push(`${file}: ${section} must be an object, not ${describe(values)}`);
+    values = {};
+  }
+  const known = ['tools', 'timeouts', ...Object.keys(settings)];
+  for (const key of Object.keys(values)) {
+    if (!known.includes(key)) {
+      problems.push(`${file}: ${section}.${key} is not a setting (use ${known.join(', ')})`);
+    }
+  }
+
+  const config = { file, settings: {}, timeouts: structuredClone(defaultTimeouts), tools: {} };
+  const read = (setting, fileValue, fileKey) => {
+    const fromEnv = Boolean(setting.env && env[setting.env]);
+    const source = fromEnv ? setting.env : `${file}: ${section}.${fileKey}`;
+    if (!fromEnv && fileValue === undefined) {
+      return { value: setting.default, source: null };
+    }
+    try {
+      const value = convertSetting(setting, fromEnv ? env[setting.env] : fileValue, {
+        fromEnv,
+        baseDir: fromEnv ? process.cwd() : baseDir,
+      });
+      return { value, source };
+    } catch (error) {
+      problems.push(`${source} ${error.message}`);
+      return { value: setting.default, source };
+    }
+  };
+
+  for (const [name, setting] of Object.entries(settings)) {
+    config.settings[name] = read(setting, values[name], name).value;
+  }
+
+  // Which tools are listed and callable
+  let tools = values.tools ?? {};
+  if (!isPlainObject(tools)) {
+    problems.push(`${file}: ${section}.tools must be an object with "enabled" and/or "disabled", not ${describe(tools)}`);
+    tools = {};
+  }
+  for (const key of Object.keys(tools)) {
+    if (key !== 'enabled' && key !== 'disabled') {
+      problems.push(`${file}: ${section}.tools.${key} is not a setting (use enabled, disabled)`);
+    }
+  }
+  const enabled = read({ type: 'list', env: `${envPrefix}_TOOLS` }, tools.enabled, 'tools.enabled');
+  const disabled = read({ type: 'list', env: `${envPrefix}_DISABLED_TOOLS` }, tools.disabled, 'tools.disabled');
+  config.tools = {
+    enabled: enabled.value ?? null,
+    disabled: disabled.value ?? [],
+    sources: { enabled: enabled.source, disabled: disabled.source },
+  };
+
+  // Timeouts: the file, then the variables for several tools, then the JSON
+  // variable for single tools
+  if (values.timeouts !== undefined) {
+    problems.push(...applyTimeouts(config.timeouts, values.timeouts, `${file}: ${section}.timeouts`));
+  }
+  for (const [variable, tools] of Object.entries(timeoutEnv)) {
+    if (env[variable]) {
+      const { value } = read({ type: 'number', env: variable, min: 1 }, undefined, variable);
+      for (const tool of tools) {
+        config.timeouts[tool].default = value ?? config.timeouts[tool].default;
+      }
+    }
+  }
+  const timeoutVariable = `${envPrefix}_TOOL_TIMEOUTS`;
+  if (env[timeoutVariable]) {
+    let overrides;
+    try {
+      overrides = JSON.parse(env[timeoutVariable]);
+    } catch (error) {
+      problems.push(`${timeoutVariable} is not valid JSON: ${error.message}`);
+    }
+    if (overrides !== undefined) {
+      problems.push(...applyTimeouts(config.timeouts, overrides, timeoutVariable));
+    }
+  }
+  for (const [tool, { default: defaultTimeout, max }] of Object.entries(config.timeouts)) {
+    if (defaultTimeout > max) {
+      problems.push(`${tool}'s default timeout (${defaultTimeout}ms) is above its maximum (${max}ms)`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  return config;
+}
+
+/**
+ * Checks the tool choice of a loaded config against the server's tools and
+ * returns whether a tool is enabled. With `enabled` only the tools listed
+ * there are; `disabled` tools never are.
+ */
+export function toolFilter(config, names) {
+  const { enabled, disabled, sources } = config.tools;
+  const problems = [];
+  for (const [list, source] of [[enabled, sources.enabled], [disabled, sources.disabled]]) {
+    const unknown = (list ?? []).filter(name => !names.includes(name));
+    if (unknown.length > 0) {
+      problems.push(`${source} has unknown tools ${unknown.map(describe).join(', ')} (use ${names.join(', ')})`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  return name => (enabled === null || enabled.includes(name)) && !disabled.includes(name);
+}
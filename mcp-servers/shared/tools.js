@@ -0,0 +1,63 @@
+/**
+ * Helpers shared by the MCP servers' tool handlers: tool results, progress
+ * notifications and path containment.
+ */
+
+import path from 'path';
+
+// Minimum time between two progress notifications for the same call
+const PROGRESS_INTERVAL = 250;
+
+/**
+ * Builds a tool result that carries both a human-readable summary and the
+ * same data as JSON, so clients can branch on fields instead of parsing text.
+ * `images` are appended as further content items.
+ */
+export function toolResult(text, data, isError = false, images = []) {
+  return {
+    content: [
+      { type: 'text', text },
+      { type: 'text', text: JSON.stringify(data, null, 2) },
+      ...images,
+    ],
+    structuredContent: data,
+    isError,
+  };
+}
+
+/**
+ * Returns a function that reports progress on the current tool call, or does
+ * nothing when the client sent no progressToken. Without a `progress` count
+ * each report advances it by one. Reports closer together than
+ * PROGRESS_INTERVAL are skipped unless they complete the total, so a command
+ * printing thousands of lines does not flood the client.
+ */
+export function progressReporter(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) {
+    return () => {};
+  }
+
+  let count = 0;
+  let lastSent = 0;
+  return (message, { progress = count + 1, total } = {}) => {
+    count = progress;
+    if (Date.now() - lastSent < PROGRESS_INTERVAL && progress !== total) {
+      return;
+    }
+    lastSent = Date.now();
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message },
+    }).catch(() => {});
+  };
+}
+
+/**
+ * Whether `target` is `root` or lies inside it. Both must be absolute and
+ * already resolved; symlinks are not followed.
+ */
+export function isWithin(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
@@ -0,0 +1,85 @@
+/**
+ * Accessibility auditing with axe-core, injected into the page under test.
+ */
+
+import axe from 'axe-core';
+
+export const IMPACT_LEVELS = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Runs axe-core on the page, or on the elements matching `selector`, and
+ * returns the violations grouped by impact. `tags` limits the rules to the
+ * given axe tags (e.g. "wcag2a", "wcag2aa", "best-practice").
+ */
+export async function auditPage(page, { selector, tags } = {}) {
+  // Evaluating the source (rather than adding a <script> tag) works on
+  // pages whose Content-Security-Policy forbids inline scripts
+  await page.evaluate(axe.source);
+
+  const results = await page.evaluate(async ({ selector, tags }) => {
+    const options = { resultTypes: ['violations'] };
+    if (tags && tags.length > 0) {
+      options.runOnly = { type: 'tag', values: tags };
+    }
+    const result = await window.axe.run(selector ? { include: [[selector]] } : document, options);
+    return {
+      violations: result.violations.map(violation => ({
+        id: violation.id,
+        impact: violation.impact,
+        description: violation.description,
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        tags: violation.tags,
+        nodes: violation.nodes.map(node => ({
+          target: node.target.join(' '),
+          html: node.html,
+          failureSummary: node.failureSummary
+        }))
+      })),
+      passes: result.passes.length,
+      incomplete: result.incomplete.length,
+      inapplicable: result.inapplicable.length
+    };
+  }, { selector, tags });
+
+  const byImpact = Object.fromEntries(IMPACT_LEVELS.map(level => [level, []]));
+  for (const violation of results.violations) {
+    (byImpact[violation.impact] ?? byImpact.minor).push(violation);
+  }
+
+  return {
+    violationCount: results.violations.length,
+    counts: Object.fromEntries(IMPACT_LEVELS.map(level => [level, byImpact[level].length])),
+    violations: byImpact,
+    passes: results.passes,
+    incomplete: results.incomplete,
+    inapplicable: results.inapplicable
+  };
+}
+
+export function formatAudit(audit, nodeLimit = 5) {
+  const { violationCount, counts, passes, incomplete } = audit;
+  const lines = [
+    `Violations: ${violationCount} (${IMPACT_LEVELS.map(level => `${level} ${counts[level]}`).join(', ')})`,
+    `Passed rules: ${passes}, needs review: ${incomplete}`
+  ];
+
+  for (const level of IMPACT_LEVELS) {
+    if (audit.violations[level].length === 0) {
+      continue;
+    }
+    lines.push('', level.toUpperCase());
+    for (const violation of audit.violations[level]) {
+      lines.push(`- [${violation.id}] ${violation.help} (${violation.nodes.length} element(s))`);
+      lines.push(`  How to fix: ${violation.helpUrl}`);
+      for (const node of violation.nodes.slice(0, nodeLimit)) {
+        lines.push(`  - ${node.target}`);
+      }
+      if (violation.nodes.length > nodeLimit) {
+        lines.push(`  - ... ${violation.nodes.length - nodeLimit} more`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
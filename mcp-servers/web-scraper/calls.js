@@ -0,0 +1,55 @@
+/**
+ * Timeouts and cancellation for tool calls.
+ */
+
+// Default and maximum run time per tool in milliseconds
+export const DEFAULT_TOOL_TIMEOUTS = {
+  scrape_page: { default: 60000, max: 300000 },
+  test_react_app: { default: 120000, max: 600000 },
+  get_page_info: { default: 60000, max: 300000 },
+  wait_for_element: { default: 60000, max: 300000 },
+  audit_accessibility: { default: 60000, max: 300000 },
+  visual_compare: { default: 60000, max: 300000 },
+  measure_performance: { default: 300000, max: 900000 },
+  crawl_site: { default: 300000, max: 1800000 },
+  open_session: { default: 60000, max: 300000 },
+  session_action: { default: 120000, max: 600000 }
+};
+
+/**
+ * Returns the signal a tool call runs under: it aborts when the client
+ * cancels the request or when `timeout` passes, whichever comes first.
+ */
+export function callSignal(extra, timeout) {
+  const signals = [AbortSignal.timeout(timeout)];
+  if (extra?.signal) {
+    signals.push(extra.signal);
+  }
+  return AbortSignal.any(signals);
+}
+
+/**
+ * Settles with `work`, or rejects as soon as `signal` aborts. Aborting closes
+ * the call's page, so the rejection `work` then ends with is swallowed.
+ */
+export async function untilAborted(signal, work, { tool, timeout }) {
+  work.catch(() => {});
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(signal.reason?.name === 'TimeoutError'
+      ? new Error(`${tool} timed out after ${timeout}ms`)
+      : new Error(`${tool} was cancelled`));
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+  aborted.catch(() => {});
+
+  try {
+    return await Promise.race([work, aborted]);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * Breadth-first site crawler for crawl_site.
+ */
+
+import { extractFields } from './extract.js';
+
+const USER_AGENT_TOKEN = 'mcp-web-scraper';
+
+/**
+ * Converts a URL glob to a RegExp: "**" matches anything, "*" anything but
+ * "/", and "?" a single character.
+ */
+export function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '.';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Parses robots.txt for our user agent, falling back to the "*" group.
+ * Allow/Disallow conflicts are settled by the longest matching rule, as
+ * in RFC 9309.
+ */
+export function parseRobotsTxt(text, agent = USER_AGENT_TOKEN) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator < 0) {
+      continue;
+    }
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) {
+      continue;
+    }
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', length: value.length, regex: robotsPatternToRegExp(value) });
+    } else if (field === 'crawl-delay' && !isNaN(Number(value))) {
+      current.crawlDelay = Number(value) * 1000;
+    }
+  }
+
+  const group = groups.find(candidate => candidate.agents.includes(agent.toLowerCase())) ??
+    groups.find(candidate => candidate.agents.includes('*'));
+
+  return {
+    crawlDelay: group?.crawlDelay ?? null,
+    isAllowed(pathAndQuery) {
+      if (!group) {
+        return true;
+      }
+      let best = null;
+      for (const rule of group.rules) {
+        if (rule.regex.test(pathAndQuery) && (!best || rule.length > best.length || (rule.length === best.length && rule.allow))) {
+          best = rule;
+        }
+      }
+      return best ? best.allow : true;
+    }
+  };
+}
+
+function normalizeLink(href) {
+  try {
+    const url = new URL(href);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+    url.hash = '';
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Crawls from `startUrl` using pages from the given browser context.
+ * Pages are visited breadth first until `maxDepth` or `maxPages` is reached,
+ * with at most `concurrency` pages open and at least `delay` milliseconds
+ * between navigations (or the robots.txt Crawl-delay, if longer).
+ * Links `isAllowed` rejects are neither visited nor checked.
+ * `onPage` is called with each visited page and the number visited so far.
+ * Once `signal` aborts no further pages or links are started.
+ */
+export async function crawl(context, options) {
+  const {
+    startUrl,
+    maxDepth = 2,
+    maxPages = 50,
+    include,
+    exclude = [],
+    respectRobots = true,
+    concurrency = 2,
+    delay = 250,
+    timeout = 30000,
+    waitUntil = 'networkidle',
+    extract,
+    includeText = false,
+    checkExternalLinks = false,
+    isAllowed = () => true,
+    signal,
+    onPage = () => {}
+  } = options;
+
+  const start = normalizeLink(startUrl);
+  if (!start) {
+    throw new Error(`Invalid start URL: ${startUrl}`);
+  }
+  const startOrigin = new URL(start).origin;
+  const includePatterns = include?.length ? include.map(globToRegExp) : null;
+  const excludePatterns = exclude.map(globToRegExp);
+
+  const inScope = (url) =>
+    (includePatterns ? includePatterns.some(pattern => pattern.test(url)) : new URL(url).origin === startOrigin) &&
+    !excludePatterns.some(pattern => pattern.test(url));
+
+  const robotsCache = new Map();
+  const robotsFor = async (url) => {
+    const { origin } = new URL(url);
+    if (!robotsCache.has(origin)) {
+      robotsCache.set(origin, (async () => {
+        try {
+          const response = await context.request.get(`${origin}/robots.txt`, { timeout });
+          return response.ok() ? parseRobotsTxt(await response.text()) : parseRobotsTxt('');
+        } catch {
+          return parseRobotsTxt('');
+        }
+      })());
+    }
+    return await robotsCache.get(origin);
+  };
+
+  // Navigations are spaced out by reserving start slots in turn
+  let nextSlot = 0;
+  const waitTurn = async (minimumDelay) => {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + minimumDelay;
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  };
+
+  const queue = [{ url: start, depth: 0 }];
+  const seen = new Set([start]);
+  const results = [];
+  const linkStatus = new Map();
+  const outOfScope = new Set();
+  const disallowed = new Set();
+  let blockedByRobots = 0;
+  let unvisited = 0;
+
+  const visit = async (page, { url, depth }) => {
+    const result = { url, depth, status: null, title: null, description: null, links: [] };
+    const robots = respectRobots ? await robotsFor(url) : null;
+    const { pathname, search } = new URL(url);
+    if (robots && !robots.isAllowed(pathname + search)) {
+      blockedByRobots++;
+      return null;
+    }
+
+    await waitTurn(Math.max(delay, robots?.crawlDelay ?? 0));
+    const startTime = Date.now();
+    try {
+      const response = await page.goto(url, { waitUntil, timeout });
+      result.status = response?.status() ?? null;
+      result.finalUrl = page.url();
+      result.loadTime = Date.now() - startTime;
+      linkStatus.set(url, { status: result.status });
+
+      const contentType = response?.headers()['content-type'] ?? '';
+      if (contentType && !contentType.includes('html')) {
+        result.contentType = contentType;
+        return result;
+      }
+
+      const info = await page.evaluate(() => ({
+        title: document.title || null,
+        description: document.querySelector('meta[name="description"]')?.content || null,
+        canonical: document.querySelector('link[rel="canonical"]')?.href || null,
+        links: Array.from(document.querySelectorAll('a[href]')).map(a => a.href)
+      }));
+      result.title = info.title;
+      result.description = info.description;
+      result.canonical = info.canonical;
+      result.links = [...new Set(info.links.map(normalizeLink).filter(Boolean))];
+
+      if (extract) {
+        result.extracted = await extractFields(page, extract);
+      }
+      if (includeText) {
+        result.text = ((await page.textContent('body')) ?? '').replace(/\s+/g, ' ').trim().slice(0, 1000);
+      }
+    } catch (error) {
+      result.error = error.message;
+      linkStatus.set(url, { status: result.status, error: error.message });
+    }
+
+    for (const link of result.links) {
+      if (!isAllowed(link)) {
+        disallowed.add(link);
+      } else if (!inScope(link)) {
+        outOfScope.add(link);
+      } else if (!seen.has(link)) {
+        seen.add(link);
+        if (depth < maxDepth) {
+          queue.push({ url: link, depth: depth + 1 });
+        } else {
+          unvisited++;
+        }
+      }
+    }
+    return result;
+  };
+
+  const worker = async () => {
+    const page = await context.newPage();
+    try {
+      while (queue.length > 0 && results.length + active < maxPages && !signal?.aborted) {
+        const next = queue.shift();
+        active++;
+        try {
+          const result = await visit(page, next);
+          if (result) {
+            results.push(result);
+            onPage(result, results.length);
+          }
+        } finally {
+          active--;
+        }
+      }
+    } finally {
+      await page.close().catch(() => {});
+    }
+  };
+
+  // Workers exit when the queue is momentarily empty, so keep starting
+  // rounds until nothing is left to visit
+  let active = 0;
+  while (queue.length > 0 && results.length < maxPages && !signal?.aborted) {
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  }
+  unvisited += queue.length;
+
+  if (checkExternalLinks) {
+    const external = [...outOfScope];
+    const check = async () => {
+      while (external.length > 0 && !signal?.aborted) {
+        const link = external.shift();
+        await waitTurn(delay);
+        try {
+          let response = await context.request.head(link, { timeout, maxRedirects: 5 });
+          if (response.status() === 405 || response.status() === 501) {
+            response = await context.request.get(link, { timeout, maxRedirects: 5 });
+          }
+          linkStatus.set(link, { status: response.status() });
+        } catch (error) {
+          linkStatus.set(link, { status: null, error: error.message });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, check));
+  }
+
+  const isBroken = (state) => state && (state.error || state.status === null || state.status >= 400);
+  for (const result of results) {
+    result.brokenLinks = result.links
+      .filter(link => isBroken(linkStatus.get(link)))
+      .map(link => ({ url: link, ...linkStatus.get(link) }));
+    result.linkCount = result.links.length;
+    delete result.links;
+  }
+
+  return {
+    pages: results,
+    summary: {
+      pagesCrawled: results.length,
+      pageErrors: results.filter(result => result.error || (result.status ?? 0) >= 400).length,
+      brokenLinks: results.reduce((total, result) => total + result.brokenLinks.length, 0),
+      missingTitle: results.filter(result => !result.error && !result.contentType && !result.title).length,
+      missingDescription: results.filter(result => !result.error && !result.contentType && !result.description).length,
+      blockedByRobots,
+      unvisited,
+      outsideAllowedDomains: disallowed.size,
+      externalLinksChecked: checkExternalLinks ? outOfScope.size : 0
+    }
+  };
+}
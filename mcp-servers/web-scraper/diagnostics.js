@@ -0,0 +1,104 @@
+/**
+ * Capture of browser console output, uncaught page errors and failed
+ * requests for the web-scraper tools.
+ */
+
+function formatLocation({ url, lineNumber, columnNumber } = {}) {
+  return url ? `${url}:${lineNumber + 1}:${columnNumber + 1}` : null;
+}
+
+/**
+ * Starts recording diagnostics on a page. `console` records console messages
+ * whose type is in `levels` (all types when omitted); `errors` records page
+ * errors and requests that failed or returned an HTTP error status.
+ */
+export function recordDiagnostics(page, { console: captureConsole = false, levels, errors = false } = {}) {
+  const diagnostics = {};
+  const listeners = [];
+  const listen = (event, listener) => {
+    page.on(event, listener);
+    listeners.push([event, listener]);
+  };
+
+  if (captureConsole) {
+    diagnostics.console = [];
+    listen('console', (message) => {
+      if (levels && levels.length > 0 && !levels.includes(message.type())) {
+        return;
+      }
+      diagnostics.console.push({
+        type: message.type(),
+        text: message.text(),
+        location: formatLocation(message.location()),
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+
+  if (errors) {
+    diagnostics.pageErrors = [];
+    diagnostics.failedRequests = [];
+    listen('pageerror', (error) => {
+      diagnostics.pageErrors.push({
+        message: error.message,
+        stack: error.stack ?? null,
+        timestamp: new Date().toISOString()
+      });
+    });
+    listen('requestfailed', (request) => {
+      diagnostics.failedRequests.push({
+        method: request.method(),
+        url: request.url(),
+        status: null,
+        failure: request.failure()?.errorText ?? 'failed'
+      });
+    });
+    listen('response', (response) => {
+      if (response.status() >= 400) {
+        diagnostics.failedRequests.push({
+          method: response.request().method(),
+          url: response.url(),
+          status: response.status(),
+          failure: response.statusText() || null
+        });
+      }
+    });
+  }
+
+  return {
+    stop() {
+      for (const [event, listener] of listeners) {
+        page.off(event, listener);
+      }
+    },
+    snapshot() {
+      return listeners.length > 0 ? diagnostics : undefined;
+    }
+  };
+}
+
+export function formatDiagnostics(diagnostics, limit = 50) {
+  const sections = [];
+  const list = (entries, format) => {
+    const lines = entries.slice(0, limit).map(format);
+    if (entries.length > limit) {
+      lines.push(`- ... ${entries.length - limit} more`);
+    }
+    return lines.length > 0 ? lines.join('\n') : '- none';
+  };
+
+  if (diagnostics.console) {
+    sections.push(`Console (${diagnostics.console.length} messages):\n${list(diagnostics.console, entry =>
+      `- [${entry.type}] ${entry.text}${entry.location ? ` (${entry.location})` : ''}`)}`);
+  }
+  if (diagnostics.pageErrors) {
+    sections.push(`Page Errors (${diagnostics.pageErrors.length}):\n${list(diagnostics.pageErrors, entry =>
+      `- ${entry.message}`)}`);
+  }
+  if (diagnostics.failedRequests) {
+    sections.push(`Failed Requests (${diagnostics.failedRequests.length}):\n${list(diagnostics.failedRequests, entry =>
+      `- ${entry.method} ${entry.url} → ${entry.status ?? entry.failure}`)}`);
+  }
+
+  return sections.join('\n\n');
+}
@@ -0,0 +1,59 @@
+/**
+ * The allowed-domains policy of the web-scraper tools: which URLs pages may
+ * navigate to and load resources from.
+ */
+
+/**
+ * Returns a predicate telling whether a URL is allowed. With no domains every
+ * URL is; otherwise only http(s) URLs whose host is one of the domains or a
+ * subdomain of one ("*.example.com" allows subdomains only), and the data:,
+ * blob: and about: URLs pages create themselves.
+ */
+export function urlPolicy(allowedDomains = []) {
+  if (allowedDomains.length === 0) {
+    return () => true;
+  }
+
+  const rules = allowedDomains.map((domain) => {
+    const name = domain.toLowerCase().replace(/\.$/, '');
+    return name.startsWith('*.')
+      ? { suffix: name.slice(1), exact: null }
+      : { suffix: `.${name}`, exact: name };
+  });
+
+  return (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+    if (parsed.protocol === 'data:' || parsed.protocol === 'blob:' || parsed.protocol === 'about:') {
+      return true;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return false;
+    }
+    const host = parsed.hostname.toLowerCase().replace(/\.$/, '');
+    return rules.some(rule => host === rule.exact || host.endsWith(rule.suffix));
+  };
+}
+
+/**
+ * Aborts every request of a context's pages to a URL `isAllowed` rejects:
+ * navigations as well as scripts, styles, images, fetches and other
+ * resources. Routes registered on a page take precedence and check the
+ * policy themselves (see installRoutes() in ./network.js).
+ */
+export async function blockOutsideDomains(context, isAllowed) {
+  await context.route(url => !isAllowed(url.href), route => route.abort('blockedbyclient'));
+}
+
+/**
+ * Throws when `url` is outside the allowed domains.
+ */
+export function assertUrlAllowed(isAllowed, url) {
+  if (!isAllowed(url)) {
+    throw new Error(`URL is outside the allowed domains: ${url}`);
+  }
+}
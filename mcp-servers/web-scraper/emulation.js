@@ -0,0 +1,97 @@
+/**
+ * Translation of the tools' shared `context` option into Playwright browser
+ * context and navigation options.
+ */
+
+import { devices } from 'playwright';
+
+export const DEFAULT_WAIT_UNTIL = 'networkidle';
+export const DEFAULT_NAVIGATION_TIMEOUT = 30000;
+
+const NAVIGATION_KEYS = ['waitUntil', 'navigationTimeout'];
+
+// `context` keys that map directly onto browser.newContext() options
+const CONTEXT_OPTION_NAMES = {
+  viewport: 'viewport',
+  userAgent: 'userAgent',
+  locale: 'locale',
+  timezone: 'timezoneId',
+  colorScheme: 'colorScheme',
+  geolocation: 'geolocation',
+  headers: 'extraHTTPHeaders',
+  httpCredentials: 'httpCredentials',
+  ignoreHTTPSErrors: 'ignoreHTTPSErrors',
+  javaScriptEnabled: 'javaScriptEnabled'
+};
+
+/**
+ * Builds the options for browser.newContext(). A `device` preset is applied
+ * first so that explicit options such as `viewport` or `locale` override it.
+ */
+export function contextOptions(emulation = {}) {
+  const options = {};
+
+  if (emulation.device) {
+    const preset = devices[emulation.device];
+    if (!preset) {
+      throw new Error(`Unknown device: ${emulation.device} (use a Playwright device name such as "iPhone 13" or "Pixel 7")`);
+    }
+    // Not a context option; the caller chooses the browser engine
+    const { defaultBrowserType, ...presetOptions } = preset;
+    Object.assign(options, presetOptions);
+  }
+
+  for (const [key, option] of Object.entries(CONTEXT_OPTION_NAMES)) {
+    if (emulation[key] !== undefined) {
+      options[option] = emulation[key];
+    }
+  }
+  if (emulation.geolocation) {
+    options.permissions = ['geolocation'];
+  }
+
+  return options;
+}
+
+/**
+ * Applies the settings that can only be made on an existing context.
+ * Cookies without a `url` or `domain` are set for `url`.
+ */
+export async function applyContextSettings(browserContext, emulation = {}, url) {
+  if (emulation.cookies?.length) {
+    const cookies = emulation.cookies.map((cookie) => {
+      if (cookie.url || cookie.domain) {
+        return cookie;
+      }
+      if (!url) {
+        throw new Error(`Cookie "${cookie.name}" needs a url or domain when no page URL is given`);
+      }
+      return { ...cookie, url };
+    });
+    await browserContext.addCookies(cookies);
+  }
+}
+
+/**
+ * Options for page.goto(). `defaults` holds the navigation settings of a
+ * session or the server, which a tool call may override.
+ */
+export function navigationOptions(emulation = {}, defaults = {}) {
+  return {
+    waitUntil: emulation.waitUntil ?? defaults.waitUntil ?? DEFAULT_WAIT_UNTIL,
+    timeout: emulation.navigationTimeout ?? defaults.timeout ?? DEFAULT_NAVIGATION_TIMEOUT
+  };
+}
+
+/**
+ * An existing session's context cannot be changed, so calls on a session
+ * only accept the navigation settings.
+ */
+export function assertNavigationOnly(emulation = {}) {
+  const unsupported = Object.keys(emulation).filter(key => !NAVIGATION_KEYS.includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(
+      `context options ${unsupported.join(', ')} cannot be used with sessionId; pass them to open_session instead`
+    );
+  }
+}
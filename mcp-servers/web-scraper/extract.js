@@ -0,0 +1,237 @@
+/**
+ * Structured data extraction for scrape_page. The functions passed to
+ * page.evaluate() run in the browser and must be self-contained.
+ */
+
+/**
+ * Normalizes an extraction spec. A string is a selector with an optional
+ * "@attribute" suffix ("a@href", or "@href" for the element itself); an
+ * object may nest `fields` to extract a list of records.
+ */
+export function normalizeSpec(spec) {
+  if (typeof spec === 'string') {
+    const at = spec.lastIndexOf('@');
+    // Only treat "@" as an attribute marker when it follows the selector,
+    // not when it is part of one (e.g. a[href^="mailto:a@b"])
+    if (at >= 0 && /^[\w:-]+$/.test(spec.slice(at + 1))) {
+      return { selector: spec.slice(0, at).trim(), attribute: spec.slice(at + 1) };
+    }
+    return { selector: spec.trim() };
+  }
+
+  const normalized = { ...spec };
+  if (spec.fields) {
+    normalized.fields = Object.fromEntries(
+      Object.entries(spec.fields).map(([name, field]) => [name, normalizeSpec(field)])
+    );
+  }
+  return normalized;
+}
+
+export async function extractFields(page, extract) {
+  const spec = Object.fromEntries(
+    Object.entries(extract).map(([name, field]) => [name, normalizeSpec(field)])
+  );
+
+  return await page.evaluate((spec) => {
+    const toNumber = (text) => {
+      const cleaned = (text ?? '').replace(/[^\d.-]/g, '');
+      return cleaned === '' || isNaN(Number(cleaned)) ? null : Number(cleaned);
+    };
+    const toBoolean = (text) => {
+      const value = (text ?? '').trim().toLowerCase();
+      return value !== '' && !['false', '0', 'no', 'off'].includes(value);
+    };
+
+    const tableToJson = (table) => {
+      const rows = Array.from(table.rows);
+      if (rows.length === 0) {
+        return [];
+      }
+      const headerRow = table.tHead?.rows[0] ?? (rows[0].querySelector('th') ? rows[0] : null);
+      const headers = headerRow
+        ? Array.from(headerRow.cells).map((cell, index) => cell.textContent.trim() || `column${index + 1}`)
+        : Array.from(rows[0].cells).map((cell, index) => `column${index + 1}`);
+      return rows
+        .filter(row => row !== headerRow && row.parentElement?.tagName !== 'THEAD')
+        .map(row => Object.fromEntries(
+          Array.from(row.cells).map((cell, index) => [headers[index] ?? `column${index + 1}`, cell.textContent.trim()])
+        ));
+    };
+
+    const readValue = (element, field) => {
+      if (!element) {
+        return null;
+      }
+      if (field.type === 'table') {
+        return element.tagName === 'TABLE' ? tableToJson(element) : null;
+      }
+      if (field.type === 'html') {
+        return element.innerHTML;
+      }
+      let raw;
+      if (field.attribute) {
+        raw = element.getAttribute(field.attribute);
+        // Resolve link and image attributes to absolute URLs
+        if (raw !== null && ['href', 'src'].includes(field.attribute) && element[field.attribute]) {
+          raw = element[field.attribute];
+        }
+      } else {
+        raw = element.textContent.trim().replace(/\s+/g, ' ');
+      }
+      if (field.type === 'number') {
+        return toNumber(raw);
+      }
+      if (field.type === 'boolean') {
+        return field.attribute ? raw !== null && raw !== 'false' : toBoolean(raw);
+      }
+      return raw;
+    };
+
+    const select = (root, selector) =>
+      selector ? Array.from(root.querySelectorAll(selector)) : [root];
+
+    const extractField = (root, field) => {
+      const elements = select(root, field.selector);
+      if (field.fields) {
+        return elements.map(element => Object.fromEntries(
+          Object.entries(field.fields).map(([name, child]) => [name, extractField(element, child)])
+        ));
+      }
+      if (field.all) {
+        return elements.map(element => readValue(element, field));
+      }
+      return readValue(elements[0], field);
+    };
+
+    return Object.fromEntries(
+      Object.entries(spec).map(([name, field]) => [name, extractField(document, field)])
+    );
+  }, spec);
+}
+
+/**
+ * Converts every table matching `selector` to an array of row objects keyed
+ * by the table's header cells.
+ */
+export async function extractTables(page, selector = 'table') {
+  const { tables } = await extractFields(page, { tables: { selector, type: 'table', all: true } });
+  return tables;
+}
+
+/**
+ * Converts the main content of the page to Markdown. Without a selector the
+ * first of <main>, [role=main] and <article> is used, falling back to
+ * <body> without its navigation, header, footer and aside elements.
+ */
+export async function extractMarkdown(page, selector) {
+  return await page.evaluate((selector) => {
+    const root = selector
+      ? document.querySelector(selector)
+      : document.querySelector('main, [role="main"], article') ?? document.body;
+    if (!root) {
+      return null;
+    }
+
+    const SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME']);
+    const CHROME = new Set(['NAV', 'HEADER', 'FOOTER', 'ASIDE']);
+    const skipChrome = root === document.body;
+
+    const inline = (node) => Array.from(node.childNodes).map(convert).join('');
+    const block = (text) => `\n\n${text.trim()}\n\n`;
+    const escapeCell = (text) => text.replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+
+    const list = (element, ordered, depth) => Array.from(element.children)
+      .filter(child => child.tagName === 'LI')
+      .map((item, index) => {
+        const marker = ordered ? `${index + 1}.` : '-';
+        const nested = Array.from(item.children)
+          .filter(child => child.tagName === 'UL' || child.tagName === 'OL')
+          .map(child => list(child, child.tagName === 'OL', depth + 1))
+          .join('\n');
+        const text = Array.from(item.childNodes)
+          .filter(child => child.nodeType !== Node.ELEMENT_NODE || !['UL', 'OL'].includes(child.tagName))
+          .map(convert)
+          .join('')
+          .replace(/\s+/g, ' ')
+          .trim();
+        return `${'  '.repeat(depth)}${marker} ${text}${nested ? `\n${nested}` : ''}`;
+      })
+      .join('\n');
+
+    const table = (element) => {
+      const rows = Array.from(element.rows).map(row => Array.from(row.cells).map(cell => escapeCell(cell.textContent)));
+      if (rows.length === 0) {
+        return '';
+      }
+      const width = Math.max(...rows.map(row => row.length));
+      const pad = (row) => [...row, ...Array(width - row.length).fill('')];
+      const [header, ...body] = rows;
+      return block([
+        `| ${pad(header).join(' | ')} |`,
+        `| ${Array(width).fill('---').join(' | ')} |`,
+        ...body.map(row => `| ${pad(row).join(' | ')} |`)
+      ].join('\n'));
+    };
+
+    function convert(node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.replace(/\s+/g, ' ');
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || SKIP.has(node.tagName)) {
+        return '';
+      }
+      if (skipChrome && CHROME.has(node.tagName)) {
+        return '';
+      }
+      const style = window.getComputedStyle(node);
+      if (style.display === 'none' || style.visibility === 'hidden') {
+        return '';
+      }
+
+      switch (node.tagName) {
+        case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+          return block(`${'#'.repeat(Number(node.tagName[1]))} ${inline(node).trim()}`);
+        case 'P':
+          return block(inline(node));
+        case 'BR':
+          return '\n';
+        case 'HR':
+          return block('---');
+        case 'STRONG': case 'B': {
+          const text = inline(node).trim();
+          return text ? `**${text}**` : '';
+        }
+        case 'EM': case 'I': {
+          const text = inline(node).trim();
+          return text ? `_${text}_` : '';
+        }
+        case 'CODE':
+          return node.parentElement?.tagName === 'PRE' ? node.textContent : `\`${node.textContent}\``;
+        case 'PRE':
+          return block(`\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\``);
+        case 'BLOCKQUOTE':
+          return block(inline(node).trim().split('\n').map(line => `> ${line}`).join('\n'));
+        case 'A': {
+          const text = inline(node).trim();
+          return node.href && text ? `[${text}](${node.href})` : text;
+        }
+        case 'IMG':
+          return node.src ? `![${node.alt ?? ''}](${node.src})` : '';
+        case 'UL': case 'OL':
+          return block(list(node, node.tagName === 'OL', 0));
+        case 'TABLE':
+          return table(node);
+        case 'DIV': case 'SECTION': case 'ARTICLE': case 'MAIN': case 'FIGURE': case 'FORM': case 'DL':
+          return `\n${inline(node)}\n`;
+        default:
+          return inline(node);
+      }
+    }
+
+    return convert(root)
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }, selector ?? null);
+}
@@ -0,0 +1,129 @@
+/**
+ * Request mocking and network capture shared by the web-scraper tools.
+ */
+
+/**
+ * Turns a route pattern into something page.route() accepts: "/regex/flags"
+ * becomes a RegExp, anything else is used as a glob.
+ */
+function toUrlMatcher(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  return regex ? new RegExp(regex[1], regex[2]) : pattern;
+}
+
+function routeBody({ json, body }) {
+  if (json !== undefined) {
+    return { body: JSON.stringify(json), contentType: 'application/json' };
+  }
+  return { body: body ?? '' };
+}
+
+/**
+ * Registers the caller's routes on a page. Routes are tried in the order
+ * given; requests that match none continue to the network. Requests a
+ * continuing route would send to a URL `isAllowed` rejects are aborted.
+ * Resolves with a function that removes the routes again.
+ */
+export async function installRoutes(page, routes = [], { isAllowed = () => true } = {}) {
+  const installed = [];
+
+  // page.route() gives the most recently registered handler priority, so
+  // register in reverse to let earlier routes win
+  for (const route of [...routes].reverse()) {
+    const { url, method, action, status, headers, contentType, json, body, delay, errorCode = 'failed' } = route;
+    const hasResponse = status !== undefined || json !== undefined || body !== undefined;
+    const mode = action ?? (hasResponse ? 'fulfill' : 'continue');
+    const matcher = toUrlMatcher(url);
+
+    const handler = async (intercepted) => {
+      if (method && intercepted.request().method() !== method.toUpperCase()) {
+        await intercepted.fallback();
+        return;
+      }
+      if (delay) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      switch (mode) {
+        case 'fulfill': {
+          const response = routeBody({ json, body });
+          await intercepted.fulfill({
+            status: status ?? 200,
+            headers,
+            contentType: contentType ?? response.contentType,
+            body: response.body
+          });
+          break;
+        }
+        case 'abort':
+          await intercepted.abort(errorCode);
+          break;
+        default:
+          if (!isAllowed(intercepted.request().url())) {
+            await intercepted.abort('blockedbyclient');
+          } else {
+            await intercepted.continue();
+          }
+      }
+    };
+
+    await page.route(matcher, handler);
+    installed.push([matcher, handler]);
+  }
+
+  return async () => {
+    for (const [matcher, handler] of installed) {
+      await page.unroute(matcher, handler).catch(() => {});
+    }
+  };
+}
+
+/**
+ * Records every request the page makes until stop() is called. entries()
+ * resolves once sizes and timings of finished requests are available.
+ */
+export function recordNetwork(page) {
+  const pending = [];
+
+  const describe = async (request, failure) => {
+    const response = failure ? null : await request.response().catch(() => null);
+    const timing = request.timing();
+    const sizes = failure ? null : await request.sizes().catch(() => null);
+    return {
+      method: request.method(),
+      url: request.url(),
+      resourceType: request.resourceType(),
+      status: response?.status() ?? null,
+      durationMs: timing.responseEnd >= 0 ? Math.round(timing.responseEnd) : null,
+      size: sizes ? sizes.responseBodySize : null,
+      failure: failure ?? null
+    };
+  };
+
+  const onFinished = (request) => pending.push(describe(request));
+  const onFailed = (request) => pending.push(describe(request, request.failure()?.errorText ?? 'failed'));
+
+  page.on('requestfinished', onFinished);
+  page.on('requestfailed', onFailed);
+
+  return {
+    stop() {
+      page.off('requestfinished', onFinished);
+      page.off('requestfailed', onFailed);
+    },
+    async entries() {
+      return await Promise.all(pending);
+    }
+  };
+}
+
+export function formatNetwork(entries, limit = 50) {
+  const lines = entries.slice(0, limit).map(entry =>
+    `- ${entry.method} ${entry.url} → ${entry.failure ? `failed (${entry.failure})` : entry.status}` +
+    `${entry.durationMs !== null ? ` ${entry.durationMs}ms` : ''}${entry.size !== null ? ` ${entry.size}B` : ''}`
+  );
+  if (entries.length > limit) {
+    lines.push(`- ... ${entries.length - limit} more`);
+  }
+  return `Network (${entries.length} requests):\n${lines.join('\n')}`;
+}
@@ -0,0 +1,370 @@
+/**
+ * Core Web Vitals and resource measurements for measure_performance.
+ * Metrics come from PerformanceObservers installed before the page loads;
+ * resource sizes and throttling use the Chrome DevTools Protocol, so
+ * measurements need Chromium.
+ */
+
+// Bytes per second; latencies in milliseconds. The 3G presets match Chrome
+// DevTools, "slow-4g" matches Lighthouse's mobile throttling.
+export const NETWORK_PROFILES = {
+  'slow-3g': { latency: 2000, downloadThroughput: 50 * 1024, uploadThroughput: 50 * 1024 },
+  'fast-3g': { latency: 562.5, downloadThroughput: 180 * 1024, uploadThroughput: 84 * 1024 },
+  'slow-4g': { latency: 150, downloadThroughput: 200 * 1024, uploadThroughput: 84 * 1024 }
+};
+
+// "Good" and "poor" boundaries from web.dev; values in between need improvement
+export const METRIC_THRESHOLDS = {
+  ttfb: [800, 1800],
+  fcp: [1800, 3000],
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp: [200, 500],
+  tbt: [200, 600]
+};
+
+const METRIC_LABELS = {
+  ttfb: 'Time to First Byte',
+  fcp: 'First Contentful Paint',
+  lcp: 'Largest Contentful Paint',
+  cls: 'Cumulative Layout Shift',
+  inp: 'Interaction to Next Paint',
+  tbt: 'Total Blocking Time',
+  domContentLoaded: 'DOM Content Loaded',
+  load: 'Load Event'
+};
+
+export const MAX_RUNS = 10;
+
+export const BUDGET_NAMES = [...Object.keys(METRIC_LABELS), 'totalBytes', 'scriptBytes', 'requests'];
+
+// Runs in the page before any of its scripts; must be self-contained
+function installObservers() {
+  const state = { lcp: null, lcpElement: null, cls: 0, longTasks: [], interactions: {} };
+  window.__performanceMetrics = state;
+
+  const observe = (type, callback, options = {}) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback))
+        .observe({ type, buffered: true, ...options });
+    } catch {
+      // Entry type not supported by this browser
+    }
+  };
+  const describe = (element) => {
+    let description = element.tagName.toLowerCase();
+    if (element.id) {
+      description += `#${element.id}`;
+    } else if (typeof element.className === 'string' && element.className.trim()) {
+      description += `.${element.className.trim().split(/\s+/).join('.')}`;
+    }
+    return description;
+  };
+
+  observe('largest-contentful-paint', (entry) => {
+    state.lcp = entry.startTime;
+    state.lcpElement = entry.element ? describe(entry.element) : entry.url || null;
+  });
+
+  // CLS is the largest session window: shifts less than 1s apart, at most 5s long
+  let windowValue = 0;
+  let windowStart = 0;
+  let lastShift = -Infinity;
+  observe('layout-shift', (entry) => {
+    if (entry.hadRecentInput) {
+      return;
+    }
+    if (entry.startTime - lastShift < 1000 && entry.startTime - windowStart < 5000) {
+      windowValue += entry.value;
+    } else {
+      windowValue = entry.value;
+      windowStart = entry.startTime;
+    }
+    lastShift = entry.startTime;
+    state.cls = Math.max(state.cls, windowValue);
+  });
+
+  observe('longtask', (entry) => {
+    state.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+  });
+
+  observe('event', (entry) => {
+    if (entry.interactionId) {
+      state.interactions[entry.interactionId] = Math.max(state.interactions[entry.interactionId] ?? 0, entry.duration);
+    }
+  }, { durationThreshold: 16 });
+}
+
+function networkConditions(network) {
+  if (!network || network === 'none') {
+    return null;
+  }
+  if (typeof network === 'string') {
+    const profile = NETWORK_PROFILES[network];
+    if (!profile) {
+      throw new Error(`Unknown network profile: ${network} (use ${Object.keys(NETWORK_PROFILES).join(', ')} or none)`);
+    }
+    return profile;
+  }
+  return {
+    latency: network.latency ?? 0,
+    downloadThroughput: network.downloadKbps ? (network.downloadKbps * 1024) / 8 : -1,
+    uploadThroughput: network.uploadKbps ? (network.uploadKbps * 1024) / 8 : -1
+  };
+}
+
+/**
+ * Loads `url` in a fresh page and measures it. `interact`, when given, runs
+ * after the load so that INP can be measured, and returns step records.
+ */
+export async function measurePage(page, url, { network, cpuSlowdown = 1, navigation, interact } = {}) {
+  const conditions = networkConditions(network);
+  const cdp = await page.context().newCDPSession(page);
+  const requests = new Map();
+  const requestFor = (requestId) => {
+    if (!requests.has(requestId)) {
+      requests.set(requestId, { url: null, type: 'other', status: null, transferSize: 0, resourceSize: 0, failed: false });
+    }
+    return requests.get(requestId);
+  };
+
+  cdp.on('Network.requestWillBeSent', ({ requestId, request, type }) => {
+    Object.assign(requestFor(requestId), { url: request.url, type: (type ?? 'Other').toLowerCase() });
+  });
+  cdp.on('Network.responseReceived', ({ requestId, response, type }) => {
+    Object.assign(requestFor(requestId), { status: response.status, type: (type ?? 'Other').toLowerCase() });
+  });
+  cdp.on('Network.dataReceived', ({ requestId, dataLength }) => {
+    requestFor(requestId).resourceSize += dataLength;
+  });
+  cdp.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+    requestFor(requestId).transferSize = encodedDataLength;
+  });
+  cdp.on('Network.loadingFailed', ({ requestId }) => {
+    requestFor(requestId).failed = true;
+  });
+
+  await cdp.send('Network.enable');
+  await cdp.send('Network.setCacheDisabled', { cacheDisabled: true });
+  if (conditions) {
+    await cdp.send('Network.emulateNetworkConditions', { offline: false, ...conditions });
+  }
+  if (cpuSlowdown > 1) {
+    await cdp.send('Emulation.setCPUThrottlingRate', { rate: cpuSlowdown });
+  }
+  await page.addInitScript(installObservers);
+
+  const startTime = Date.now();
+  const response = await page.goto(url, navigation);
+  const wallTime = Date.now() - startTime;
+  const steps = interact ? await interact() : [];
+
+  // Let observers deliver entries buffered during the last frame
+  await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0))));
+
+  const metrics = await page.evaluate(() => {
+    const state = window.__performanceMetrics;
+    const navigationEntry = performance.getEntriesByType('navigation')[0];
+    const fcp = performance.getEntriesByName('first-contentful-paint')[0]?.startTime ?? null;
+    // Blocking time of long tasks after first paint; Lighthouse stops at
+    // Time to Interactive, here the window runs to the end of the measurement
+    const tbt = state.longTasks
+      .filter(task => fcp === null || task.startTime + task.duration > fcp)
+      .reduce((total, task) => total + Math.max(0, task.duration - 50), 0);
+    const interactions = Object.values(state.interactions).sort((a, b) => b - a);
+    // INP ignores one outlier per 50 interactions
+    const inp = interactions.length > 0 ? interactions[Math.floor(interactions.length / 50)] : null;
+
+    return {
+      ttfb: navigationEntry ? navigationEntry.responseStart : null,
+      fcp,
+      lcp: state.lcp,
+      cls: Number(state.cls.toFixed(4)),
+      inp,
+      tbt,
+      domContentLoaded: navigationEntry ? navigationEntry.domContentLoadedEventEnd : null,
+      load: navigationEntry ? navigationEntry.loadEventEnd : null,
+      lcpElement: state.lcpElement,
+      longTasks: state.longTasks,
+      interactionCount: interactions.length
+    };
+  });
+
+  await cdp.detach().catch(() => {});
+
+  const { lcpElement, longTasks, interactionCount, ...timings } = metrics;
+  return {
+    status: response?.status() ?? null,
+    wallTime,
+    metrics: timings,
+    lcpElement,
+    longTasks,
+    interactionCount,
+    failedSteps: steps.filter(step => !step.passed).map(step => step.message),
+    resources: summarizeResources(Array.from(requests.values()).filter(request => request.url))
+  };
+}
+
+function summarizeResources(requests, bundleLimit = 10) {
+  const byType = {};
+  const total = { count: 0, transferSize: 0, resourceSize: 0 };
+  for (const request of requests) {
+    const group = byType[request.type] ??= { count: 0, transferSize: 0, resourceSize: 0 };
+    for (const target of [group, total]) {
+      target.count++;
+      target.transferSize += request.transferSize;
+      target.resourceSize += request.resourceSize;
+    }
+  }
+
+  const largestScripts = requests
+    .filter(request => request.type === 'script')
+    .sort((a, b) => b.transferSize - a.transferSize || b.resourceSize - a.resourceSize)
+    .slice(0, bundleLimit)
+    .map(({ url, transferSize, resourceSize }) => ({ url, transferSize, resourceSize }));
+
+  return {
+    total,
+    byType,
+    largestScripts,
+    failed: requests.filter(request => request.failed).map(request => request.url)
+  };
+}
+
+function median(values) {
+  const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export function rateMetric(name, value) {
+  const thresholds = METRIC_THRESHOLDS[name];
+  if (!thresholds || value === null) {
+    return null;
+  }
+  return value <= thresholds[0] ? 'good' : value <= thresholds[1] ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * Reduces repeated runs to the median of every metric. Resources and long
+ * tasks are taken from the run whose LCP is closest to the median, as
+ * Lighthouse CI does for its representative run.
+ */
+export function summarizeRuns(runs) {
+  const names = Object.keys(runs[0].metrics);
+  const metrics = Object.fromEntries(names.map(name => [name, median(runs.map(run => run.metrics[name]))]));
+  const ratings = Object.fromEntries(
+    names.filter(name => METRIC_THRESHOLDS[name]).map(name => [name, rateMetric(name, metrics[name])])
+  );
+
+  const target = metrics.lcp ?? metrics.load ?? 0;
+  const representative = runs.reduce((best, run) =>
+    Math.abs((run.metrics.lcp ?? run.metrics.load ?? 0) - target) <
+      Math.abs((best.metrics.lcp ?? best.metrics.load ?? 0) - target) ? run : best);
+
+  return {
+    metrics,
+    ratings,
+    lcpElement: representative.lcpElement,
+    longTasks: representative.longTasks,
+    resources: representative.resources,
+    failedSteps: runs.flatMap(run => run.failedSteps),
+    runs: runs.map(run => ({ status: run.status, wallTime: run.wallTime, ...run.metrics }))
+  };
+}
+
+export function assertBudgetNames(budgets = {}) {
+  const unknown = Object.keys(budgets).filter(name => !BUDGET_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown budget: ${unknown.join(', ')} (use ${BUDGET_NAMES.join(', ')})`);
+  }
+}
+
+/**
+ * Compares the median metrics against a budget. Metric budgets use the
+ * metric names; `totalBytes`, `scriptBytes` and `requests` limit the
+ * representative run's transfer sizes and request count.
+ */
+export function checkBudgets(report, budgets = {}) {
+  const actuals = {
+    ...report.metrics,
+    totalBytes: report.resources.total.transferSize,
+    scriptBytes: report.resources.byType.script?.transferSize ?? 0,
+    requests: report.resources.total.count
+  };
+
+  return Object.entries(budgets).map(([name, limit]) => {
+    const actual = actuals[name];
+    return { name, limit, actual, passed: actual === null || actual <= limit };
+  });
+}
+
+function formatValue(name, value) {
+  if (value === null || value === undefined) {
+    return 'n/a';
+  }
+  if (name === 'cls') {
+    return value.toFixed(3);
+  }
+  if (/bytes$/i.test(name)) {
+    return formatBytes(value);
+  }
+  if (name === 'requests') {
+    return String(value);
+  }
+  return `${Math.round(value)}ms`;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+export function formatPerformance(report) {
+  const ratingIcons = { good: '✅', 'needs-improvement': '⚠️', poor: '❌' };
+  const lines = [`Metrics (median of ${report.runs.length} run${report.runs.length === 1 ? '' : 's'}):`];
+  for (const [name, value] of Object.entries(report.metrics)) {
+    const rating = report.ratings[name];
+    lines.push(`- ${rating ? `${ratingIcons[rating]} ` : ''}${METRIC_LABELS[name] ?? name}: ${formatValue(name, value)}`);
+  }
+  if (report.lcpElement) {
+    lines.push(`- LCP element: ${report.lcpElement}`);
+  }
+
+  const { total, byType, largestScripts } = report.resources;
+  lines.push('', `Resources: ${total.count} requests, ${formatBytes(total.transferSize)} transferred ` +
+    `(${formatBytes(total.resourceSize)} uncompressed)`);
+  for (const [type, group] of Object.entries(byType).sort((a, b) => b[1].transferSize - a[1].transferSize)) {
+    lines.push(`- ${type}: ${group.count}, ${formatBytes(group.transferSize)}`);
+  }
+
+  if (largestScripts.length > 0) {
+    lines.push('', 'Largest JavaScript:');
+    for (const script of largestScripts) {
+      lines.push(`- ${formatBytes(script.transferSize)} (${formatBytes(script.resourceSize)} uncompressed) ${script.url}`);
+    }
+  }
+
+  if (report.longTasks.length > 0) {
+    lines.push('', `Long Tasks (${report.longTasks.length}):`);
+    for (const task of [...report.longTasks].sort((a, b) => b.duration - a.duration).slice(0, 10)) {
+      lines.push(`- ${Math.round(task.duration)}ms at ${Math.round(task.startTime)}ms`);
+    }
+  }
+
+  if (report.failedSteps.length > 0) {
+    lines.push('', 'Failed Interactions:', ...report.failedSteps.map(message => `- ${message}`));
+  }
+
+  if (report.budgets?.length > 0) {
+    lines.push('', 'Budgets:');
+    for (const budget of report.budgets) {
+      lines.push(`- ${budget.passed ? '✅' : '❌'} ${budget.name}: ${formatValue(budget.name, budget.actual)} ` +
+        `(budget ${formatValue(budget.name, budget.limit)})`);
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,173 @@
+/**
+ * Shared browser launcher for the web-scraper tools. One browser per engine
+ * is kept warm and every tool call gets its own isolated context in it.
+ */
+
+export const DEFAULT_MAX_CONTEXTS = 4;
+
+export class BrowserPool {
+  /**
+   * `launchers` maps engine names to Playwright browser types. At most
+   * `maxContexts` queued contexts are open at once; further acquire() calls
+   * wait for a slot in arrival order. `contextOverrides` are applied on top
+   * of every context's options, and `prepareContext` is awaited with every
+   * new context before it is handed out.
+   */
+  constructor({
+    launchers,
+    launchOptions = { headless: true },
+    maxContexts = DEFAULT_MAX_CONTEXTS,
+    contextOverrides = {},
+    prepareContext = async () => {}
+  }) {
+    this.launchers = launchers;
+    this.launchOptions = launchOptions;
+    this.contextOverrides = contextOverrides;
+    this.prepareContext = prepareContext;
+    this.maxContexts = Math.max(1, maxContexts);
+    this.browsers = new Map();
+    this.active = 0;
+    this.waiting = [];
+    this.closed = false;
+  }
+
+  /**
+   * Returns the warm browser for an engine, launching it on first use or
+   * after the previous one crashed or was closed.
+   */
+  async getBrowser(browserType = 'chromium') {
+    const launcher = this.launcherFor(browserType);
+    let launching = this.browsers.get(browserType);
+    if (!launching) {
+      launching = launcher.launch(this.launchOptions).then((browser) => {
+        browser.on('disconnected', () => {
+          if (this.browsers.get(browserType) === launching) {
+            this.browsers.delete(browserType);
+          }
+        });
+        return browser;
+      });
+      this.browsers.set(browserType, launching);
+      launching.catch(() => this.browsers.delete(browserType));
+    }
+    return await launching;
+  }
+
+  /**
+   * Opens a new context in the engine's browser. `release()` closes the
+   * context and frees its slot. Pass `queue: false` for long-lived contexts
+   * (such as sessions) that should neither wait for nor hold a slot. An
+   * aborted `signal` takes the call out of the queue.
+   */
+  async acquire(browserType = 'chromium', contextOptions = {}, { queue = true, signal } = {}) {
+    if (this.closed) {
+      throw new Error('Browser pool is shut down');
+    }
+    this.launcherFor(browserType);
+    if (queue) {
+      await this.takeSlot(signal);
+    }
+
+    let context;
+    try {
+      signal?.throwIfAborted();
+      context = await this.newContext(browserType, { ...contextOptions, ...this.contextOverrides });
+      await this.prepareContext(context);
+    } catch (error) {
+      await context?.close().catch(() => {});
+      if (queue) {
+        this.freeSlot();
+      }
+      throw error;
+    }
+
+    let released = false;
+    const release = async () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      await context.close().catch(() => {});
+      if (queue) {
+        this.freeSlot();
+      }
+    };
+    return { context, release };
+  }
+
+  launcherFor(browserType) {
+    const launcher = this.launchers[browserType];
+    if (!launcher) {
+      throw new Error(`Unsupported browser: ${browserType}`);
+    }
+    return launcher;
+  }
+
+  async newContext(browserType, contextOptions) {
+    const browser = await this.getBrowser(browserType);
+    try {
+      return await browser.newContext(contextOptions);
+    } catch (error) {
+      if (browser.isConnected()) {
+        throw error;
+      }
+      // The browser died after it was handed out; retry once in a new one
+      return await (await this.getBrowser(browserType)).newContext(contextOptions);
+    }
+  }
+
+  async takeSlot(signal) {
+    signal?.throwIfAborted();
+    if (this.active < this.maxContexts) {
+      this.active++;
+      return;
+    }
+    // Freed slots are handed straight to the next waiter, so `active` is
+    // only decremented when nobody is queued
+    await new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      this.waiting.push(waiter);
+      signal?.addEventListener('abort', () => {
+        const index = this.waiting.indexOf(waiter);
+        if (index !== -1) {
+          this.waiting.splice(index, 1);
+          reject(signal.reason);
+        }
+      }, { once: true });
+    });
+  }
+
+  freeSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.active--;
+    }
+  }
+
+  stats() {
+    return {
+      browsers: Array.from(this.browsers.keys()),
+      activeContexts: this.active,
+      queued: this.waiting.length,
+      maxContexts: this.maxContexts
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    for (const { reject } of this.waiting.splice(0)) {
+      reject(new Error('Browser pool is shut down'));
+    }
+    const launches = Array.from(this.browsers.values());
+    this.browsers.clear();
+    await Promise.all(launches.map(async (launching) => {
+      try {
+        await (await launching).close();
+      } catch {
+        // Already closed or never launched
+      }
+    }));
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Test report formats for action runs (test_react_app, session_action).
+ * Each step record is turned into one test case.
+ */
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms = 0) {
+  return (ms / 1000).toFixed(3);
+}
+
+export function formatJUnitReport(suiteName, steps, summary) {
+  const testCases = steps.map((step) => {
+    const open = `    <testcase name="${escapeXml(step.name)}" classname="${escapeXml(suiteName)}" time="${seconds(step.durationMs)}"`;
+    if (step.skipped) {
+      return `${open}>\n      <skipped/>\n    </testcase>`;
+    }
+    if (!step.passed) {
+      return `${open}>\n      <failure message="${escapeXml(step.error)}">${escapeXml(step.message)}</failure>\n    </testcase>`;
+    }
+    return `${open}/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites tests="${summary.total}" failures="${summary.failed}" skipped="${summary.skipped}" time="${seconds(summary.durationMs)}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${summary.total}" failures="${summary.failed}" skipped="${summary.skipped}" time="${seconds(summary.durationMs)}" timestamp="${new Date().toISOString()}">`,
+    ...testCases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+export function formatTapReport(suiteName, steps) {
+  const lines = ['TAP version 13', `# ${suiteName}`, `1..${steps.length}`];
+
+  steps.forEach((step, index) => {
+    const description = step.name.replace(/#/g, '\\#');
+    if (step.skipped) {
+      lines.push(`ok ${index + 1} - ${description} # SKIP previous step failed`);
+    } else if (step.passed) {
+      lines.push(`ok ${index + 1} - ${description}`);
+    } else {
+      lines.push(`not ok ${index + 1} - ${description}`);
+      lines.push('  ---');
+      lines.push(`  message: ${JSON.stringify(step.error ?? step.message)}`);
+      lines.push(`  duration_ms: ${step.durationMs ?? 0}`);
+      lines.push('  ...');
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
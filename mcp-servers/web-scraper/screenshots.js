@@ -0,0 +1,184 @@
+/**
+ * Screenshot capture for the web-scraper tools and the artifacts directory
+ * screenshots and other files are written to.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { isWithin } from '../shared/tools.js';
+
+export const DEFAULT_ARTIFACTS_DIR = path.join(os.tmpdir(), 'web-scraper-artifacts');
+export const DEFAULT_ARTIFACT_MAX_AGE = 24 * 60 * 60 * 1000;
+export const DEFAULT_ARTIFACT_MAX_FILES = 200;
+export const DEFAULT_MAX_IMAGE_BYTES = 1024 * 1024;
+
+// Qualities tried, in order, when a capture is larger than maxBytes
+const JPEG_FALLBACK_QUALITIES = [80, 60, 40, 20];
+
+/**
+ * Captures `target`, a page or a locator. Page captures may be limited to a
+ * `clip` region; `fullPage` is ignored for locators. Images are taken at CSS
+ * pixel scale so emulated high-density devices do not triple their size.
+ * A capture larger than `maxBytes` is retaken as JPEG at falling quality;
+ * `tooLarge` is set when even the lowest quality does not fit.
+ */
+export async function captureScreenshot(target, {
+  type = 'png',
+  quality,
+  clip,
+  fullPage = true,
+  maxBytes = DEFAULT_MAX_IMAGE_BYTES,
+  isPage = true
+} = {}) {
+  if (quality !== undefined && type !== 'jpeg') {
+    throw new Error('Screenshot quality requires type "jpeg"');
+  }
+
+  const base = { animations: 'disabled', caret: 'hide', scale: 'css' };
+  if (isPage) {
+    Object.assign(base, clip ? { clip } : { fullPage });
+  }
+
+  let buffer = await target.screenshot({ ...base, type, quality });
+  let finalType = type;
+  let finalQuality = quality ?? null;
+
+  for (const fallback of JPEG_FALLBACK_QUALITIES) {
+    if (buffer.length <= maxBytes) {
+      break;
+    }
+    if (finalType === 'jpeg' && finalQuality !== null && fallback >= finalQuality) {
+      continue;
+    }
+    buffer = await target.screenshot({ ...base, type: 'jpeg', quality: fallback });
+    finalType = 'jpeg';
+    finalQuality = fallback;
+  }
+
+  return {
+    buffer,
+    mimeType: `image/${finalType}`,
+    type: finalType,
+    quality: finalQuality,
+    bytes: buffer.length,
+    tooLarge: buffer.length > maxBytes
+  };
+}
+
+/**
+ * Writes a file to the artifacts directory and prunes old artifacts.
+ * Returns the path of the new file.
+ */
+export async function saveArtifact(options, prefix, extension, buffer) {
+  await fs.mkdir(options.dir, { recursive: true });
+  const safePrefix = prefix.replace(/[^\w.-]/g, '_');
+  const file = path.join(options.dir, `${safePrefix}-${Date.now()}-${randomUUID().slice(0, 8)}.${extension}`);
+  await fs.writeFile(file, buffer);
+  await pruneArtifacts(options);
+  return file;
+}
+
+/**
+ * Resolves `file`, a path given by the caller, against the artifacts
+ * directory and creates its parent directories. Paths that lead out of the
+ * directory, also through symlinks, are rejected.
+ */
+export async function artifactPath(options, file) {
+  return await pathInside(options.dir, file, 'the artifacts directory');
+}
+
+/**
+ * Resolves `file` against `baseDir` like artifactPath(); `description`
+ * names the directory in the error for paths outside it.
+ */
+export async function pathInside(baseDir, file, description) {
+  const dir = path.resolve(baseDir);
+  const target = path.resolve(dir, file);
+  if (!isWithin(dir, target) || target === dir) {
+    throw new Error(`${file} is outside ${description} ${dir}`);
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  const realDir = await fs.realpath(dir);
+  // Check the deepest existing directory before creating the rest, so a
+  // symlink cannot take mkdir out of the directory either
+  let existing = path.dirname(target);
+  let realExisting;
+  while (!realExisting) {
+    try {
+      realExisting = await fs.realpath(existing);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      existing = path.dirname(existing);
+    }
+  }
+  if (!isWithin(realDir, realExisting)) {
+    throw new Error(`${file} is outside ${description} ${dir}`);
+  }
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  return target;
+}
+
+/**
+ * Resolves `file`, a file the caller wants to read, against `baseDir`. It
+ * must be a regular file inside the directory, not a symlink, and no
+ * symlinked directory on the way may lead out of it.
+ */
+export async function fileInside(baseDir, file, description) {
+  const dir = path.resolve(baseDir);
+  const target = path.resolve(dir, file);
+  if (!isWithin(dir, target) || target === dir) {
+    throw new Error(`${file} is outside ${description} ${dir}`);
+  }
+
+  const stats = await fs.lstat(target).catch(() => null);
+  if (!stats) {
+    throw new Error(`${file} does not exist in ${description} ${dir}`);
+  }
+  if (stats.isSymbolicLink()) {
+    throw new Error(`${file} is a symbolic link`);
+  }
+  if (!stats.isFile()) {
+    throw new Error(`${file} is not a file`);
+  }
+  if (!isWithin(await fs.realpath(dir), await fs.realpath(target))) {
+    throw new Error(`${file} is outside ${description} ${dir}`);
+  }
+  return target;
+}
+
+/**
+ * Deletes artifacts older than `maxAge`, then the oldest ones beyond
+ * `maxFiles`. Only files directly inside the directory are considered.
+ */
+export async function pruneArtifacts({ dir, maxAge, maxFiles }) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries.filter(entry => entry.isFile())) {
+    const file = path.join(dir, entry.name);
+    try {
+      files.push({ file, mtime: (await fs.stat(file)).mtimeMs });
+    } catch {
+      // Removed in the meantime
+    }
+  }
+  files.sort((a, b) => b.mtime - a.mtime);
+
+  const now = Date.now();
+  const expired = files.filter((entry, index) => index >= maxFiles || now - entry.mtime > maxAge);
+  await Promise.all(expired.map(entry => fs.rm(entry.file, { force: true })));
+  return expired.length;
+}
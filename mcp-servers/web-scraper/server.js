@@ -4,9 +4,588 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { chromium, firefox, webkit } from 'playwright';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { loadConfig, toolFilter } from '../shared/config.js';
+import { progressReporter, toolResult } from '../shared/tools.js';
+import {
+  AuditLog, auditSettings, formatReplayReport, readAuditLog, replayFilePath, replayLogPath, replayRecordedCalls,
+  selectCalls
+} from '../shared/audit.js';
+import { formatJUnitReport, formatTapReport } from './reports.js';
+import { installRoutes, recordNetwork, formatNetwork } from './network.js';
+import { recordDiagnostics, formatDiagnostics } from './diagnostics.js';
+import { auditPage, formatAudit } from './accessibility.js';
+import { extractFields, extractTables, extractMarkdown } from './extract.js';
+import { crawl } from './crawl.js';
+import { DEFAULT_TOOL_TIMEOUTS, callSignal, untilAborted } from './calls.js';
+import { BrowserPool, DEFAULT_MAX_CONTEXTS } from './pool.js';
+import { urlPolicy, assertUrlAllowed, blockOutsideDomains } from './domains.js';
+import {
+  DEFAULT_NAVIGATION_TIMEOUT, contextOptions, applyContextSettings, navigationOptions, assertNavigationOnly
+} from './emulation.js';
+import {
+  NETWORK_PROFILES, MAX_RUNS, BUDGET_NAMES, measurePage, summarizeRuns, checkBudgets, assertBudgetNames,
+  formatPerformance
+} from './performance.js';
+import {
+  DEFAULT_ARTIFACTS_DIR, DEFAULT_ARTIFACT_MAX_AGE, DEFAULT_ARTIFACT_MAX_FILES, DEFAULT_MAX_IMAGE_BYTES,
+  captureScreenshot, saveArtifact, pruneArtifacts, artifactPath, fileInside
+} from './screenshots.js';
+import {
+  DEFAULT_BASELINE_DIR, baselinePaths, readBaseline, writeImage, removeImage, compareImages
+} from './visual.js';
+
+const DEFAULT_SESSION_IDLE_TIMEOUT = 10 * 60 * 1000;
+const DEFAULT_SELECTOR_TIMEOUT = 10000;
+const SESSION_SWEEP_INTERVAL = 30 * 1000;
+
+// Settings read from the "web-scraper" section of the config file and from
+// the environment, which wins over the file (see ../shared/config.js)
+const CONFIG_SPEC = {
+  section: 'web-scraper',
+  envPrefix: 'WEB_SCRAPER',
+  settings: {
+    browser: {
+      type: 'string',
+      env: 'WEB_SCRAPER_BROWSER',
+      values: ['chromium', 'firefox', 'webkit'],
+      default: 'chromium'
+    },
+    navigationTimeout: {
+      type: 'number',
+      env: 'WEB_SCRAPER_NAVIGATION_TIMEOUT',
+      min: 1,
+      default: DEFAULT_NAVIGATION_TIMEOUT
+    },
+    selectorTimeout: { type: 'number', env: 'WEB_SCRAPER_SELECTOR_TIMEOUT', min: 1, default: DEFAULT_SELECTOR_TIMEOUT },
+    sessionIdleTimeout: {
+      type: 'number',
+      env: 'WEB_SCRAPER_SESSION_IDLE_TIMEOUT',
+      min: 1,
+      default: DEFAULT_SESSION_IDLE_TIMEOUT
+    },
+    maxContexts: { type: 'number', env: 'WEB_SCRAPER_MAX_CONTEXTS', min: 1, default: DEFAULT_MAX_CONTEXTS },
+    artifactsDir: { type: 'path', env: 'WEB_SCRAPER_ARTIFACTS_DIR', default: DEFAULT_ARTIFACTS_DIR },
+    artifactMaxAge: { type: 'number', env: 'WEB_SCRAPER_ARTIFACT_MAX_AGE', min: 1, default: DEFAULT_ARTIFACT_MAX_AGE },
+    artifactMaxFiles: {
+      type: 'number',
+      env: 'WEB_SCRAPER_ARTIFACT_MAX_FILES',
+      min: 1,
+      default: DEFAULT_ARTIFACT_MAX_FILES
+    },
+    baselineDir: { type: 'path', env: 'WEB_SCRAPER_BASELINE_DIR', default: DEFAULT_BASELINE_DIR },
+    // uploadFile only reads files from here; null means the artifacts directory
+    uploadDir: { type: 'path', env: 'WEB_SCRAPER_UPLOAD_DIR', default: null },
+    allowedDomains: { type: 'list', env: 'WEB_SCRAPER_ALLOWED_DOMAINS', default: [] },
+    ...auditSettings('WEB_SCRAPER', 'web-scraper')
+  },
+  timeouts: DEFAULT_TOOL_TIMEOUTS
+};
+
+const SCREENSHOT_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    selector: {
+      type: 'string',
+      description: 'Capture only the first element matching this selector'
+    },
+    fullPage: {
+      type: 'boolean',
+      default: true,
+      description: 'Capture the full scrollable page rather than the viewport'
+    },
+    clip: {
+      type: 'object',
+      properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        width: { type: 'number' },
+        height: { type: 'number' }
+      },
+      required: ['x', 'y', 'width', 'height'],
+      description: 'Capture only this region of the page, in CSS pixels'
+    },
+    type: {
+      type: 'string',
+      enum: ['png', 'jpeg'],
+      default: 'png'
+    },
+    quality: {
+      type: 'number',
+      description: 'JPEG quality from 0 to 100 (jpeg only)'
+    },
+    maxBytes: {
+      type: 'number',
+      default: DEFAULT_MAX_IMAGE_BYTES,
+      description: 'Larger captures are retaken as JPEG at lower quality; if still too large they are saved to a file'
+    },
+    output: {
+      type: 'string',
+      enum: ['inline', 'file', 'both'],
+      default: 'inline',
+      description: 'Return the screenshot as an image, save it to the artifacts directory, or both'
+    }
+  }
+};
+
+const ACTIONS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      type: {
+        type: 'string',
+        enum: [
+          'click', 'fill', 'wait', 'screenshot', 'getText', 'getAttribute',
+          'press', 'hover', 'selectOption', 'check', 'uncheck', 'uploadFile', 'scroll',
+          'goto', 'goBack', 'evaluate', 'waitForNavigation', 'waitForResponse',
+          'assertText', 'assertVisible', 'assertHidden', 'assertUrl', 'assertCount', 'assertAttribute'
+        ]
+      },
+      name: {
+        type: 'string',
+        description: 'Label for the step in results and reports (defaults to type and selector)'
+      },
+      selector: {
+        type: 'string',
+        description: 'CSS or Playwright selector for the element, e.g. "#save", \'role=button[name="Save"]\', ' +
+          '"text=Sign in", "data-testid=submit", "label=Email" or "placeholder=Search"'
+      },
+      value: {
+        type: 'string',
+        description: 'Value for fill and selectOption, key for press (e.g. "Enter", "Control+A"), attribute name ' +
+          'for getAttribute, JavaScript expression for evaluate, URL glob for waitForNavigation, URL substring ' +
+          'for waitForResponse, "top"/"bottom" for scroll, or expected text/URL/attribute value for assertions'
+      },
+      values: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Options to select for a multi-select selectOption'
+      },
+      url: {
+        type: 'string',
+        description: 'URL to navigate to for goto'
+      },
+      files: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Paths of the files to set on a file input for uploadFile, relative to the upload directory'
+      },
+      x: {
+        type: 'number',
+        description: 'Horizontal scroll distance in pixels for scroll'
+      },
+      y: {
+        type: 'number',
+        description: 'Vertical scroll distance in pixels for scroll'
+      },
+      attribute: {
+        type: 'string',
+        description: 'Attribute name for assertAttribute'
+      },
+      count: {
+        type: 'number',
+        description: 'Expected number of matching elements for assertCount'
+      },
+      exact: {
+        type: 'boolean',
+        default: false,
+        description: 'For assertText, assertUrl and assertAttribute: require an exact match instead of a substring'
+      },
+      timeout: {
+        type: 'number',
+        default: 5000,
+        description: 'Timeout in milliseconds (navigation actions default to the context navigationTimeout, 30000)'
+      },
+      screenshot: {
+        ...SCREENSHOT_OPTIONS_SCHEMA,
+        description: 'Options for screenshot; selector on the action captures that element'
+      }
+    },
+    required: ['type']
+  },
+  description: 'Array of actions to perform on the page'
+};
+
+const RUN_OPTIONS_PROPERTIES = {
+  stopOnFailure: {
+    type: 'boolean',
+    default: false,
+    description: 'Skip the remaining actions after the first failed action or assertion'
+  },
+  report: {
+    type: 'object',
+    properties: {
+      format: {
+        type: 'string',
+        enum: ['junit', 'tap'],
+        description: 'Report format'
+      },
+      path: {
+        type: 'string',
+        description: 'File to write the report to, relative to the artifacts directory'
+      },
+      name: {
+        type: 'string',
+        description: 'Test suite name used in the report'
+      }
+    },
+    required: ['format', 'path'],
+    description: 'Write the run as a JUnit XML or TAP report file'
+  }
+};
+
+/**
+ * The files a call wrote according to its structured result: saved
+ * screenshots, HAR files, test reports and visual comparison images.
+ */
+function savedFiles(data) {
+  return [
+    data.screenshot?.path,
+    ...(data.steps ?? []).map(step => step.result?.path),
+    data.har,
+    data.report,
+    data.status === 'created' || data.status === 'updated' ? data.baseline : null,
+    data.actual,
+    data.diff
+  ].filter(file => typeof file === 'string');
+}
+
+function describeScreenshot(info) {
+  const size = `${info.mimeType}, ${Math.ceil(info.bytes / 1024)} KB`;
+  if (info.inline) {
+    return `Screenshot attached (${size})${info.path ? `, saved to: ${info.path}` : ''}`;
+  }
+  return `Screenshot saved to: ${info.path} (${size}${info.tooLarge ? ', too large to attach' : ''})`;
+}
+
+function formatSteps(steps) {
+  return steps.map(step => `${step.skipped ? '⏭️' : step.passed ? '✅' : '❌'} ${step.message}`).join('\n');
+}
+
+/**
+ * Reads what the recorders set up by instrumentPage() captured, as result
+ * data plus a text section to append to the tool's summary.
+ */
+async function collectCaptures({ network, diagnostics, har }) {
+  const data = {};
+  const sections = [];
+
+  if (network) {
+    data.network = await network.entries();
+    sections.push(formatNetwork(data.network));
+  }
+  const captured = diagnostics.snapshot();
+  if (captured) {
+    data.diagnostics = captured;
+    sections.push(formatDiagnostics(captured));
+  }
+  if (har) {
+    data.har = har;
+    sections.push(`HAR written to: ${har}`);
+  }
+
+  return { data, text: sections.map(section => `\n\n${section}`).join('') };
+}
+
+/**
+ * Context options that record a HAR file to `recordHar`, a path inside the
+ * artifacts directory.
+ */
+async function harContextOptions(artifacts, recordHar) {
+  if (!recordHar) {
+    return {};
+  }
+  return { recordHar: { path: await artifactPath(artifacts, recordHar) } };
+}
+
+/**
+ * Releases a pooled context as soon as `signal` aborts, so the call's pending
+ * page operations fail instead of running on. Returns a function that
+ * removes the listener again.
+ */
+function closeOnAbort(signal, release) {
+  if (!signal) {
+    return () => {};
+  }
+  const onAbort = () => release();
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+function summarizeSteps(steps, durationMs) {
+  const skipped = steps.filter(step => step.skipped).length;
+  const passed = steps.filter(step => step.passed).length;
+  return {
+    total: steps.length,
+    passed,
+    failed: steps.length - passed - skipped,
+    skipped,
+    durationMs
+  };
+}
+
+function formatRunSummary({ passed, summary, report }) {
+  let text = `${passed ? '✅ PASSED' : '❌ FAILED'}: ${summary.passed} passed, ${summary.failed} failed, ` +
+    `${summary.skipped} skipped (${summary.durationMs}ms)`;
+  if (report) {
+    text += `\nReport written to: ${report}`;
+  }
+  return text;
+}
+
+const NAVIGATION_ACTIONS = ['goto', 'goBack', 'waitForNavigation', 'waitForResponse'];
+
+// Selector prefixes mapped to Playwright's getBy* locators
+const LOCATOR_SHORTCUTS = {
+  'label=': (page, value) => page.getByLabel(value),
+  'placeholder=': (page, value) => page.getByPlaceholder(value),
+  'testid=': (page, value) => page.getByTestId(value)
+};
+
+/**
+ * Resolves a selector to a locator. Plain CSS and Playwright's own engines
+ * (role=, text=, data-testid=, xpath=, ...) go straight to page.locator().
+ */
+function locate(page, selector) {
+  for (const [prefix, build] of Object.entries(LOCATOR_SHORTCUTS)) {
+    if (selector.startsWith(prefix)) {
+      return build(page, selector.slice(prefix.length));
+    }
+  }
+  return page.locator(selector);
+}
+
+function matches(actual, expected, exact) {
+  return exact ? actual === expected : String(actual ?? '').includes(expected);
+}
+
+/**
+ * Re-evaluates `check` until it reports a pass or the timeout runs out, so
+ * assertions tolerate content that React renders asynchronously. Resolves
+ * with the last check result.
+ */
+async function pollUntil(check, timeout) {
+  const deadline = Date.now() + timeout;
+  let outcome = await check();
+  while (!outcome.ok && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    outcome = await check();
+  }
+  return outcome;
+}
+
+const NETWORK_PROPERTIES = {
+  routes: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          description: 'URL glob (e.g. "**/api/users*") or regular expression written as "/pattern/flags"'
+        },
+        method: {
+          type: 'string',
+          description: 'Only intercept requests with this HTTP method'
+        },
+        action: {
+          type: 'string',
+          enum: ['fulfill', 'abort', 'continue'],
+          description: 'What to do with matching requests (defaults to fulfill when status, json or body is set, otherwise continue)'
+        },
+        status: {
+          type: 'number',
+          default: 200,
+          description: 'Status code for fulfilled requests'
+        },
+        json: {
+          description: 'JSON value to respond with'
+        },
+        body: {
+          type: 'string',
+          description: 'Raw response body'
+        },
+        contentType: {
+          type: 'string',
+          description: 'Content-Type of the response'
+        },
+        headers: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Response headers'
+        },
+        delay: {
+          type: 'number',
+          description: 'Delay in milliseconds before the request is handled'
+        },
+        errorCode: {
+          type: 'string',
+          default: 'failed',
+          description: 'Error code for aborted requests (e.g. "blockedbyclient", "timedout")'
+        }
+      },
+      required: ['url']
+    },
+    description: 'Intercept matching requests to stub, block or delay them; earlier routes take precedence'
+  },
+  captureNetwork: {
+    type: 'boolean',
+    default: false,
+    description: 'Return the requests made by the page with method, URL, status, timing and size'
+  }
+};
+
+const DIAGNOSTICS_PROPERTIES = {
+  captureConsole: {
+    type: 'boolean',
+    default: false,
+    description: 'Return the browser console messages logged by the page'
+  },
+  consoleLevels: {
+    type: 'array',
+    items: {
+      type: 'string',
+      enum: ['log', 'debug', 'info', 'warning', 'error', 'trace', 'assert']
+    },
+    description: 'Only capture console messages of these types (all types when omitted)'
+  },
+  captureErrors: {
+    type: 'boolean',
+    default: false,
+    description: 'Return uncaught page errors and requests that failed or returned an HTTP error status'
+  }
+};
+
+const RECORD_HAR_PROPERTY = {
+  type: 'string',
+  description: 'Record a HAR file of all network activity to this path, relative to the artifacts directory (not available with sessionId; set it in open_session instead)'
+};
+
+const SESSION_ID_PROPERTY = {
+  type: 'string',
+  description: 'ID of an open session to reuse instead of opening a new browser context (see open_session)'
+};
+
+const EXTRACT_PROPERTY = {
+  type: 'object',
+  additionalProperties: {
+    anyOf: [
+      { type: 'string' },
+      {
+        type: 'object',
+        properties: {
+          selector: { type: 'string' },
+          attribute: { type: 'string' },
+          type: { type: 'string', enum: ['text', 'number', 'boolean', 'html', 'table'] },
+          all: { type: 'boolean' },
+          fields: { type: 'object' }
+        }
+      }
+    ]
+  },
+  description: 'Map of field names to what to extract. A string is a CSS selector with an optional ' +
+    '"@attribute" suffix (e.g. "h1", "a@href", "@href" for the current element). An object takes ' +
+    'selector, attribute, type (text, number, boolean, html or table), all (return every match) ' +
+    'and fields (extract a list of records, one per match, with fields relative to it), e.g. ' +
+    '{ "items": { "selector": ".card", "fields": { "title": "h2", "href": "a@href" } } }'
+};
+
+const CONTEXT_PROPERTY = {
+  type: 'object',
+  properties: {
+    device: {
+      type: 'string',
+      description: 'Playwright device preset to emulate, e.g. "iPhone 13", "Pixel 7" or "Desktop Safari"'
+    },
+    viewport: {
+      type: 'object',
+      properties: {
+        width: { type: 'number' },
+        height: { type: 'number' }
+      },
+      required: ['width', 'height']
+    },
+    userAgent: { type: 'string' },
+    locale: { type: 'string', description: 'e.g. "de-DE"' },
+    timezone: { type: 'string', description: 'IANA time zone, e.g. "Europe/Berlin"' },
+    colorScheme: { type: 'string', enum: ['light', 'dark', 'no-preference'] },
+    geolocation: {
+      type: 'object',
+      properties: {
+        latitude: { type: 'number' },
+        longitude: { type: 'number' },
+        accuracy: { type: 'number' }
+      },
+      required: ['latitude', 'longitude'],
+      description: 'Position reported to the page; the geolocation permission is granted automatically'
+    },
+    headers: {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+      description: 'Extra HTTP headers sent with every request'
+    },
+    httpCredentials: {
+      type: 'object',
+      properties: {
+        username: { type: 'string' },
+        password: { type: 'string' }
+      },
+      required: ['username', 'password'],
+      description: 'Credentials for HTTP basic authentication'
+    },
+    cookies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          value: { type: 'string' },
+          url: { type: 'string' },
+          domain: { type: 'string' },
+          path: { type: 'string' },
+          expires: { type: 'number' },
+          httpOnly: { type: 'boolean' },
+          secure: { type: 'boolean' },
+          sameSite: { type: 'string', enum: ['Strict', 'Lax', 'None'] }
+        },
+        required: ['name', 'value']
+      },
+      description: 'Cookies to set before loading the page (set for the page URL unless url or domain is given)'
+    },
+    ignoreHTTPSErrors: { type: 'boolean', description: 'Accept invalid or self-signed certificates' },
+    javaScriptEnabled: { type: 'boolean' },
+    waitUntil: {
+      type: 'string',
+      enum: ['load', 'domcontentloaded', 'networkidle', 'commit'],
+      default: 'networkidle',
+      description: 'When a navigation counts as finished. Use "load" or "domcontentloaded" for pages that poll or stream'
+    },
+    navigationTimeout: {
+      type: 'number',
+      description: 'Navigation timeout in milliseconds (defaults to the server\'s navigationTimeout setting, 30000 ' +
+        'unless configured)'
+    }
+  },
+  description: 'Browser context options: device emulation, viewport, locale, timezone, color scheme, geolocation, ' +
+    'headers, basic auth and cookies, plus the navigation waitUntil and timeout. With sessionId only waitUntil and ' +
+    'navigationTimeout may be given'
+};
 
 class WebScraperServer {
   constructor() {
+    this.config = loadConfig(CONFIG_SPEC, { parseYaml });
+    const { settings } = this.config;
+
+    // Requests outside the allowed domains are blocked
+    this.urlAllowed = urlPolicy(settings.allowedDomains);
+
+    // page.goto() options for calls that do not set their own
+    this.navigation = { timeout: settings.navigationTimeout };
+
     this.server = new Server(
       {
         name: 'web-scraper',
@@ -19,18 +598,53 @@ class WebScraperServer {
       }
     );
 
+    // Named browser sessions that survive between tool calls
+    this.sessions = new Map();
+    this.sessionSweeper = setInterval(() => this.expireIdleSessions(), SESSION_SWEEP_INTERVAL);
+    this.sessionSweeper.unref();
+
+    // Screenshots written to disk, pruned by age and count
+    this.artifacts = {
+      dir: settings.artifactsDir,
+      maxAge: settings.artifactMaxAge,
+      maxFiles: settings.artifactMaxFiles
+    };
+    pruneArtifacts(this.artifacts).catch(error => console.error('Failed to prune artifacts:', error.message));
+
+    // Warm browsers shared by all tool calls, each call in its own context.
+    // Service workers would fetch past the routes that enforce allowedDomains.
+    const restricted = settings.allowedDomains.length > 0;
+    this.pool = new BrowserPool({
+      launchers: { chromium, firefox, webkit },
+      maxContexts: settings.maxContexts,
+      contextOverrides: restricted ? { serviceWorkers: 'block' } : {},
+      prepareContext: restricted ? context => blockOutsideDomains(context, this.urlAllowed) : undefined
+    });
+
+    // Per-tool default and maximum run time of a call
+    this.timeouts = this.config.timeouts;
+
+    // Every tool call is logged; later calls refer to sessions by ID
+    this.audit = new AuditLog({
+      server: 'web-scraper',
+      settings,
+      artifacts: savedFiles,
+      ids: (tool, data) => (tool === 'open_session' && data.sessionId ? { sessionId: data.sessionId } : {})
+    });
+
     this.setupToolHandlers();
     
     // Error handling
     this.server.onerror = (error) => console.error('[MCP Error]', error);
-    process.on('SIGINT', async () => {
-      await this.server.close();
-      process.exit(0);
-    });
+    process.on('SIGINT', () => this.shutdown());
+    process.on('SIGTERM', () => this.shutdown());
   }
 
   setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    const { settings } = this.config;
+
+    // Every tool of the server; the config decides which are offered
+    const listAllTools = () => ({
       tools: [
         {
           name: 'scrape_page',
@@ -40,8 +654,14 @@ class WebScraperServer {
             properties: {
               url: {
                 type: 'string',
-                description: 'URL to scrape'
+                description: 'URL to scrape (optional when sessionId is given)'
               },
+              sessionId: SESSION_ID_PROPERTY,
+              context: CONTEXT_PROPERTY,
+              toolTimeout: this.toolTimeoutProperty('scrape_page'),
+              ...NETWORK_PROPERTIES,
+              ...DIAGNOSTICS_PROPERTIES,
+              recordHar: RECORD_HAR_PROPERTY,
               selector: {
                 type: 'string',
                 description: 'CSS selector to target specific elements (optional)'
@@ -49,7 +669,7 @@ class WebScraperServer {
               browser: {
                 type: 'string',
                 enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
+                default: settings.browser,
                 description: 'Browser engine to use'
               },
               waitFor: {
@@ -57,12 +677,23 @@ class WebScraperServer {
                 description: 'Wait for specific selector or timeout in ms (e.g., "2000" or "#my-element")'
               },
               screenshot: {
+                anyOf: [{ type: 'boolean' }, SCREENSHOT_OPTIONS_SCHEMA],
+                default: false,
+                description: 'Take a screenshot of the page: true for a full-page PNG returned as an image, or ' +
+                  'an object with selector, clip, type, quality, maxBytes and output'
+              },
+              extract: EXTRACT_PROPERTY,
+              tables: {
+                type: 'boolean',
+                default: false,
+                description: 'Convert every table (or every table inside or matching selector) to JSON rows'
+              },
+              markdown: {
                 type: 'boolean',
                 default: false,
-                description: 'Take a screenshot of the page'
+                description: 'Return the main content (or the element matching selector) as Markdown'
               }
-            },
-            required: ['url']
+            }
           }
         },
         {
@@ -73,43 +704,24 @@ class WebScraperServer {
             properties: {
               url: {
                 type: 'string',
-                description: 'URL of the React app (e.g., http://localhost:3000)'
-              },
-              actions: {
-                type: 'array',
-                items: {
-                  type: 'object',
-                  properties: {
-                    type: {
-                      type: 'string',
-                      enum: ['click', 'fill', 'wait', 'screenshot', 'getText', 'getAttribute']
-                    },
-                    selector: {
-                      type: 'string',
-                      description: 'CSS selector for the element'
-                    },
-                    value: {
-                      type: 'string',
-                      description: 'Value for fill actions or attribute name for getAttribute'
-                    },
-                    timeout: {
-                      type: 'number',
-                      default: 5000,
-                      description: 'Timeout in milliseconds'
-                    }
-                  },
-                  required: ['type']
-                },
-                description: 'Array of actions to perform on the page'
+                description: 'URL of the React app (e.g., http://localhost:3000, optional when sessionId is given)'
               },
+              sessionId: SESSION_ID_PROPERTY,
+              context: CONTEXT_PROPERTY,
+              toolTimeout: this.toolTimeoutProperty('test_react_app'),
+              ...NETWORK_PROPERTIES,
+              ...DIAGNOSTICS_PROPERTIES,
+              recordHar: RECORD_HAR_PROPERTY,
+              actions: ACTIONS_SCHEMA,
+              ...RUN_OPTIONS_PROPERTIES,
               browser: {
                 type: 'string',
                 enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
+                default: settings.browser,
                 description: 'Browser engine to use'
               }
             },
-            required: ['url', 'actions']
+            required: ['actions']
           }
         },
         {
@@ -120,21 +732,26 @@ class WebScraperServer {
             properties: {
               url: {
                 type: 'string',
-                description: 'URL to analyze'
+                description: 'URL to analyze (optional when sessionId is given)'
               },
+              sessionId: SESSION_ID_PROPERTY,
+              context: CONTEXT_PROPERTY,
+              toolTimeout: this.toolTimeoutProperty('get_page_info'),
+              ...NETWORK_PROPERTIES,
+              ...DIAGNOSTICS_PROPERTIES,
+              recordHar: RECORD_HAR_PROPERTY,
               browser: {
                 type: 'string',
                 enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
+                default: settings.browser,
                 description: 'Browser engine to use'
               },
               includePerformance: {
                 type: 'boolean',
                 default: false,
-                description: 'Include performance metrics'
+                description: 'Include basic timing metrics (use measure_performance for Core Web Vitals)'
               }
-            },
-            required: ['url']
+            }
           }
         },
         {
@@ -145,197 +762,1014 @@ class WebScraperServer {
             properties: {
               url: {
                 type: 'string',
-                description: 'URL to monitor'
+                description: 'URL to monitor (optional when sessionId is given)'
               },
+              sessionId: SESSION_ID_PROPERTY,
+              context: CONTEXT_PROPERTY,
+              toolTimeout: this.toolTimeoutProperty('wait_for_element'),
+              ...NETWORK_PROPERTIES,
+              ...DIAGNOSTICS_PROPERTIES,
+              recordHar: RECORD_HAR_PROPERTY,
               selector: {
                 type: 'string',
                 description: 'CSS selector to wait for'
               },
               timeout: {
                 type: 'number',
-                default: 10000,
+                default: settings.selectorTimeout,
                 description: 'Maximum time to wait in milliseconds'
               },
               browser: {
                 type: 'string',
                 enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
+                default: settings.browser,
+                description: 'Browser engine to use'
+              }
+            },
+            required: ['selector']
+          }
+        },
+        {
+          name: 'audit_accessibility',
+          description: 'Audit a web page for accessibility problems with axe-core and dump its accessibility tree',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL to audit (optional when sessionId is given)'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              context: CONTEXT_PROPERTY,
+              toolTimeout: this.toolTimeoutProperty('audit_accessibility'),
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: settings.browser,
+                description: 'Browser engine to use'
+              },
+              waitFor: {
+                type: 'string',
+                description: 'Wait for specific selector or timeout in ms (e.g., "2000" or "#my-element")'
+              },
+              selector: {
+                type: 'string',
+                description: 'Only audit the elements matching this CSS selector'
+              },
+              tags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Only run rules with these axe tags (e.g. ["wcag2a", "wcag2aa", "best-practice"])'
+              },
+              includeTree: {
+                type: 'boolean',
+                default: true,
+                description: 'Include the accessibility tree snapshot'
+              }
+            }
+          }
+        },
+        {
+          name: 'visual_compare',
+          description: 'Compare a screenshot of a page or element against a stored baseline and report the pixel mismatch',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Baseline name, e.g. "home" or "checkout/summary"'
+              },
+              url: {
+                type: 'string',
+                description: 'URL to capture (optional when sessionId is given)'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              context: CONTEXT_PROPERTY,
+              toolTimeout: this.toolTimeoutProperty('visual_compare'),
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: settings.browser,
+                description: 'Browser engine to use'
+              },
+              waitFor: {
+                type: 'string',
+                description: 'Wait for specific selector or timeout in ms (e.g., "2000" or "#my-element")'
+              },
+              selector: {
+                type: 'string',
+                description: 'Capture only the first element matching this selector instead of the page'
+              },
+              fullPage: {
+                type: 'boolean',
+                default: true,
+                description: 'Capture the full scrollable page rather than the viewport (page captures only)'
+              },
+              viewport: {
+                type: 'object',
+                properties: {
+                  width: { type: 'number' },
+                  height: { type: 'number' }
+                },
+                required: ['width', 'height'],
+                description: 'Viewport size to capture at'
+              },
+              threshold: {
+                type: 'number',
+                default: 0.1,
+                description: 'Per-pixel colour difference tolerated before a pixel counts as changed (0 to 1)'
+              },
+              maxDiffPercent: {
+                type: 'number',
+                default: 0,
+                description: 'Percentage of changed pixels allowed before the comparison fails'
+              },
+              updateBaseline: {
+                type: 'boolean',
+                default: false,
+                description: 'Replace the stored baseline with the new screenshot instead of comparing'
+              }
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'measure_performance',
+          description: 'Measure Core Web Vitals (LCP, CLS, INP, TBT, TTFB), resource sizes, the largest JavaScript ' +
+            'bundles and long tasks of a page over repeated runs, with optional throttling and budgets (Chromium only)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL to measure'
+              },
+              context: CONTEXT_PROPERTY,
+              toolTimeout: this.toolTimeoutProperty('measure_performance'),
+              runs: {
+                type: 'number',
+                default: 3,
+                description: `Number of cold-cache page loads; metrics are the median across runs (at most ${MAX_RUNS})`
+              },
+              network: {
+                anyOf: [
+                  { type: 'string', enum: ['none', ...Object.keys(NETWORK_PROFILES)] },
+                  {
+                    type: 'object',
+                    properties: {
+                      latency: { type: 'number', description: 'Added round-trip latency in milliseconds' },
+                      downloadKbps: { type: 'number' },
+                      uploadKbps: { type: 'number' }
+                    }
+                  }
+                ],
+                default: 'none',
+                description: 'Network throttling profile, or custom latency and throughput'
+              },
+              cpuSlowdown: {
+                type: 'number',
+                default: 1,
+                description: 'CPU slowdown multiplier, e.g. 4 to approximate a mid-range phone'
+              },
+              actions: {
+                ...ACTIONS_SCHEMA,
+                description: 'Interactions to perform after each load, needed to measure INP (same action types as test_react_app)'
+              },
+              budgets: {
+                type: 'object',
+                additionalProperties: { type: 'number' },
+                description: `Upper limits that fail the measurement when exceeded. Keys: ${BUDGET_NAMES.join(', ')}. ` +
+                  'Times in milliseconds, sizes in bytes, e.g. { "lcp": 2500, "cls": 0.1, "scriptBytes": 300000 }'
+              }
+            },
+            required: ['url']
+          }
+        },
+        {
+          name: 'crawl_site',
+          description: 'Crawl a site from a start URL, following links within a scope, and report each page\'s ' +
+            'title, status, meta description, extracted fields and broken links',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL to start crawling from'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: settings.browser,
                 description: 'Browser engine to use'
+              },
+              maxDepth: {
+                type: 'number',
+                default: 2,
+                description: 'How many links deep to follow from the start URL (0 crawls only the start URL)'
+              },
+              maxPages: {
+                type: 'number',
+                default: 50,
+                description: 'Maximum number of pages to crawl'
+              },
+              include: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'URL globs defining the crawl scope (defaults to the start URL\'s origin). ' +
+                  '"*" matches within a path segment and "**" across segments, e.g. "https://example.com/docs/**"'
+              },
+              exclude: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'URL globs to leave out of the crawl, e.g. "**/logout"'
+              },
+              respectRobots: {
+                type: 'boolean',
+                default: true,
+                description: 'Skip URLs disallowed by robots.txt and honour its Crawl-delay'
+              },
+              concurrency: {
+                type: 'number',
+                default: 2,
+                description: 'Number of pages loaded in parallel'
+              },
+              delay: {
+                type: 'number',
+                default: 250,
+                description: 'Minimum milliseconds between starting two requests'
+              },
+              context: CONTEXT_PROPERTY,
+              toolTimeout: this.toolTimeoutProperty('crawl_site'),
+              extract: EXTRACT_PROPERTY,
+              includeText: {
+                type: 'boolean',
+                default: false,
+                description: 'Include the first 1000 characters of each page\'s text'
+              },
+              checkExternalLinks: {
+                type: 'boolean',
+                default: false,
+                description: 'Also request links outside the crawl scope to find broken ones'
+              }
+            },
+            required: ['url']
+          }
+        },
+        {
+          name: 'open_session',
+          description: 'Open a persistent browser session that keeps its page, cookies and storage between tool calls',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              sessionId: {
+                type: 'string',
+                description: 'Name for the session (generated when omitted)'
+              },
+              url: {
+                type: 'string',
+                description: 'URL to open once the session starts (optional)'
+              },
+              context: CONTEXT_PROPERTY,
+              toolTimeout: this.toolTimeoutProperty('open_session'),
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: settings.browser,
+                description: 'Browser engine to use'
+              },
+              idleTimeout: {
+                type: 'number',
+                default: settings.sessionIdleTimeout,
+                description: 'Close the session automatically after this many milliseconds without use'
+              },
+              recordHar: {
+                type: 'string',
+                description: 'Record a HAR file of the whole session to this path, relative to the artifacts directory; it is written when the session closes'
+              }
+            }
+          }
+        },
+        {
+          name: 'session_action',
+          description: 'Perform actions on the page of an open session (same action types as test_react_app)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              sessionId: {
+                type: 'string',
+                description: 'ID of the session to act on'
+              },
+              url: {
+                type: 'string',
+                description: 'Navigate to this URL before performing the actions (optional)'
+              },
+              context: CONTEXT_PROPERTY,
+              toolTimeout: this.toolTimeoutProperty('session_action'),
+              actions: ACTIONS_SCHEMA,
+              ...RUN_OPTIONS_PROPERTIES,
+              ...NETWORK_PROPERTIES,
+              ...DIAGNOSTICS_PROPERTIES
+            },
+            required: ['sessionId', 'actions']
+          }
+        },
+        {
+          name: 'list_sessions',
+          description: 'List open browser sessions',
+          inputSchema: {
+            type: 'object',
+            properties: {}
+          }
+        },
+        {
+          name: 'close_session',
+          description: 'Close a browser session and its browser context',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              sessionId: {
+                type: 'string',
+                description: 'ID of the session to close'
+              }
+            },
+            required: ['sessionId']
+          }
+        },
+        {
+          name: 'replay_calls',
+          description: 'Re-execute tool calls recorded in the audit log, in order, and report whether each has the ' +
+            'recorded outcome. Calls with redacted arguments are skipped; session IDs of the recorded run are ' +
+            'mapped to the new ones',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              log: {
+                type: 'string',
+                default: this.audit.file,
+                description: 'Audit log to replay, in the directory of the configured audit log ' +
+                  '(relative paths are resolved there)'
+              },
+              ids: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Replay only the calls with these IDs'
+              },
+              tools: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Replay only calls of these tools'
+              },
+              since: {
+                type: 'string',
+                description: 'Replay only calls made at or after this time (ISO 8601)'
+              },
+              until: {
+                type: 'string',
+                description: 'Replay only calls made at or before this time (ISO 8601)'
+              },
+              last: {
+                type: 'number',
+                description: 'Replay only the last this many of the selected calls'
+              },
+              stopOnFailure: {
+                type: 'boolean',
+                default: false,
+                description: 'Skip the remaining calls once one does not have its recorded outcome'
+              }
+            }
+          }
+        }
+      ]
+    });
+    this.toolEnabled = toolFilter(this.config, listAllTools().tools.map(tool => tool.name));
+
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: listAllTools().tools.filter(tool => this.toolEnabled(tool.name))
+    }));
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args = {} } = request.params;
+      const { result } = await this.audit.record(name, args, () => this.invokeTool(name, args, extra));
+      return result;
+    });
+  }
+
+  /**
+   * Runs a tool call under its timeout, turning any error into an error
+   * result.
+   */
+  async invokeTool(name, args, extra) {
+    try {
+      if (!this.toolEnabled(name)) {
+        throw new Error(`Tool ${name} is disabled in the server configuration`);
+      }
+      const limits = this.timeouts[name];
+      if (!limits) {
+        return await this.callTool(name, args, { signal: extra?.signal, progress: progressReporter(extra) });
+      }
+      // The call's page is closed when the client cancels or the timeout
+      // passes, and the result is returned without waiting for the tool
+      const timeout = Math.min(args.toolTimeout ?? limits.default, limits.max);
+      const call = { signal: callSignal(extra, timeout), progress: progressReporter(extra) };
+      return await untilAborted(call.signal, this.callTool(name, args, call), { tool: name, timeout });
+    } catch (error) {
+      return toolResult(`Error: ${error.message}`, { error: error.message }, true);
+    }
+  }
+
+  async callTool(name, args, call = { progress: () => {} }) {
+    switch (name) {
+      case 'scrape_page':
+        return await this.scrapePage(args, call);
+      case 'test_react_app':
+        return await this.testReactApp(args, call);
+      case 'get_page_info':
+        return await this.getPageInfo(args, call);
+      case 'wait_for_element':
+        return await this.waitForElement(args, call);
+      case 'audit_accessibility':
+        return await this.auditAccessibility(args, call);
+      case 'visual_compare':
+        return await this.visualCompare(args, call);
+      case 'measure_performance':
+        return await this.measurePerformance(args, call);
+      case 'crawl_site':
+        return await this.crawlSite(args, call);
+      case 'open_session':
+        return await this.openSession(args, call);
+      case 'session_action':
+        return await this.sessionAction(args, call);
+      case 'list_sessions':
+        return await this.listSessions();
+      case 'close_session':
+        return await this.closeSession(args);
+      case 'replay_calls':
+        return await this.replayCalls(args, call);
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  toolTimeoutProperty(tool) {
+    const { default: defaultTimeout, max } = this.timeouts[tool];
+    return {
+      type: 'number',
+      default: defaultTimeout,
+      description: `Milliseconds after which the call is aborted and its page closed (at most ${max})`
+    };
+  }
+
+  /**
+   * Returns a page for a tool call: the page of an existing session when
+   * `sessionId` is given, otherwise a fresh page in a new pooled context. Request
+   * routes and the requested recorders are set up before any navigation.
+   * `navigation` holds the page.goto() options for the call's `context`.
+   * Callers must invoke `release()` when done; for sessions it only removes
+   * the routes and listeners again. A new context is closed as soon as the
+   * call's `signal` aborts.
+   */
+  async acquirePage(args, { signal } = {}) {
+    const { url, sessionId, browser: browserType = this.config.settings.browser, recordHar, context: emulation } = args;
+    if (url) {
+      assertUrlAllowed(this.urlAllowed, url);
+    }
+    let page;
+    let close;
+    let har;
+    let navigation;
+
+    if (sessionId) {
+      if (recordHar) {
+        throw new Error('recordHar cannot be used with sessionId; pass it to open_session instead');
+      }
+      assertNavigationOnly(emulation);
+      const session = this.getSession(sessionId);
+      page = session.page;
+      navigation = navigationOptions(emulation, session.navigation);
+      close = async () => this.touchSession(session);
+    } else {
+      if (!url) {
+        throw new Error('Either url or sessionId is required');
+      }
+      const harOptions = await harContextOptions(this.artifacts, recordHar);
+      const { context, release } = await this.pool.acquire(browserType, {
+        ...contextOptions(emulation),
+        ...harOptions
+      }, { signal });
+      const detach = closeOnAbort(signal, release);
+      navigation = navigationOptions(emulation, this.navigation);
+      try {
+        await applyContextSettings(context, emulation, url);
+        page = await context.newPage();
+      } catch (error) {
+        detach();
+        await release();
+        throw error;
+      }
+      har = harOptions.recordHar?.path;
+      // Closing the context flushes the HAR file
+      close = async () => {
+        detach();
+        await release();
+      };
+    }
+
+    const { captures, release } = await this.instrumentPage(page, args, close);
+    captures.har = har;
+    return { page, captures, release, navigation };
+  }
+
+  /**
+   * Installs the routes and recorders requested by a tool call on a page.
+   * `release()` removes them again before running `close`.
+   */
+  async instrumentPage(page, args, close = async () => {}) {
+    const { routes, captureNetwork, captureConsole, consoleLevels, captureErrors } = args;
+    let uninstallRoutes;
+    try {
+      uninstallRoutes = await installRoutes(page, routes, { isAllowed: this.urlAllowed });
+    } catch (error) {
+      await close();
+      throw error;
+    }
+    const network = captureNetwork ? recordNetwork(page) : null;
+    const diagnostics = recordDiagnostics(page, {
+      console: captureConsole,
+      levels: consoleLevels,
+      errors: captureErrors
+    });
+
+    return {
+      captures: { network, diagnostics },
+      release: async () => {
+        network?.stop();
+        diagnostics.stop();
+        await uninstallRoutes();
+        await close();
+      }
+    };
+  }
+
+  /**
+   * Performs the actions in order and returns one step record per action.
+   * A failing action is recorded and the run continues with the next one,
+   * unless `stopOnFailure` is set, in which case the rest are skipped.
+   * Inline screenshots are pushed to `images` as MCP image content.
+   * `onStep` is called with each step as it completes; no further actions
+   * are started once `signal` aborts.
+   */
+  async runActions(page, actions, {
+    stopOnFailure = false,
+    navigation = navigationOptions({}, this.navigation),
+    images = [],
+    signal,
+    onStep = () => {}
+  } = {}) {
+    const steps = [];
+    let failed = false;
+
+    // Responses are recorded so waitForResponse also sees a response that
+    // arrived while the previous action (e.g. a click) was still running
+    const responses = [];
+    const onResponse = (response) => responses.push(response);
+    page.on('response', onResponse);
+
+    try {
+      for (const action of actions) {
+        if (signal?.aborted) {
+          break;
+        }
+        const { type, selector, value, attribute, count, exact = false } = action;
+        const timeout = action.timeout ?? (NAVIGATION_ACTIONS.includes(type) ? navigation.timeout : 5000);
+        const name = action.name ?? [type, selector ?? action.url].filter(Boolean).join(' ');
+        const step = { type, name, selector, passed: true };
+        const startTime = Date.now();
+        const responsesBefore = steps.length > 0 ? steps[steps.length - 1].responseIndex : 0;
+        step.responseIndex = responses.length;
+
+        if (failed && stopOnFailure) {
+          steps.push({ ...step, passed: false, skipped: true, message: `Skipped ${name}`, durationMs: 0 });
+          onStep(steps[steps.length - 1], steps.length);
+          continue;
+        }
+        
+        try {
+          switch (type) {
+            case 'click':
+              await locate(page, selector).first().click({ timeout });
+              step.message = `Clicked: ${selector}`;
+              break;
+              
+            case 'fill':
+              await locate(page, selector).first().fill(value, { timeout });
+              step.message = `Filled "${value}" into: ${selector}`;
+              break;
+              
+            case 'wait':
+              await locate(page, selector).first().waitFor({ timeout });
+              step.message = `Waited for: ${selector}`;
+              break;
+              
+            case 'screenshot': {
+              const { info, image } = await this.takeScreenshot(
+                page, { selector, ...action.screenshot }, action.name ?? 'action'
+              );
+              if (image) {
+                images.push(image);
+              }
+              step.result = info;
+              step.message = describeScreenshot(info);
+              break;
+            }
+
+            case 'getText':
+              const text = await locate(page, selector).first().textContent({ timeout });
+              step.result = text;
+              step.message = `Text from ${selector}: "${text}"`;
+              break;
+              
+            case 'getAttribute':
+              const attr = await locate(page, selector).first().getAttribute(value, { timeout });
+              step.result = attr;
+              step.message = `Attribute "${value}" from ${selector}: "${attr}"`;
+              break;
+
+            case 'press':
+              if (selector) {
+                await locate(page, selector).first().press(value, { timeout });
+              } else {
+                await page.keyboard.press(value);
               }
-            },
-            required: ['url', 'selector']
-          }
-        }
-      ]
-    }));
+              step.message = `Pressed ${value}${selector ? ` in: ${selector}` : ''}`;
+              break;
+
+            case 'hover':
+              await locate(page, selector).first().hover({ timeout });
+              step.message = `Hovered: ${selector}`;
+              break;
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+            case 'selectOption': {
+              const selected = await locate(page, selector).first().selectOption(action.values ?? value, { timeout });
+              step.result = selected;
+              step.message = `Selected ${JSON.stringify(selected)} in: ${selector}`;
+              break;
+            }
 
-      try {
-        switch (name) {
-          case 'scrape_page':
-            return await this.scrapePage(args);
-          case 'test_react_app':
-            return await this.testReactApp(args);
-          case 'get_page_info':
-            return await this.getPageInfo(args);
-          case 'wait_for_element':
-            return await this.waitForElement(args);
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: ${error.message}`
+            case 'check':
+              await locate(page, selector).first().check({ timeout });
+              step.message = `Checked: ${selector}`;
+              break;
+
+            case 'uncheck':
+              await locate(page, selector).first().uncheck({ timeout });
+              step.message = `Unchecked: ${selector}`;
+              break;
+
+            case 'uploadFile': {
+              const files = action.files ?? [value];
+              const uploadDir = this.config.settings.uploadDir ?? this.artifacts.dir;
+              const paths = [];
+              for (const file of files) {
+                paths.push(await fileInside(uploadDir, file, 'the upload directory'));
+              }
+              await locate(page, selector).first().setInputFiles(paths, { timeout });
+              step.message = `Uploaded ${files.join(', ')} to: ${selector}`;
+              break;
+            }
+
+            case 'scroll':
+              if (selector) {
+                await locate(page, selector).first().scrollIntoViewIfNeeded({ timeout });
+                step.message = `Scrolled into view: ${selector}`;
+              } else if (value === 'top' || value === 'bottom') {
+                await page.evaluate((edge) => window.scrollTo(0, edge === 'top' ? 0 : document.body.scrollHeight), value);
+                step.message = `Scrolled to ${value}`;
+              } else {
+                await page.mouse.wheel(action.x ?? 0, action.y ?? 0);
+                step.message = `Scrolled by (${action.x ?? 0}, ${action.y ?? 0})`;
+              }
+              break;
+
+            case 'goto': {
+              const target = action.url ?? value;
+              assertUrlAllowed(this.urlAllowed, target);
+              const response = await page.goto(target, { waitUntil: navigation.waitUntil, timeout });
+              step.result = { url: page.url(), status: response?.status() ?? null };
+              step.message = `Navigated to ${target}`;
+              break;
+            }
+
+            case 'goBack': {
+              const response = await page.goBack({ timeout });
+              if (!response) {
+                throw new Error('No previous page in history');
+              }
+              step.result = page.url();
+              step.message = `Went back to ${page.url()}`;
+              break;
+            }
+
+            case 'evaluate': {
+              const evaluated = await page.evaluate(value);
+              step.result = evaluated;
+              step.message = `Evaluated ${value}: ${JSON.stringify(evaluated)}`;
+              break;
+            }
+
+            case 'waitForNavigation':
+              if (value) {
+                await page.waitForURL(value, { timeout });
+              } else {
+                await page.waitForLoadState('load', { timeout });
+              }
+              step.result = page.url();
+              step.message = `Navigation finished: ${page.url()}`;
+              break;
+
+            case 'waitForResponse': {
+              const matchesUrl = (response) => response.url().includes(value);
+              const response = responses.slice(responsesBefore).find(matchesUrl) ??
+                await page.waitForResponse(matchesUrl, { timeout });
+              step.result = { url: response.url(), status: response.status() };
+              step.message = `Response ${response.status()} from ${response.url()}`;
+              break;
+            }
+
+            case 'assertText': {
+              const outcome = await pollUntil(async () => {
+                const actual = await locate(page, selector).first().textContent({ timeout });
+                return { ok: matches(actual?.trim(), value, exact), actual };
+              }, timeout);
+              this.recordAssertion(step, outcome, value,
+                `Text of ${selector} ${exact ? 'equals' : 'contains'} "${value}"`);
+              break;
+            }
+
+            case 'assertVisible':
+              await locate(page, selector).first().waitFor({ state: 'visible', timeout });
+              step.message = `Visible: ${selector}`;
+              break;
+
+            case 'assertHidden':
+              await locate(page, selector).first().waitFor({ state: 'hidden', timeout });
+              step.message = `Hidden: ${selector}`;
+              break;
+
+            case 'assertUrl': {
+              const outcome = await pollUntil(async () => {
+                const actual = page.url();
+                return { ok: matches(actual, value, exact), actual };
+              }, timeout);
+              this.recordAssertion(step, outcome, value,
+                `URL ${exact ? 'equals' : 'contains'} "${value}"`);
+              break;
+            }
+
+            case 'assertCount': {
+              const outcome = await pollUntil(async () => {
+                const actual = await locate(page, selector).count();
+                return { ok: actual === count, actual };
+              }, timeout);
+              this.recordAssertion(step, outcome, count, `${selector} matches ${count} element(s)`);
+              break;
             }
-          ],
-          isError: true
-        };
+
+            case 'assertAttribute': {
+              const outcome = await pollUntil(async () => {
+                const actual = await locate(page, selector).first().getAttribute(attribute, { timeout });
+                return { ok: actual !== null && matches(actual, value, exact), actual };
+              }, timeout);
+              this.recordAssertion(step, outcome, value,
+                `Attribute "${attribute}" of ${selector} ${exact ? 'equals' : 'contains'} "${value}"`);
+              break;
+            }
+              
+            default:
+              step.passed = false;
+              step.error = `Unknown action type: ${type}`;
+              step.message = step.error;
+          }
+        } catch (actionError) {
+          step.passed = false;
+          step.error = actionError.message;
+          step.message = `Failed ${type} on ${selector ?? action.url ?? value}: ${actionError.message}`;
+        }
+
+        step.durationMs = Date.now() - startTime;
+        steps.push(step);
+        onStep(step, steps.length);
+        failed = failed || !step.passed;
       }
-    });
+    } finally {
+      page.off('response', onResponse);
+    }
+
+    return steps.map(({ responseIndex, ...step }) => step);
+  }
+
+  recordAssertion(step, outcome, expected, description) {
+    step.expected = expected;
+    step.actual = outcome.actual;
+    if (outcome.ok) {
+      step.message = description;
+    } else {
+      step.passed = false;
+      step.error = `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(outcome.actual)}`;
+      step.message = `Assertion failed: ${description} (${step.error})`;
+    }
+  }
+
+  /**
+   * Summarizes an action run and writes the optional report file.
+   */
+  async completeRun(suiteName, steps, startTime, report) {
+    const summary = summarizeSteps(steps, Date.now() - startTime);
+    const run = { passed: summary.failed === 0, summary };
+
+    if (report) {
+      const name = report.name ?? suiteName;
+      const contents = report.format === 'junit'
+        ? formatJUnitReport(name, steps, summary)
+        : formatTapReport(name, steps);
+      const reportPath = await artifactPath(this.artifacts, report.path);
+      await fs.writeFile(reportPath, contents);
+      run.report = reportPath;
+    }
+
+    return run;
+  }
+
+  /**
+   * Captures a screenshot for a tool result. `output` chooses between an
+   * inline image block, a file in the artifacts directory, or both; images
+   * too large to inline are saved to a file instead.
+   */
+  async takeScreenshot(page, options = {}, prefix = 'screenshot') {
+    const { selector, output = 'inline', ...captureOptions } = options;
+    const target = selector ? locate(page, selector).first() : page;
+    const shot = await captureScreenshot(target, { ...captureOptions, isPage: !selector });
+
+    const info = {
+      selector: selector ?? null,
+      mimeType: shot.mimeType,
+      bytes: shot.bytes,
+      quality: shot.quality,
+      inline: false,
+      tooLarge: shot.tooLarge,
+      path: null
+    };
+    let image = null;
+    if (output !== 'file' && !shot.tooLarge) {
+      image = { type: 'image', data: shot.buffer.toString('base64'), mimeType: shot.mimeType };
+      info.inline = true;
+    }
+    if (output !== 'inline' || !info.inline) {
+      info.path = await saveArtifact(this.artifacts, prefix, shot.type === 'jpeg' ? 'jpg' : 'png', shot.buffer);
+    }
+    return { info, image };
+  }
+
+  async navigationStep(page, url, navigation) {
+    const startTime = Date.now();
+    await page.goto(url, navigation);
+    return {
+      type: 'goto',
+      name: `goto ${url}`,
+      url,
+      passed: true,
+      message: `Navigated to ${url}`,
+      durationMs: Date.now() - startTime
+    };
   }
 
-  async getBrowser(browserType = 'chromium') {
-    const browsers = { chromium, firefox, webkit };
-    return await browsers[browserType].launch({ headless: true });
+  /**
+   * Waits for a `waitFor` condition: a number of milliseconds or a selector.
+   */
+  async waitForCondition(page, waitFor) {
+    if (!waitFor) {
+      return;
+    }
+    if (waitFor.match(/^\d+$/)) {
+      await page.waitForTimeout(parseInt(waitFor));
+    } else {
+      await page.waitForSelector(waitFor, { timeout: this.config.settings.selectorTimeout });
+    }
   }
 
-  async scrapePage(args) {
-    const { url, selector, browser: browserType = 'chromium', waitFor, screenshot } = args;
+  async scrapePage(args, call) {
+    const { url, selector, waitFor, screenshot, extract, tables, markdown } = args;
     
-    const browser = await this.getBrowser(browserType);
-    const page = await browser.newPage();
+    const { page, captures, release, navigation } = await this.acquirePage(args, call);
     
     try {
-      await page.goto(url, { waitUntil: 'networkidle' });
+      if (url) {
+        await page.goto(url, navigation);
+      }
       
-      // Wait for specific condition if provided
-      if (waitFor) {
-        if (waitFor.match(/^\d+$/)) {
-          await page.waitForTimeout(parseInt(waitFor));
+      await this.waitForCondition(page, waitFor);
+
+      const data = { url: page.url(), selector: selector ?? null };
+      const sections = [];
+
+      // Plain text is returned unless only structured output was requested
+      if (selector || !(extract || tables || markdown)) {
+        let content;
+        if (selector) {
+          const elements = await page.$$(selector);
+          content = await Promise.all(
+            elements.map(async (el) => await el.textContent())
+          );
         } else {
-          await page.waitForSelector(waitFor, { timeout: 10000 });
+          content = await page.textContent('body');
         }
+        data.content = content;
+        sections.push(Array.isArray(content) ? content.join('\n---\n') : content);
       }
 
-      let content;
-      if (selector) {
-        const elements = await page.$$(selector);
-        content = await Promise.all(
-          elements.map(async (el) => await el.textContent())
-        );
-      } else {
-        content = await page.textContent('body');
+      if (extract) {
+        data.extracted = await extractFields(page, extract);
+        sections.push(`Extracted Data:\n${JSON.stringify(data.extracted, null, 2)}`);
       }
 
-      const result = {
-        content: [
-          {
-            type: 'text',
-            text: `Scraped content from ${url}:\n\n${Array.isArray(content) ? content.join('\n---\n') : content}`
-          }
-        ]
-      };
+      if (tables) {
+        // With a selector, take tables inside the matched elements as well as matched tables
+        data.tables = await extractTables(page, selector ? `${selector} table, table${selector}` : 'table');
+        sections.push(`Tables (${data.tables.length}):\n${JSON.stringify(data.tables, null, 2)}`);
+      }
+
+      if (markdown) {
+        data.markdown = await extractMarkdown(page, selector);
+        sections.push(`Markdown:\n${data.markdown ?? '(no content)'}`);
+      }
 
+      let text = `Scraped content from ${data.url}:\n\n${sections.join('\n\n')}`;
+
+      const images = [];
       if (screenshot) {
-        const screenshotBuffer = await page.screenshot({ fullPage: true });
-        const screenshotPath = `/tmp/screenshot-${Date.now()}.png`;
-        require('fs').writeFileSync(screenshotPath, screenshotBuffer);
-        result.content.push({
-          type: 'text',
-          text: `Screenshot saved to: ${screenshotPath}`
-        });
+        const { info, image } = await this.takeScreenshot(page, screenshot === true ? {} : screenshot, 'scrape');
+        if (image) {
+          images.push(image);
+        }
+        data.screenshot = info;
+        text += `\n\n${describeScreenshot(info)}`;
       }
 
-      return result;
+      const captured = await collectCaptures(captures);
+
+      return toolResult(text + captured.text, { ...data, ...captured.data }, false, images);
     } finally {
-      await browser.close();
+      await release();
     }
   }
 
-  async testReactApp(args) {
-    const { url, actions, browser: browserType = 'chromium' } = args;
+  async testReactApp(args, call) {
+    const { url, actions, stopOnFailure, report } = args;
     
-    const browser = await this.getBrowser(browserType);
-    const page = await browser.newPage();
-    const results = [];
+    const startTime = Date.now();
+    const { page, captures, release, navigation } = await this.acquirePage(args, call);
+    const steps = [];
+    const images = [];
+    const total = actions.length + (url ? 1 : 0);
     
     try {
-      await page.goto(url, { waitUntil: 'networkidle' });
-      results.push(`✅ Navigated to ${url}`);
-
-      for (const action of actions) {
-        const { type, selector, value, timeout = 5000 } = action;
-        
-        try {
-          switch (type) {
-            case 'click':
-              await page.click(selector, { timeout });
-              results.push(`✅ Clicked: ${selector}`);
-              break;
-              
-            case 'fill':
-              await page.fill(selector, value, { timeout });
-              results.push(`✅ Filled "${value}" into: ${selector}`);
-              break;
-              
-            case 'wait':
-              await page.waitForSelector(selector, { timeout });
-              results.push(`✅ Waited for: ${selector}`);
-              break;
-              
-            case 'screenshot':
-              const screenshotBuffer = await page.screenshot({ fullPage: true });
-              const screenshotPath = `/tmp/react-test-${Date.now()}.png`;
-              require('fs').writeFileSync(screenshotPath, screenshotBuffer);
-              results.push(`✅ Screenshot saved: ${screenshotPath}`);
-              break;
-              
-            case 'getText':
-              const text = await page.textContent(selector);
-              results.push(`✅ Text from ${selector}: "${text}"`);
-              break;
-              
-            case 'getAttribute':
-              const attr = await page.getAttribute(selector, value);
-              results.push(`✅ Attribute "${value}" from ${selector}: "${attr}"`);
-              break;
-              
-            default:
-              results.push(`❌ Unknown action type: ${type}`);
-          }
-        } catch (actionError) {
-          results.push(`❌ Failed ${type} on ${selector}: ${actionError.message}`);
-        }
+      if (url) {
+        steps.push(await this.navigationStep(page, url, navigation));
+        call.progress(steps[0].message, { progress: 1, total });
       }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `React App Test Results:\n\n${results.join('\n')}`
-          }
-        ]
-      };
+      steps.push(...await this.runActions(page, actions, {
+        stopOnFailure,
+        navigation,
+        images,
+        signal: call.signal,
+        onStep: (step, done) => call.progress(step.message, { progress: steps.length + done, total })
+      }));
+      const run = await this.completeRun(url ?? page.url(), steps, startTime, report);
+      const captured = await collectCaptures(captures);
+
+      return toolResult(
+        `React App Test Results:\n\n${formatSteps(steps)}\n\n${formatRunSummary(run)}${captured.text}`,
+        { url: page.url(), ...run, steps, ...captured.data },
+        !run.passed,
+        images
+      );
     } finally {
-      await browser.close();
+      await release();
     }
   }
 
-  async getPageInfo(args) {
-    const { url, browser: browserType = 'chromium', includePerformance } = args;
+  async getPageInfo(args, call) {
+    const { url, includePerformance } = args;
     
-    const browser = await this.getBrowser(browserType);
-    const page = await browser.newPage();
+    const { page, captures, release, navigation } = await this.acquirePage(args, call);
     
     try {
-      const startTime = Date.now();
-      await page.goto(url, { waitUntil: 'networkidle' });
-      const loadTime = Date.now() - startTime;
+      let loadTime;
+      if (url) {
+        const startTime = Date.now();
+        await page.goto(url, navigation);
+        loadTime = Date.now() - startTime;
+      }
 
       const info = await page.evaluate(() => ({
         title: document.title,
@@ -354,6 +1788,7 @@ class WebScraperServer {
       }));
 
       let performanceInfo = '';
+      let performanceData = null;
       if (includePerformance) {
         const metrics = await page.evaluate(() => {
           const perf = performance.getEntriesByType('navigation')[0];
@@ -364,20 +1799,19 @@ class WebScraperServer {
             firstContentfulPaint: performance.getEntriesByType('paint').find(p => p.name === 'first-contentful-paint')?.startTime
           };
         });
+        performanceData = { loadTime: loadTime ?? null, ...metrics };
         
         performanceInfo = `\n\nPerformance Metrics:
-- Page Load Time: ${loadTime}ms
+- Page Load Time: ${loadTime ?? 'N/A'}ms
 - DOM Content Loaded: ${metrics.domContentLoaded}ms
 - Load Complete: ${metrics.loadComplete}ms
 - First Paint: ${metrics.firstPaint || 'N/A'}ms
 - First Contentful Paint: ${metrics.firstContentfulPaint || 'N/A'}ms`;
       }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Page Information for ${url}:
+      const captured = await collectCaptures(captures);
+
+      return toolResult(`Page Information for ${info.url}:
 
 Title: ${info.title}
 URL: ${info.url}
@@ -391,23 +1825,25 @@ ${info.headings.map(h => `- ${h.tag.toUpperCase()}: ${h.text}`).join('\n')}
 Page Elements:
 - Links: ${info.links}
 - Images: ${info.images}
-- Forms: ${info.forms}${performanceInfo}`
-          }
-        ]
-      };
+- Forms: ${info.forms}${performanceInfo}${captured.text}`, {
+        ...info,
+        performance: performanceData,
+        ...captured.data
+      });
     } finally {
-      await browser.close();
+      await release();
     }
   }
 
-  async waitForElement(args) {
-    const { url, selector, timeout = 10000, browser: browserType = 'chromium' } = args;
+  async waitForElement(args, call) {
+    const { url, selector, timeout = this.config.settings.selectorTimeout } = args;
     
-    const browser = await this.getBrowser(browserType);
-    const page = await browser.newPage();
+    const { page, captures, release, navigation } = await this.acquirePage(args, call);
     
     try {
-      await page.goto(url, { waitUntil: 'networkidle' });
+      if (url) {
+        await page.goto(url, navigation);
+      }
       
       const startTime = Date.now();
       await page.waitForSelector(selector, { timeout });
@@ -417,22 +1853,474 @@ Page Elements:
       const text = await element.textContent();
       const isVisible = await element.isVisible();
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `✅ Element found: ${selector}
+      const captured = await collectCaptures(captures);
+
+      return toolResult(`✅ Element found: ${selector}
 Wait time: ${waitTime}ms
 Visible: ${isVisible}
-Text content: "${text}"`
-          }
-        ]
+Text content: "${text}"${captured.text}`, {
+        selector,
+        found: true,
+        waitTime,
+        visible: isVisible,
+        text,
+        ...captured.data
+      });
+    } finally {
+      await release();
+    }
+  }
+
+  async auditAccessibility(args, call) {
+    const { url, waitFor, selector, tags, includeTree = true } = args;
+
+    const { page, release, navigation } = await this.acquirePage(args, call);
+
+    try {
+      if (url) {
+        await page.goto(url, navigation);
+      }
+      await this.waitForCondition(page, waitFor);
+
+      const audit = await auditPage(page, { selector, tags });
+      const tree = includeTree
+        ? await page.locator(selector ?? 'body').first().ariaSnapshot()
+        : null;
+
+      return toolResult(
+        `Accessibility Audit for ${page.url()}${selector ? ` (${selector})` : ''}:\n\n${formatAudit(audit)}` +
+          (tree ? `\n\nAccessibility Tree:\n${tree}` : ''),
+        { url: page.url(), selector: selector ?? null, passed: audit.violationCount === 0, ...audit, tree }
+      );
+    } finally {
+      await release();
+    }
+  }
+
+  async visualCompare(args, call) {
+    const {
+      name,
+      url,
+      waitFor,
+      selector,
+      fullPage = true,
+      viewport,
+      threshold = 0.1,
+      maxDiffPercent = 0,
+      updateBaseline = false
+    } = args;
+    const files = await baselinePaths(this.config.settings.baselineDir, name);
+
+    const { page, release, navigation } = await this.acquirePage(args, call);
+    // A session's page is shared, so its viewport is put back afterwards
+    const originalViewport = viewport ? page.viewportSize() : null;
+
+    try {
+      if (viewport) {
+        await page.setViewportSize(viewport);
+      }
+      if (url) {
+        await page.goto(url, navigation);
+      }
+      await this.waitForCondition(page, waitFor);
+
+      // Frozen animations and a hidden caret keep repeated captures stable
+      const options = { animations: 'disabled', caret: 'hide' };
+      const screenshot = selector
+        ? await locate(page, selector).first().screenshot(options)
+        : await page.screenshot({ ...options, fullPage });
+
+      const existing = await readBaseline(files.baseline);
+      if (!existing || updateBaseline) {
+        await writeImage(files.baseline, screenshot);
+        await removeImage(files.actual);
+        await removeImage(files.diff);
+        const status = existing ? 'updated' : 'created';
+        return toolResult(`✅ Baseline ${status}: ${name}\nSaved to: ${files.baseline}`, {
+          name,
+          url: page.url(),
+          status,
+          passed: true,
+          baseline: files.baseline
+        });
+      }
+
+      const comparison = compareImages(existing, screenshot, { threshold });
+      const passed = !comparison.sizeMismatch && comparison.mismatchPercent <= maxDiffPercent;
+      const data = {
+        name,
+        url: page.url(),
+        status: passed ? 'match' : 'mismatch',
+        passed,
+        mismatchPercent: comparison.mismatchPercent,
+        diffPixels: comparison.diffPixels,
+        maxDiffPercent,
+        sizeMismatch: comparison.sizeMismatch,
+        baselineSize: comparison.baselineSize,
+        actualSize: comparison.actualSize,
+        baseline: files.baseline,
+        actual: null,
+        diff: null
       };
+
+      if (passed) {
+        await removeImage(files.actual);
+        await removeImage(files.diff);
+      } else {
+        await writeImage(files.actual, screenshot);
+        data.actual = files.actual;
+        if (comparison.diffBuffer) {
+          await writeImage(files.diff, comparison.diffBuffer);
+          data.diff = files.diff;
+        }
+      }
+
+      const detail = comparison.sizeMismatch
+        ? `Size changed: ${comparison.baselineSize.width}x${comparison.baselineSize.height} → ` +
+          `${comparison.actualSize.width}x${comparison.actualSize.height}`
+        : `Mismatch: ${comparison.mismatchPercent}% (${comparison.diffPixels} pixels, allowed ${maxDiffPercent}%)`;
+      const outputs = passed ? '' : `\nActual: ${data.actual}${data.diff ? `\nDiff: ${data.diff}` : ''}`;
+
+      return toolResult(
+        `${passed ? '✅ Matches' : '❌ Differs from'} baseline: ${name}\n${detail}\nBaseline: ${files.baseline}${outputs}`,
+        data,
+        !passed
+      );
+    } finally {
+      if (originalViewport) {
+        // The page is gone when the call was cancelled
+        await page.setViewportSize(originalViewport).catch(() => {});
+      }
+      await release();
+    }
+  }
+
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Unknown session: ${sessionId}`);
+    }
+    session.lastUsedAt = Date.now();
+    return session;
+  }
+
+  touchSession(session) {
+    session.lastUsedAt = Date.now();
+  }
+
+  async measurePerformance(args, call) {
+    const { url, runs = 3, network, cpuSlowdown = 1, actions, budgets, context: emulation } = args;
+    assertBudgetNames(budgets);
+    const runCount = Math.min(Math.max(1, Math.floor(runs)), MAX_RUNS);
+    assertUrlAllowed(this.urlAllowed, url);
+    const navigation = navigationOptions(emulation, this.navigation);
+
+    // Every run gets a fresh context so each load starts with a cold cache
+    const results = [];
+    for (let run = 0; run < runCount; run++) {
+      const { context, release } = await this.pool.acquire('chromium', contextOptions(emulation), {
+        signal: call.signal
+      });
+      const detach = closeOnAbort(call.signal, release);
+      try {
+        await applyContextSettings(context, emulation, url);
+        const page = await context.newPage();
+        results.push(await measurePage(page, url, {
+          network,
+          cpuSlowdown,
+          navigation,
+          interact: actions?.length
+            ? () => this.runActions(page, actions, { navigation, signal: call.signal })
+            : null
+        }));
+      } finally {
+        detach();
+        await release();
+      }
+      call.progress(`Run ${run + 1} of ${runCount} done`, { progress: run + 1, total: runCount });
+    }
+
+    const report = summarizeRuns(results);
+    report.budgets = checkBudgets(report, budgets);
+    const passed = report.budgets.every(budget => budget.passed);
+
+    return toolResult(
+      `Performance of ${url}${network && network !== 'none' ? ` (network: ${typeof network === 'string' ? network : 'custom'})` : ''}` +
+        `${cpuSlowdown > 1 ? ` (CPU: ${cpuSlowdown}x slower)` : ''}:\n\n${formatPerformance(report)}`,
+      { url, passed, ...report },
+      !passed
+    );
+  }
+
+  async crawlSite(args, call) {
+    const { url, browser: browserType = this.config.settings.browser, context: emulation, ...options } = args;
+    assertUrlAllowed(this.urlAllowed, url);
+    const { waitUntil, timeout } = navigationOptions(emulation, this.navigation);
+
+    const { context, release } = await this.pool.acquire(browserType, contextOptions(emulation), {
+      signal: call.signal
+    });
+    const detach = closeOnAbort(call.signal, release);
+    try {
+      await applyContextSettings(context, emulation, url);
+      const { pages, summary } = await crawl(context, {
+        ...options,
+        startUrl: url,
+        waitUntil,
+        timeout,
+        isAllowed: this.urlAllowed,
+        signal: call.signal,
+        onPage: (page, crawled) => call.progress(`Crawled ${page.url}`, { progress: crawled })
+      });
+
+      const lines = pages.map(page => {
+        const problems = [
+          page.error,
+          page.brokenLinks.length > 0 ? `${page.brokenLinks.length} broken link(s)` : null,
+          !page.error && !page.contentType && !page.title ? 'no title' : null,
+          !page.error && !page.contentType && !page.description ? 'no meta description' : null
+        ].filter(Boolean);
+        return `- [${page.status ?? 'ERR'}] ${page.url}${page.title ? ` — ${page.title}` : ''}` +
+          (problems.length > 0 ? `\n  ⚠️ ${problems.join(', ')}` : '');
+      });
+      const broken = pages.flatMap(page => page.brokenLinks.map(link =>
+        `- ${link.url} → ${link.status ?? link.error} (on ${page.url})`));
+
+      let text = `Crawl of ${url}: ${summary.pagesCrawled} page(s), ${summary.pageErrors} error(s), ` +
+        `${summary.brokenLinks} broken link(s)\n` +
+        `Missing title: ${summary.missingTitle}, missing description: ${summary.missingDescription}, ` +
+        `blocked by robots.txt: ${summary.blockedByRobots}, not visited: ${summary.unvisited}` +
+        `${summary.outsideAllowedDomains > 0 ? `, outside allowed domains: ${summary.outsideAllowedDomains}` : ''}\n\n` +
+        `Pages:\n${lines.join('\n')}`;
+      if (broken.length > 0) {
+        text += `\n\nBroken Links:\n${broken.join('\n')}`;
+      }
+
+      return toolResult(text, { url, passed: summary.pageErrors === 0 && summary.brokenLinks === 0, summary, pages });
+    } finally {
+      detach();
+      await release();
+    }
+  }
+
+  async openSession(args, call) {
+    const {
+      sessionId = randomUUID().slice(0, 8),
+      url,
+      browser: browserType = this.config.settings.browser,
+      idleTimeout = this.config.settings.sessionIdleTimeout,
+      recordHar,
+      context: emulation
+    } = args;
+
+    if (this.sessions.has(sessionId)) {
+      throw new Error(`Session already exists: ${sessionId}`);
+    }
+    if (url) {
+      assertUrlAllowed(this.urlAllowed, url);
+    }
+
+    // Sessions live until closed or idle, so they do not hold a pool slot
+    const harOptions = await harContextOptions(this.artifacts, recordHar);
+    const { context, release } = await this.pool.acquire(
+      browserType,
+      { ...contextOptions(emulation), ...harOptions },
+      { queue: false, signal: call.signal }
+    );
+    // Later calls on the session navigate the same way unless they override it
+    const navigation = navigationOptions(emulation, this.navigation);
+    const detach = closeOnAbort(call.signal, release);
+    let page;
+    try {
+      await applyContextSettings(context, emulation, url);
+      page = await context.newPage();
+      if (url) {
+        await page.goto(url, navigation);
+      }
+    } catch (error) {
+      await release();
+      throw error;
+    } finally {
+      detach();
+    }
+
+    const now = Date.now();
+    const har = harOptions.recordHar?.path ?? null;
+    this.sessions.set(sessionId, {
+      id: sessionId,
+      browserType,
+      page,
+      release,
+      navigation,
+      device: emulation?.device ?? null,
+      har,
+      idleTimeout,
+      createdAt: now,
+      lastUsedAt: now
+    });
+
+    // A crashed or externally closed browser takes its session with it
+    context.on('close', () => {
+      if (this.sessions.get(sessionId)?.page === page) {
+        this.sessions.delete(sessionId);
+      }
+    });
+
+    return toolResult(`✅ Session opened: ${sessionId}
+Browser: ${browserType}${emulation?.device ? ` (${emulation.device})` : ''}
+URL: ${page.url()}
+Idle timeout: ${idleTimeout}ms${har ? `\nRecording HAR to: ${har}` : ''}`, {
+      sessionId,
+      browser: browserType,
+      device: emulation?.device ?? null,
+      url: page.url(),
+      idleTimeout,
+      har
+    });
+  }
+
+  async sessionAction(args, call) {
+    const { sessionId, url, actions, stopOnFailure, report, context: emulation } = args;
+    const startTime = Date.now();
+    assertNavigationOnly(emulation);
+    const session = this.getSession(sessionId);
+    const navigation = navigationOptions(emulation, session.navigation);
+    const { captures, release } = await this.instrumentPage(session.page, args);
+    const steps = [];
+    const images = [];
+    const total = actions.length + (url ? 1 : 0);
+
+    try {
+      if (url) {
+        steps.push(await this.navigationStep(session.page, url, navigation));
+        call.progress(steps[0].message, { progress: 1, total });
+      }
+
+      // The session outlives the call, so an aborted call only stops
+      // starting further actions
+      steps.push(...await this.runActions(session.page, actions, {
+        stopOnFailure,
+        navigation,
+        images,
+        signal: call.signal,
+        onStep: (step, done) => call.progress(step.message, { progress: steps.length + done, total })
+      }));
+      const run = await this.completeRun(`session ${sessionId}`, steps, startTime, report);
+      const captured = await collectCaptures(captures);
+
+      return toolResult(
+        `Session ${sessionId} Results:\n\n${formatSteps(steps)}\n\n${formatRunSummary(run)}\n` +
+          `Current URL: ${session.page.url()}${captured.text}`,
+        { sessionId, url: session.page.url(), ...run, steps, ...captured.data },
+        !run.passed,
+        images
+      );
     } finally {
-      await browser.close();
+      await release();
+      this.touchSession(session);
     }
   }
 
+  async listSessions() {
+    const now = Date.now();
+    const sessions = Array.from(this.sessions.values()).map(session => ({
+      sessionId: session.id,
+      browser: session.browserType,
+      device: session.device,
+      url: session.page.url(),
+      ageMs: now - session.createdAt,
+      idleMs: now - session.lastUsedAt,
+      idleTimeout: session.idleTimeout
+    }));
+
+    if (sessions.length === 0) {
+      return toolResult('No open sessions', { sessions });
+    }
+
+    const lines = sessions.map(session =>
+      `- ${session.sessionId}: ${session.browser}${session.device ? ` (${session.device})` : ''}, ${session.url} ` +
+      `(age ${Math.round(session.ageMs / 1000)}s, ` +
+      `idle ${Math.round(session.idleMs / 1000)}s of ${Math.round(session.idleTimeout / 1000)}s)`
+    );
+
+    return toolResult(`Open Sessions:\n\n${lines.join('\n')}`, { sessions });
+  }
+
+  async closeSession(args) {
+    const { sessionId } = args;
+    const session = this.getSession(sessionId);
+    await this.destroySession(session);
+
+    return toolResult(
+      `✅ Session closed: ${sessionId}${session.har ? `\nHAR written to: ${session.har}` : ''}`,
+      { sessionId, closed: true, har: session.har }
+    );
+  }
+
+  async destroySession(session) {
+    this.sessions.delete(session.id);
+    // Closing the context flushes the session's HAR file
+    await session.release();
+  }
+
+  async expireIdleSessions() {
+    const now = Date.now();
+    for (const session of this.sessions.values()) {
+      if (now - session.lastUsedAt > session.idleTimeout) {
+        console.error(`Closing idle session: ${session.id}`);
+        await this.destroySession(session);
+      }
+    }
+  }
+
+  async closeAllSessions() {
+    await Promise.all(Array.from(this.sessions.values()).map(session => this.destroySession(session)));
+  }
+
+  async shutdown() {
+    await this.closeAllSessions();
+    await this.pool.close();
+    await this.server.close();
+    process.exit(0);
+  }
+
+  async replayCalls(args, call) {
+    const { log = this.audit.file, ...selection } = args;
+    return this.replayFile(await replayLogPath(log, this.audit.file), selection, call);
+  }
+
+  /**
+   * Replays the calls selected from the audit log `file`. Replayed calls are
+   * logged as well, with the ID of the call they repeat.
+   */
+  async replayFile(file, { ids, tools, since, until, last, stopOnFailure = false }, call) {
+    const calls = selectCalls(await readAuditLog(file), { server: 'web-scraper', ids, tools, since, until, last });
+
+    const invoke = (tool, callArgs, replayOf) =>
+      this.audit.record(tool, callArgs, () => this.invokeTool(tool, callArgs, { signal: call.signal }), { replayOf });
+    const replay = await replayRecordedCalls(calls, invoke, {
+      stopOnFailure,
+      signal: call.signal,
+      onCall: (record, done) =>
+        call.progress(`${record.tool}: ${record.skipped ? 'skipped' : record.outcome}`, { progress: done, total: calls.length })
+    });
+
+    const data = { log: file, ...replay };
+    return toolResult(formatReplayReport(data), data, !replay.passed);
+  }
+
+  /**
+   * Replays an audit log instead of serving MCP (--replay), printing the
+   * report and exiting with status 1 when a call did not match.
+   */
+  async replayLog(file) {
+    const result = await this.replayFile(file, {}, { progress: () => {} });
+    console.log(result.content[0].text);
+    await this.closeAllSessions();
+    await this.pool.close();
+    process.exit(result.isError ? 1 : 0);
+  }
+
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
@@ -440,5 +2328,20 @@ Text content: "${text}"`
   }
 }
 
-const server = new WebScraperServer();
-server.run().catch(console.error);
\ No newline at end of file
+let server;
+let replayFile;
+try {
+  replayFile = replayFilePath();
+  server = new WebScraperServer();
+} catch (error) {
+  console.error(`Web Scraper MCP server failed to start: ${error.message}`);
+  process.exit(1);
+}
+if (replayFile) {
+  server.replayLog(replayFile).catch((error) => {
+    console.error(`Replay failed: ${error.message}`);
+    process.exit(1);
+  });
+} else {
+  server.run().catch(console.error);
+}
\ No newline at end of file
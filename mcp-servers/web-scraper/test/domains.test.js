@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { assertUrlAllowed, blockOutsideDomains, urlPolicy } from '../domains.js';
+import { installRoutes } from '../network.js';
+
+/**
+ * A stand-in for a Playwright request route that records how it was
+ * handled.
+ */
+function fakeRoute(url, { method = 'GET', navigation = false } = {}) {
+  return {
+    handled: null,
+    request: () => ({ url: () => url, method: () => method, isNavigationRequest: () => navigation }),
+    async abort(errorCode) {
+      this.handled = `abort ${errorCode}`;
+    },
+    async continue() {
+      this.handled = 'continue';
+    },
+    async fallback() {
+      this.handled = 'fallback';
+    },
+    async fulfill({ status }) {
+      this.handled = `fulfill ${status}`;
+    }
+  };
+}
+
+describe('urlPolicy', () => {
+  const isAllowed = urlPolicy(['Example.com', '*.staging.test', 'localhost.']);
+
+  it('allows every URL without domains', () => {
+    assert.equal(urlPolicy([])('ftp://anywhere.test/file'), true);
+  });
+
+  it('allows the listed domains and their subdomains', () => {
+    assert.equal(isAllowed('https://example.com/'), true);
+    assert.equal(isAllowed('http://cdn.EXAMPLE.com./app.js'), true);
+    assert.equal(isAllowed('http://localhost:3000/'), true);
+  });
+
+  it('allows only subdomains for *. entries', () => {
+    assert.equal(isAllowed('https://app.staging.test/'), true);
+    assert.equal(isAllowed('https://staging.test/'), false);
+  });
+
+  it('rejects other hosts, including look-alikes', () => {
+    assert.equal(isAllowed('https://example.org/'), false);
+    assert.equal(isAllowed('https://notexample.com/'), false);
+    assert.equal(isAllowed('https://example.com.evil.test/'), false);
+    assert.equal(isAllowed('https://evil.test/?next=https://example.com/'), false);
+    assert.equal(isAllowed('https://example.com@evil.test/'), false);
+  });
+
+  it('allows URLs pages create themselves, but no other schemes', () => {
+    assert.equal(isAllowed('data:text/html,<p>hi</p>'), true);
+    assert.equal(isAllowed('blob:https://evil.test/0f1e'), true);
+    assert.equal(isAllowed('about:blank'), true);
+    assert.equal(isAllowed('file:///etc/passwd'), false);
+    assert.equal(isAllowed('ws://example.com/socket'), false);
+    assert.equal(isAllowed('not a url'), false);
+  });
+
+  it('makes assertUrlAllowed throw for rejected URLs', () => {
+    assert.doesNotThrow(() => assertUrlAllowed(isAllowed, 'https://example.com/'));
+    assert.throws(() => assertUrlAllowed(isAllowed, 'https://example.org/'), {
+      message: 'URL is outside the allowed domains: https://example.org/'
+    });
+  });
+});
+
+describe('blockOutsideDomains', () => {
+  it('aborts every kind of request outside the allowed domains', async () => {
+    const routes = [];
+    const context = { route: async (matcher, handler) => routes.push({ matcher, handler }) };
+    await blockOutsideDomains(context, urlPolicy(['example.com']));
+
+    assert.equal(routes.length, 1);
+    const [{ matcher, handler }] = routes;
+    assert.equal(matcher(new URL('https://example.com/')), false);
+    assert.equal(matcher(new URL('https://cdn.example.com/app.js')), false);
+    assert.equal(matcher(new URL('https://cdn.other.test/app.js')), true);
+
+    for (const navigation of [true, false]) {
+      const route = fakeRoute('https://cdn.other.test/app.js', { navigation });
+      await handler(route);
+      assert.equal(route.handled, 'abort blockedbyclient');
+    }
+  });
+});
+
+describe('installRoutes', () => {
+  const install = async (routes, options) => {
+    const handlers = [];
+    const page = { route: async (matcher, handler) => handlers.push({ matcher, handler }) };
+    await installRoutes(page, routes, options);
+    return handlers;
+  };
+
+  it('aborts continuing requests outside the allowed domains', async () => {
+    const [{ matcher, handler }] = await install([{ url: '**/*' }], { isAllowed: urlPolicy(['example.com']) });
+    assert.equal(matcher, '**/*');
+
+    const outside = fakeRoute('https://tracker.test/pixel.gif');
+    await handler(outside);
+    const inside = fakeRoute('https://example.com/api');
+    await handler(inside);
+
+    assert.equal(outside.handled, 'abort blockedbyclient');
+    assert.equal(inside.handled, 'continue');
+  });
+
+  it('still fulfills mocked requests outside the allowed domains', async () => {
+    const [{ handler }] = await install(
+      [{ url: '/tracker\\.test/', json: {} }],
+      { isAllowed: urlPolicy(['example.com']) }
+    );
+    const route = fakeRoute('https://tracker.test/pixel');
+    await handler(route);
+
+    assert.equal(route.handled, 'fulfill 200');
+  });
+
+  it('registers routes so that earlier ones win and skips other methods', async () => {
+    const handlers = await install([{ url: '**/api', method: 'post', status: 201 }, { url: '**/*', action: 'abort' }]);
+    assert.deepEqual(handlers.map(({ matcher }) => matcher), ['**/*', '**/api']);
+
+    const get = fakeRoute('https://example.com/api');
+    await handlers[1].handler(get);
+    const post = fakeRoute('https://example.com/api', { method: 'POST' });
+    await handlers[1].handler(post);
+
+    assert.equal(get.handled, 'fallback');
+    assert.equal(post.handled, 'fulfill 201');
+  });
+});
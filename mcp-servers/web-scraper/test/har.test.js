@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { removeDir, startServer, tempDir } from './helpers.js';
+
+describe('recordHar', () => {
+  let root;
+  let client;
+
+  before(async () => {
+    root = await tempDir();
+    client = await startServer({ WEB_SCRAPER_ARTIFACTS_DIR: path.join(root, 'artifacts') });
+  });
+
+  after(async () => {
+    await client?.close();
+    await removeDir(root);
+  });
+
+  for (const [tool, args] of [
+    ['scrape_page', { url: 'http://localhost:9/' }],
+    ['open_session', {}]
+  ]) {
+    it(`${tool} rejects HAR paths outside the artifacts directory`, async () => {
+      for (const recordHar of ['../escape/run.har', path.join(root, 'escape', 'run.har')]) {
+        const result = await client.callTool({ name: tool, arguments: { ...args, recordHar } });
+
+        assert.equal(result.isError, true);
+        assert.match(result.content[0].text, /is outside the artifacts directory/);
+      }
+      await assert.rejects(fs.stat(path.join(root, 'escape')), { code: 'ENOENT' });
+    });
+  }
+});
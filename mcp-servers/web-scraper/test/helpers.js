@@ -0,0 +1,46 @@
+/**
+ * Test helpers: runs the server over stdio with an MCP client, configured
+ * only through the environment. Calls that are rejected before a browser
+ * starts run without the Playwright browsers installed.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+
+/**
+ * Starts the server with `env` added to a minimal environment (no config
+ * file, no audit log) and returns a connected client.
+ */
+export async function startServer(env = {}) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER],
+    env: {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      WEB_SCRAPER_AUDIT: 'false',
+      ...env
+    },
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'web-scraper-tests', version: '0.0.0' });
+  await client.connect(transport);
+  return client;
+}
+
+/**
+ * Creates a temporary directory and returns its real path.
+ */
+export async function tempDir() {
+  return await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'web-scraper-test-')));
+}
+
+export async function removeDir(dir) {
+  await fs.rm(dir, { recursive: true, force: true });
+}
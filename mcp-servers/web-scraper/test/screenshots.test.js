@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { artifactPath, fileInside } from '../screenshots.js';
+import { removeDir, tempDir } from './helpers.js';
+
+describe('artifactPath', () => {
+  let root;
+  let artifacts;
+
+  before(async () => {
+    root = await tempDir();
+    artifacts = { dir: path.join(root, 'artifacts') };
+    await fs.mkdir(path.join(root, 'outside'));
+    await fs.mkdir(artifacts.dir);
+    await fs.symlink(path.join(root, 'outside'), path.join(artifacts.dir, 'link'));
+  });
+
+  after(async () => {
+    await removeDir(root);
+  });
+
+  it('resolves relative paths inside the artifacts directory', async () => {
+    const file = await artifactPath(artifacts, 'reports/smoke.xml');
+
+    assert.equal(file, path.join(artifacts.dir, 'reports', 'smoke.xml'));
+    assert.ok((await fs.stat(path.dirname(file))).isDirectory());
+  });
+
+  it('accepts absolute paths inside the artifacts directory', async () => {
+    const file = path.join(artifacts.dir, 'run.har');
+
+    assert.equal(await artifactPath(artifacts, file), file);
+  });
+
+  for (const file of ['../outside/report.xml', 'reports/../../report.xml', '/etc/report.xml', '.']) {
+    it(`rejects ${file}`, async () => {
+      await assert.rejects(artifactPath(artifacts, file), /is outside the artifacts directory/);
+    });
+  }
+
+  it('rejects paths through symlinks that lead out of the directory', async () => {
+    await assert.rejects(artifactPath(artifacts, 'link/report.xml'), /is outside the artifacts directory/);
+    await assert.rejects(artifactPath(artifacts, 'link/nested/report.xml'), /is outside the artifacts directory/);
+
+    await assert.rejects(fs.stat(path.join(root, 'outside', 'nested')), { code: 'ENOENT' });
+  });
+
+  it('does not create directories outside the artifacts directory', async () => {
+    await assert.rejects(artifactPath(artifacts, '../created/report.xml'));
+
+    await assert.rejects(fs.stat(path.join(root, 'created')), { code: 'ENOENT' });
+  });
+});
+
+describe('fileInside', () => {
+  let root;
+  let uploads;
+
+  before(async () => {
+    root = await tempDir();
+    uploads = path.join(root, 'uploads');
+    await fs.mkdir(path.join(root, 'outside'));
+    await fs.writeFile(path.join(root, 'outside', 'secret.txt'), 'secret');
+    await fs.mkdir(path.join(uploads, 'docs'), { recursive: true });
+    await fs.writeFile(path.join(uploads, 'docs', 'cv.pdf'), 'cv');
+    await fs.symlink(path.join(root, 'outside', 'secret.txt'), path.join(uploads, 'secret.txt'));
+    await fs.symlink(path.join(root, 'outside'), path.join(uploads, 'link'));
+  });
+
+  after(async () => {
+    await removeDir(root);
+  });
+
+  it('resolves files inside the directory', async () => {
+    assert.equal(await fileInside(uploads, 'docs/cv.pdf', 'the upload directory'), path.join(uploads, 'docs', 'cv.pdf'));
+  });
+
+  it('rejects files outside the directory, symlinks and directories', async () => {
+    const check = file => fileInside(uploads, file, 'the upload directory');
+
+    await assert.rejects(check('/etc/passwd'), { message: `/etc/passwd is outside the upload directory ${uploads}` });
+    await assert.rejects(check('../outside/secret.txt'), /is outside the upload directory/);
+    await assert.rejects(check('link/secret.txt'), /is outside the upload directory/);
+    await assert.rejects(check('secret.txt'), { message: 'secret.txt is a symbolic link' });
+    await assert.rejects(check('docs'), { message: 'docs is not a file' });
+    await assert.rejects(check('missing.pdf'), /missing\.pdf does not exist in the upload directory/);
+  });
+});
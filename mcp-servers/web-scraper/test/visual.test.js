@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { PNG } from 'pngjs';
+
+import { baselinePaths, compareImages, readBaseline, removeImage, writeImage } from '../visual.js';
+import { removeDir, tempDir } from './helpers.js';
+
+/**
+ * A solid white PNG of the given size, with the listed [x, y, [r, g, b]]
+ * pixels painted over it.
+ */
+function png(width, height, pixels = []) {
+  const image = new PNG({ width, height });
+  image.data.fill(255);
+  for (const [x, y, [r, g, b]] of pixels) {
+    const offset = (y * width + x) * 4;
+    image.data[offset] = r;
+    image.data[offset + 1] = g;
+    image.data[offset + 2] = b;
+  }
+  return PNG.sync.write(image);
+}
+
+describe('compareImages', () => {
+  const baseline = png(10, 10);
+
+  it('finds no difference between equal images', () => {
+    const result = compareImages(baseline, png(10, 10));
+
+    assert.equal(result.sizeMismatch, false);
+    assert.equal(result.diffPixels, 0);
+    assert.equal(result.mismatchPercent, 0);
+    assert.equal(result.diffBuffer, null);
+  });
+
+  it('counts the pixels that changed and draws a diff image', () => {
+    const result = compareImages(baseline, png(10, 10, [[0, 0, [255, 0, 0]], [9, 9, [0, 0, 0]], [4, 5, [0, 0, 255]]]));
+
+    assert.equal(result.diffPixels, 3);
+    assert.equal(result.mismatchPercent, 3);
+    const diff = PNG.sync.read(result.diffBuffer);
+    assert.deepEqual([diff.width, diff.height], [10, 10]);
+  });
+
+  it('ignores colour changes within the threshold', () => {
+    const actual = png(10, 10, [[3, 3, [250, 250, 250]]]);
+
+    assert.equal(compareImages(baseline, actual).diffPixels, 0);
+    assert.equal(compareImages(baseline, actual, { threshold: 0 }).diffPixels, 1);
+  });
+
+  it('does not diff images of different sizes', () => {
+    assert.deepEqual(compareImages(baseline, png(12, 10)), {
+      sizeMismatch: true,
+      baselineSize: { width: 10, height: 10 },
+      actualSize: { width: 12, height: 10 },
+      diffPixels: null,
+      mismatchPercent: 100,
+      diffBuffer: null
+    });
+  });
+});
+
+describe('baselines', () => {
+  let dir;
+
+  before(async () => {
+    dir = await tempDir();
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  it('keeps the baseline, actual and diff images side by side', async () => {
+    assert.deepEqual(await baselinePaths(path.join(dir, 'baselines'), 'home/header'), {
+      baseline: path.join(dir, 'baselines', 'home', 'header.png'),
+      actual: path.join(dir, 'baselines', 'home', 'header.actual.png'),
+      diff: path.join(dir, 'baselines', 'home', 'header.diff.png')
+    });
+    assert.ok((await fs.stat(path.join(dir, 'baselines', 'home'))).isDirectory());
+  });
+
+  it('keeps names inside the baseline directory', async () => {
+    const baselines = path.join(dir, 'baselines');
+
+    assert.equal((await baselinePaths(baselines, '../../etc/passwd')).baseline, path.join(baselines, 'etc', 'passwd.png'));
+    assert.equal((await baselinePaths(baselines, '/home page?v=2')).baseline, path.join(baselines, 'home_page_v_2.png'));
+    await assert.rejects(baselinePaths(baselines, '../..'), { message: 'Invalid baseline name: ../..' });
+  });
+
+  it('refuses symlinks out of the baseline directory', async () => {
+    const baselines = path.join(dir, 'linked');
+    const outside = path.join(dir, 'outside');
+    await fs.mkdir(path.join(outside, 'pages'), { recursive: true });
+    await fs.writeFile(path.join(outside, 'secret.png'), png(1, 1));
+    await fs.mkdir(baselines);
+    await fs.symlink(path.join(outside, 'pages'), path.join(baselines, 'pages'));
+    await fs.symlink(path.join(outside, 'secret.png'), path.join(baselines, 'secret.png'));
+
+    await assert.rejects(baselinePaths(baselines, 'pages/home'), { message: /^pages\/home\.png is outside the baseline directory / });
+    const { baseline } = await baselinePaths(baselines, 'secret');
+    await assert.rejects(readBaseline(baseline), { message: `${baseline} is a symbolic link` });
+    await assert.rejects(writeImage(baseline, png(2, 2)), { message: `${baseline} is a symbolic link` });
+    assert.deepEqual(await fs.readFile(path.join(outside, 'secret.png')), png(1, 1));
+  });
+
+  it('reads a missing baseline as null', async () => {
+    const { baseline } = await baselinePaths(path.join(dir, 'baselines'), 'pages/new');
+
+    assert.equal(await readBaseline(baseline), null);
+    await writeImage(baseline, png(2, 2));
+    assert.deepEqual(await readBaseline(baseline), png(2, 2));
+    await removeImage(baseline);
+    assert.equal(await readBaseline(baseline), null);
+  });
+});
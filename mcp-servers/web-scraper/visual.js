@@ -0,0 +1,103 @@
+/**
+ * Screenshot baselines and pixel diffing for visual_compare.
+ */
+
+import { constants as fsConstants } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import { defaultStateDir } from '../shared/config.js';
+import { pathInside } from './screenshots.js';
+
+export const DEFAULT_BASELINE_DIR = path.join(defaultStateDir(), 'visual-baselines');
+
+// O_NOFOLLOW makes opening a baseline image that is a symlink fail instead
+// of reading or overwriting the file it points to
+const NOFOLLOW = fsConstants.O_NOFOLLOW ?? 0;
+
+/**
+ * Paths of the files kept for a named baseline, creating their directory.
+ * Names may contain "/" to group baselines in subdirectories; anything else
+ * outside [\w.-] is replaced, and symlinked directories are rejected, so
+ * names cannot escape the baseline directory.
+ */
+export async function baselinePaths(baselineDir, name) {
+  const safeName = name
+    .split('/')
+    .map(part => part.replace(/[^\w.-]/g, '_'))
+    .filter(part => part && part !== '.' && part !== '..')
+    .join(path.sep);
+  if (!safeName) {
+    throw new Error(`Invalid baseline name: ${name}`);
+  }
+  const baseline = await pathInside(baselineDir, `${safeName}.png`, 'the baseline directory');
+  const base = baseline.slice(0, -'.png'.length);
+  return {
+    baseline: `${base}.png`,
+    actual: `${base}.actual.png`,
+    diff: `${base}.diff.png`
+  };
+}
+
+function symlinkError(file, error) {
+  return error.code === 'ELOOP' ? new Error(`${file} is a symbolic link`) : error;
+}
+
+export async function readBaseline(file) {
+  try {
+    return await fs.readFile(file, { flag: fsConstants.O_RDONLY | NOFOLLOW });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw symlinkError(file, error);
+  }
+}
+
+export async function writeImage(file, buffer) {
+  try {
+    await fs.writeFile(file, buffer, {
+      flag: fsConstants.O_WRONLY | fsConstants.O_CREAT | fsConstants.O_TRUNC | NOFOLLOW
+    });
+  } catch (error) {
+    throw symlinkError(file, error);
+  }
+}
+
+export async function removeImage(file) {
+  await fs.rm(file, { force: true });
+}
+
+/**
+ * Compares two PNG buffers. `threshold` is pixelmatch's per-pixel colour
+ * tolerance (0 to 1). Images of different sizes are not diffed.
+ */
+export function compareImages(baselineBuffer, actualBuffer, { threshold = 0.1 } = {}) {
+  const baseline = PNG.sync.read(baselineBuffer);
+  const actual = PNG.sync.read(actualBuffer);
+
+  if (baseline.width !== actual.width || baseline.height !== actual.height) {
+    return {
+      sizeMismatch: true,
+      baselineSize: { width: baseline.width, height: baseline.height },
+      actualSize: { width: actual.width, height: actual.height },
+      diffPixels: null,
+      mismatchPercent: 100,
+      diffBuffer: null
+    };
+  }
+
+  const { width, height } = baseline;
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, { threshold });
+
+  return {
+    sizeMismatch: false,
+    baselineSize: { width, height },
+    actualSize: { width, height },
+    diffPixels,
+    mismatchPercent: Number(((diffPixels / (width * height)) * 100).toFixed(4)),
+    diffBuffer: diffPixels > 0 ? PNG.sync.write(diff) : null
+  };
+}